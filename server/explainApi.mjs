@@ -0,0 +1,178 @@
+/**
+ * Explain API
+ * Streams a model's answer to a student's question about the selected
+ * network, grounded in the network's curated data (sent by the drawer from
+ * brainStructure.js). Uses the first configured model-backed resource
+ * provider (Perplexity or an OpenAI-compatible server) and answers with
+ * server-sent events:
+ *
+ *   event: meta   data: { provider: { id, name } }
+ *   (message)     data: { delta: "text" }            repeated
+ *   event: done   data: {}
+ *   event: error  data: { error: "message" }         instead of done
+ */
+
+import { createRateLimiter, getClientId, sendJson } from './resourcesApi.mjs';
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_QUESTION_LENGTH = 500;
+
+// Region fields passed to the model, with their labels in the prompt
+const CONTEXT_FIELDS = [
+  ['parentName', 'Part of'],
+  ['description', 'Description'],
+  ['anatomicalLocation', 'Location'],
+  ['keyRegions', 'Key regions'],
+  ['functions', 'Key functions'],
+  ['clinicalRelevance', 'Clinical relevance']
+];
+
+/**
+ * Turn the region data into reference notes for the prompt
+ */
+function buildContext(region) {
+  return CONTEXT_FIELDS
+    .filter(([field]) => region[field] && region[field].length > 0)
+    .map(([field, label]) => {
+      const value = region[field];
+      return Array.isArray(value)
+        ? `${label}:\n${value.map(item => `- ${String(item)}`).join('\n')}`
+        : `${label}: ${String(value)}`;
+    })
+    .join('\n');
+}
+
+function buildMessages(question, region) {
+  return [
+    {
+      role: 'system',
+      content: 'You are a neuroscience tutor in an interactive brain atlas for students. Answer in plain text (no markdown headings), in at most 200 words. Base your answer on the reference notes; when you go beyond them, say so briefly. If the question is unrelated to the brain, steer back to the selected network.'
+    },
+    {
+      role: 'user',
+      content: `Selected network: ${region.name}\n\nReference notes:\n${buildContext(region)}\n\nQuestion: ${question}`
+    }
+  ];
+}
+
+/**
+ * Read a small JSON request body
+ * @returns {Promise<Object>} Parsed body
+ * @throws {Error} With status 413 when too large, 400 when not JSON
+ */
+async function readJsonBody(req) {
+  // Vite's middleware stack does not parse bodies, so read the stream here
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+  } catch {
+    throw Object.assign(new Error('Invalid JSON body'), { status: 400 });
+  }
+}
+
+const sendEvent = (res, event, data) => {
+  res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Create the POST /api/explain handler
+ * @param {Object} config - See resourcesApiConfigFromEnv (providers, rate limit)
+ * @returns {Function} (req, res, next) middleware; passes on other paths
+ */
+export function createExplainHandler(config) {
+  const limiter = createRateLimiter({ limit: config.rateLimit, windowMs: config.rateWindowMs });
+
+  // Answer one POST /api/explain request
+  const handleExplain = async (req, res) => {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' }, { 'Allow': 'POST' });
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      // A client that hung up mid-body gets no answer
+      if (res.destroyed || req.aborted) return;
+      sendJson(res, error.status || 400, { error: error.status ? error.message : 'Could not read the request body' });
+      return;
+    }
+
+    const question = typeof body.question === 'string' ? body.question.trim() : '';
+    const region = body.region;
+    if (!question || question.length > MAX_QUESTION_LENGTH || typeof region?.name !== 'string') {
+      sendJson(res, 400, { error: `Expected a question (up to ${MAX_QUESTION_LENGTH} characters) and a region` });
+      return;
+    }
+
+    const { allowed, retryAfter } = limiter.check(getClientId(req, config.trustProxy));
+    if (!allowed) {
+      sendJson(res, 429, { error: 'Too many requests' }, { 'Retry-After': String(retryAfter) });
+      return;
+    }
+
+    const provider = config.providers.find(candidate => candidate.stream && candidate.isConfigured());
+    if (!provider) {
+      sendJson(res, 503, { error: 'Explanations are not configured (set PERPLEXITY_API_KEY or OPENAI_COMPAT_API_URL)' });
+      return;
+    }
+
+    // Stop the upstream request when the student cancels or leaves
+    const upstream = new AbortController();
+    res.on('close', () => upstream.abort());
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Keep proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    sendEvent(res, 'meta', { provider: { id: provider.id, name: provider.name } });
+
+    try {
+      for await (const delta of provider.stream(buildMessages(question, region), { signal: upstream.signal })) {
+        sendEvent(res, null, { delta });
+      }
+      sendEvent(res, 'done', {});
+    } catch (error) {
+      if (upstream.signal.aborted) return;
+      console.error(`Explanation failed for "${region.name}":`, error.message);
+      sendEvent(res, 'error', { error: 'The explanation was interrupted' });
+    }
+    res.end();
+  };
+
+  return async (req, res, next) => {
+    const url = new URL(req.originalUrl || req.url, 'http://localhost');
+    if (url.pathname !== '/api/explain') {
+      // Returned so the caller sees rejections further down the chain
+      return next?.();
+    }
+
+    // Never reject: Vite's middleware stack does not catch async handlers
+    try {
+      await handleExplain(req, res);
+    } catch (error) {
+      console.error('Explain request failed:', error.message);
+      if (res.destroyed) return;
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Explanation failed' });
+      } else {
+        res.end();
+      }
+    }
+  };
+}
+
+export default createExplainHandler;
@@ -0,0 +1,90 @@
+/**
+ * Standalone server
+ * Serves the built app from dist/ together with the resources and explain
+ * APIs, so the provider keys stay on the server in production.
+ *
+ *   npm run build && npm run server
+ *
+ * Reads PORT (default 8080) and the variables of resourcesApiConfigFromEnv.
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createResourcesHandler, resourcesApiConfigFromEnv } from './resourcesApi.mjs';
+import { createExplainHandler } from './explainApi.mjs';
+
+const DIST_DIR = fileURLToPath(new URL('../dist/', import.meta.url));
+const PORT = Number(process.env.PORT) || 8080;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.glb': 'model/gltf-binary',
+  '.gltf': 'model/gltf+json',
+  '.hdr': 'application/octet-stream',
+  '.annot': 'application/octet-stream'
+};
+
+/**
+ * Serve a file from dist/, falling back to index.html for app routes
+ */
+async function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(pathname);
+  } catch {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+  // normalize() resolves '..' so requests cannot leave dist/
+  const relativePath = normalize(decodedPath).replace(/^(\.\.[/\\])+/, '');
+  const filePath = join(DIST_DIR, relativePath);
+
+  try {
+    const body = await readFile(filePath.endsWith('/') ? join(filePath, 'index.html') : filePath);
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream' });
+    res.end(body);
+  } catch {
+    try {
+      const index = await readFile(join(DIST_DIR, 'index.html'));
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'] });
+      res.end(index);
+    } catch {
+      res.writeHead(404);
+      res.end('Not found (run npm run build first)');
+    }
+  }
+}
+
+const config = resourcesApiConfigFromEnv(process.env);
+const handleResources = createResourcesHandler(config);
+const handleExplain = createExplainHandler(config);
+
+createServer((req, res) => {
+  // A handler that rejects must not take the server down with it
+  Promise.resolve(handleResources(req, res, () => handleExplain(req, res, () => serveStatic(req, res))))
+    .catch(error => {
+      console.error(`Request failed (${req.method} ${req.url}):`, error);
+      if (!res.headersSent && !res.destroyed) {
+        res.writeHead(500);
+        res.end('Internal server error');
+      } else {
+        res.destroy();
+      }
+    });
+}).listen(PORT, () => {
+  const providers = config.providers.filter(provider => provider.isConfigured());
+  console.log(`Mind Map server on http://localhost:${PORT} (resources via ${providers.map(provider => provider.name).join(' → ') || 'none'})`);
+  if (providers.length === 0) {
+    console.warn('No resource provider is configured; /api/resources will answer 503');
+  }
+});
@@ -0,0 +1,243 @@
+/**
+ * Link Validation
+ * Vets links returned by the model before they reach the drawer:
+ * normalizes DOIs and PubMed ids, applies the source allow/deny lists and
+ * optionally checks that each URL, on a public address, answers a HEAD
+ * request.
+ */
+
+import { request as httpRequest } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { lookup } from 'node:dns';
+import { BlockList, isIP } from 'node:net';
+
+// Domains trusted for educational links. A leading dot matches a suffix
+// ('.edu' covers every US university); otherwise subdomains match too.
+export const DEFAULT_ALLOWED_DOMAINS = [
+  '.edu', '.ac.uk', '.gov',
+  'nih.gov', 'pubmed.ncbi.nlm.nih.gov', 'ncbi.nlm.nih.gov', 'europepmc.org',
+  'doi.org', 'nature.com', 'science.org', 'cell.com', 'thelancet.com',
+  'sciencedirect.com', 'springer.com', 'link.springer.com', 'wiley.com',
+  'oup.com', 'academic.oup.com', 'frontiersin.org', 'plos.org', 'elifesciences.org',
+  'jneurosci.org', 'pnas.org', 'biorxiv.org', 'annualreviews.org',
+  'wikipedia.org', 'khanacademy.org', 'britannica.com',
+  'mayoclinic.org', 'clevelandclinic.org', 'hopkinsmedicine.org', 'who.int',
+  'humanconnectome.org', 'surfer.nmr.mgh.harvard.edu'
+];
+
+// Never shown: placeholders from the prompt, shorteners, content farms
+export const DEFAULT_DENIED_DOMAINS = [
+  'example.com', 'example.org', 'example.net', 'localhost',
+  'bit.ly', 'tinyurl.com', 't.co', 'goo.gl',
+  'scribd.com', 'coursehero.com', 'studocu.com', 'quizlet.com'
+];
+
+// A DOI in a URL ends at its query string or fragment ('?af=R', '#abstract')
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"'<>?#]+)/i;
+const PMID_URL_PATTERN = /(?:pubmed\.ncbi\.nlm\.nih\.gov\/|ncbi\.nlm\.nih\.gov\/pubmed\/)(\d{1,9})/i;
+const PMID_TEXT_PATTERN = /\bPMID:?\s*(\d{1,9})\b/i;
+
+const matchesDomain = (hostname, pattern) => {
+  return pattern.startsWith('.')
+    ? hostname.endsWith(pattern)
+    : hostname === pattern || hostname.endsWith(`.${pattern}`);
+};
+
+/**
+ * Pull a DOI and/or PubMed id out of a link's URL or title
+ * @param {string} url - Link URL
+ * @param {string} title - Link title
+ * @returns {Object} { doi, pmid } normalized (lowercase DOI without
+ * trailing punctuation), null when absent
+ */
+export function extractIdentifiers(url, title = '') {
+  let decodedUrl = url;
+  try {
+    decodedUrl = decodeURIComponent(url);
+  } catch {
+    // Keep the raw URL when it contains stray '%'
+  }
+
+  const doiMatch = decodedUrl.match(DOI_PATTERN) || title.match(DOI_PATTERN);
+  const pmidMatch = url.match(PMID_URL_PATTERN) || title.match(PMID_TEXT_PATTERN);
+
+  return {
+    doi: doiMatch ? doiMatch[1].replace(/[.,;:!)\]]+$/, '').toLowerCase() : null,
+    pmid: pmidMatch ? pmidMatch[1] : null
+  };
+}
+
+/**
+ * Classify a hostname against the allow and deny lists
+ * @returns {string} 'denied', 'allowed' or 'unknown'
+ */
+export function classifyDomain(hostname, { allowedDomains = DEFAULT_ALLOWED_DOMAINS, deniedDomains = DEFAULT_DENIED_DOMAINS } = {}) {
+  const host = hostname.toLowerCase().replace(/^www\./, '');
+  if (deniedDomains.some(pattern => matchesDomain(host, pattern))) return 'denied';
+  if (allowedDomains.some(pattern => matchesDomain(host, pattern))) return 'allowed';
+  return 'unknown';
+}
+
+// Addresses a model-supplied link must never make the server connect to:
+// private, loopback, link-local (cloud metadata), shared, multicast and
+// reserved ranges
+const BLOCKED_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * Check whether an IP address is publicly routable
+ */
+export function isPublicAddress(address) {
+  // IPv4-mapped IPv6 ('::ffff:127.0.0.1') is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  const ip = mapped || address;
+  const type = isIP(ip);
+  if (type === 0) return false;
+  return !BLOCKED_ADDRESSES.check(ip, type === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup for outgoing checks that fails when a name resolves to a
+ * non-public address, so the check happens on the address actually used
+ */
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a non-public address`), { code: 'ENOTPUBLIC' }));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Send one request without following redirects
+ * @returns {Promise<Object>} { status, location }
+ */
+function requestOnce(url, method, timeoutMs) {
+  // IP literals skip DNS, so check them here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host) && !isPublicAddress(host)) {
+    return Promise.reject(new Error(`${host} is not a public address`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? httpsRequest : httpRequest)(url, {
+      method,
+      lookup: publicLookup,
+      timeout: timeoutMs,
+      headers: { 'User-Agent': 'MindMap link checker' }
+    }, (response) => {
+      response.resume();
+      resolve({ status: response.statusCode, location: response.headers.location });
+    });
+    request.on('timeout', () => request.destroy(new Error('Link check timed out')));
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Check that a URL answers (HEAD, or GET where HEAD is not allowed).
+ * Redirects are followed by hand, and every hop must resolve to a public
+ * address, so links cannot reach the server's own network.
+ * @param {string} url - URL to check
+ * @param {number} timeoutMs - Give up on each request after this long
+ * @returns {Promise<boolean>} Whether the URL responded with a non-error status
+ */
+export async function checkLinkReachable(url, timeoutMs = 5000) {
+  try {
+    let current = new URL(url);
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      if (!['http:', 'https:'].includes(current.protocol)) return false;
+
+      let { status, location } = await requestOnce(current, 'HEAD', timeoutMs);
+      if (status === 405 || status === 501) {
+        ({ status, location } = await requestOnce(current, 'GET', timeoutMs));
+      }
+
+      if (status >= 300 && status < 400 && location) {
+        current = new URL(location, current);
+        continue;
+      }
+      return status >= 200 && status < 300;
+    }
+    return false;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate and normalize model-returned links
+ * @param {Array} links - { title, url, source?, year?, type? } objects
+ * @param {Object} options - { allowedDomains, deniedDomains, checkReachability,
+ * dropUnverified, timeoutMs }
+ * @returns {Promise<Array>} Links with { title, url, source, doi, pmid,
+ * verified } plus publisher (the link's own source name), year and type when
+ * given; malformed, denied and unreachable links are removed, and
+ * links outside the allowlist (without a reachable DOI/PMID) are flagged
+ * unverified, or removed when dropUnverified is set
+ */
+export async function validateLinks(links, options = {}) {
+  const { checkReachability = false, dropUnverified = false, timeoutMs } = options;
+  const seen = new Set();
+
+  const candidates = links.flatMap(link => {
+    if (!link || typeof link.title !== 'string' || typeof link.url !== 'string') return [];
+
+    let parsed;
+    try {
+      parsed = new URL(link.url.trim());
+    } catch {
+      return [];
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return [];
+
+    const domainStatus = classifyDomain(parsed.hostname, options);
+    if (domainStatus === 'denied') return [];
+
+    // Point identified papers at their canonical resolver
+    const { doi, pmid } = extractIdentifiers(parsed.href, link.title);
+    const url = doi
+      ? `https://doi.org/${doi}`
+      : pmid ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/` : parsed.href;
+
+    if (seen.has(url)) return [];
+    seen.add(url);
+
+    return [{
+      title: link.title.trim(),
+      url,
+      source: parsed.hostname.replace(/^www\./, ''),
+      doi,
+      pmid,
+      ...(typeof link.source === 'string' && link.source && { publisher: link.source }),
+      ...(link.year && { year: link.year }),
+      ...(link.type && { type: link.type }),
+      // A DOI or PMID vouches for the link once its resolver answers
+      allowed: domainStatus === 'allowed' || Boolean((doi || pmid) && checkReachability)
+    }];
+  });
+
+  const reachable = checkReachability
+    ? await Promise.all(candidates.map(link => checkLinkReachable(link.url, timeoutMs)))
+    : candidates.map(() => true);
+
+  return candidates
+    .filter((link, index) => reachable[index])
+    .map(({ allowed, ...link }) => ({ ...link, verified: allowed }))
+    .filter(link => link.verified || !dropUnverified);
+}
+
+export default validateLinks;
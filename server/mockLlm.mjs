@@ -0,0 +1,122 @@
+/**
+ * Mock LLM endpoint
+ * Answers OpenAI/Perplexity-style chat completion requests with canned
+ * resource links, for exercising the resources API without a real key:
+ *
+ *   npm run mock-llm
+ *   PERPLEXITY_API_URL=http://localhost:8787/chat/completions \
+ *   PERPLEXITY_API_KEY=test npm run dev
+ *
+ * Reads MOCK_LLM_PORT (default 8787) and MOCK_LLM_FORMAT, which shapes the
+ * reply like real models sometimes do: 'json' (default), 'fenced' (markdown
+ * code block), 'prose' (array inside explanatory text), 'broken'
+ * (unparseable until the repair retry) or 'unusable' (never parseable, so
+ * the next provider has to answer). Requests with stream: true get a
+ * canned explanation as server-sent events, one word every 50 ms.
+ */
+
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.MOCK_LLM_PORT) || 8787;
+const FORMAT = process.env.MOCK_LLM_FORMAT || 'json';
+
+/**
+ * Pull the region name out of the resource prompt
+ */
+function getRegionName(messages = []) {
+  const prompt = messages.find(message => message.role === 'user')?.content || '';
+  return prompt.match(/resources about the (.+?) in the human brain/)?.[1] || 'brain';
+}
+
+/**
+ * Wrap the links the way MOCK_LLM_FORMAT asks for
+ */
+function formatReply(links, isRepair) {
+  const json = JSON.stringify(links, null, 2);
+  if (FORMAT === 'fenced') return `\`\`\`json\n${json}\n\`\`\``;
+  if (FORMAT === 'prose') return `Here are three resources you may find useful:\n\n${json}\n\nLet me know if you need more.`;
+  if ((FORMAT === 'broken' && !isRepair) || FORMAT === 'unusable') return `Sure! 1. ${links[0].title} (${links[0].url}) 2. ...`;
+  return json;
+}
+
+/**
+ * Stream a canned answer in OpenAI chunk format
+ */
+function streamExplanation(res, messages = []) {
+  const prompt = messages.find(message => message.role === 'user')?.content || '';
+  const networkName = prompt.match(/Selected network: (.+)/)?.[1] || 'this network';
+  const question = prompt.match(/Question: ([\s\S]+)$/)?.[1] || '';
+  const words = `This is a mock answer about the ${networkName}. You asked: "${question}" A real model would answer from the reference notes sent with the question.`.split(' ');
+  console.log(`Mock streamed explanation for "${networkName}"`);
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  let index = 0;
+  const timer = setInterval(() => {
+    if (index < words.length) {
+      const content = `${index > 0 ? ' ' : ''}${words[index]}`;
+      res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`);
+      index += 1;
+    } else {
+      clearInterval(timer);
+      res.end('data: [DONE]\n\n');
+    }
+  }, 50);
+  res.on('close', () => clearInterval(timer));
+}
+
+function mockLinks(regionName) {
+  const query = encodeURIComponent(regionName);
+  return [
+    { title: `${regionName} (mock) - Wikipedia`, url: `https://en.wikipedia.org/wiki/${encodeURIComponent(regionName.replace(/\s+/g, '_'))}` },
+    { title: `${regionName} (mock) - PubMed`, url: `https://pubmed.ncbi.nlm.nih.gov/?term=${query}`, source: 'PubMed', type: 'website' },
+    { title: `${regionName} (mock) - NCBI Bookshelf`, url: `https://www.ncbi.nlm.nih.gov/books/?term=${query}` }
+  ];
+}
+
+createServer((req, res) => {
+  if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    let request = {};
+    try {
+      request = JSON.parse(body);
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      return;
+    }
+
+    if (request.stream) {
+      streamExplanation(res, request.messages);
+      return;
+    }
+
+    const regionName = getRegionName(request.messages);
+    // The repair retry resends the conversation with the failed reply
+    const isRepair = (request.messages || []).some(message => message.role === 'assistant');
+    console.log(`Mock ${isRepair ? 'repair ' : ''}completion for "${regionName}" (${FORMAT})`);
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      id: `mock-${Date.now()}`,
+      model: request.model || 'mock',
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content: formatReply(mockLinks(regionName), isRepair) },
+          finish_reason: 'stop'
+        }
+      ]
+    }));
+  });
+}).listen(PORT, () => {
+  console.log(`Mock LLM listening on http://localhost:${PORT}/chat/completions`);
+});
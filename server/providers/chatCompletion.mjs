@@ -0,0 +1,181 @@
+/**
+ * Chat completion provider
+ * Asks an OpenAI-compatible /chat/completions endpoint for links. Used for
+ * Perplexity and for any other compatible server (OpenAI, a local Ollama
+ * or llama.cpp server, the mock in server/mockLlm.mjs).
+ */
+
+import { parseResourceResponse, RESOURCE_TYPES } from '../structuredOutput.mjs';
+
+const SYSTEM_PROMPT = 'You are a helpful assistant that returns only valid JSON arrays of educational resources. Never include explanatory text, only JSON.';
+
+function buildPrompt(regionName, description) {
+  return `Find exactly 3 high-quality educational resources about the ${regionName} in the human brain. ${description}
+
+Return ONLY a JSON array with exactly 3 objects, each with 'title' and 'url' fields and, where known, 'source' (journal or site name), 'year' (publication year) and 'type' (one of ${RESOURCE_TYPES.join(', ')}). The URLs must be real, working educational resources from reputable sources like:
+- Scientific journals (Nature, Science, PubMed)
+- Educational institutions (universities, medical schools)
+- Medical organizations (NIH, Mayo Clinic, Cleveland Clinic)
+- Educational sites (Khan Academy, Wikipedia)
+
+Format your response as valid JSON only, nothing else:
+[
+  {"title": "Resource Title 1", "url": "https://example.com/article1", "source": "Journal Name", "year": 2020, "type": "review"},
+  {"title": "Resource Title 2", "url": "https://example.com/article2"},
+  {"title": "Resource Title 3", "url": "https://example.com/article3"}
+]`;
+}
+
+function buildRepairPrompt(issues) {
+  return `Your reply could not be used (${issues.join('; ')}). Reply again with ONLY the JSON array of 3 objects with 'title' and 'url' (and optional 'source', 'year', 'type'), no markdown and no other text.`;
+}
+
+/**
+ * Create a provider for an OpenAI-compatible chat completion endpoint
+ * @param {Object} options - { id, name, apiUrl, apiKey, model, requiresKey,
+ * timeoutMs }
+ * @returns {Object} Resource provider (see providers/index.mjs)
+ */
+export function createChatCompletionProvider({ id, name, apiUrl, apiKey, model, requiresKey = true, timeoutMs = 30000 }) {
+  /**
+   * Send a chat completion request. timeoutMs runs until stopTimeout() is
+   * called: after the whole reply for lookups, after the first chunk for
+   * streams, whose length is then up to the caller's signal.
+   * @returns {Promise<Object>} { response, stopTimeout }
+   */
+  const request = async (messages, { stream = false, maxTokens = 500, signal } = {}) => {
+    const timeout = new AbortController();
+    const timer = setTimeout(() => {
+      timeout.abort(new Error(`${name} did not answer within ${timeoutMs} ms`));
+    }, timeoutMs);
+    const stopTimeout = () => clearTimeout(timer);
+
+    let response;
+    try {
+      response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature: 0.2,
+          max_tokens: maxTokens,
+          stream,
+        }),
+        signal: signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal,
+      });
+    } catch (error) {
+      stopTimeout();
+      throw error;
+    }
+
+    if (!response.ok) {
+      stopTimeout();
+      throw new Error(`${name} API error: ${response.status}`);
+    }
+    return { response, stopTimeout };
+  };
+
+  const complete = async (messages) => {
+    const { response, stopTimeout } = await request(messages);
+    let data;
+    try {
+      data = await response.json();
+    } finally {
+      stopTimeout();
+    }
+    const content = data.choices?.[0]?.message?.content;
+
+    if (!content) {
+      throw new Error(`No content in ${name} response`);
+    }
+    return content;
+  };
+
+  return {
+    id,
+    name,
+    isConfigured: () => Boolean(apiUrl && (apiKey || !requiresKey)),
+
+    async lookup({ region, description = '' }) {
+      const messages = [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: buildPrompt(region, description) }
+      ];
+
+      const content = await complete(messages);
+      let parsed = parseResourceResponse(content);
+      let repaired = false;
+
+      // One retry: show the model its reply and what was wrong with it
+      if (parsed.resources.length === 0) {
+        const repairContent = await complete([
+          ...messages,
+          { role: 'assistant', content },
+          { role: 'user', content: buildRepairPrompt(parsed.issues) }
+        ]);
+        parsed = parseResourceResponse(repairContent);
+        repaired = true;
+      }
+
+      const parse = { path: parsed.path, repaired, issues: parsed.issues };
+      console.info(`${name} reply for "${region}" parsed via ${parse.path}${repaired ? ' after a repair retry' : ''}` +
+        (parse.issues.length ? ` (${parse.issues.join('; ')})` : ''));
+
+      if (parsed.resources.length === 0) {
+        throw new Error(`Unusable ${name} reply: ${parse.issues.join('; ')}`);
+      }
+      return { links: parsed.resources, parse };
+    },
+
+    /**
+     * Stream a chat completion as text deltas
+     * @param {Array} messages - Chat messages
+     * @param {Object} options - { maxTokens, signal } (signal aborts upstream)
+     * @returns {AsyncGenerator<string>} Content deltas in order
+     */
+    async *stream(messages, { maxTokens = 600, signal } = {}) {
+      const { response, stopTimeout } = await request(messages, { stream: true, maxTokens, signal });
+      if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+        // Some servers ignore stream: true and answer with the whole message
+        let content;
+        try {
+          content = (await response.json()).choices?.[0]?.message?.content;
+        } finally {
+          stopTimeout();
+        }
+        if (content) yield content;
+        return;
+      }
+
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      try {
+        for await (const chunk of response.body) {
+          // The model has started answering; a slow answer may take its time
+          stopTimeout();
+          buffer += decoder.decode(chunk, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            const data = line.replace(/^data:\s*/, '').trim();
+            if (!line.startsWith('data:') || !data) continue;
+            if (data === '[DONE]') return;
+
+            const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+            if (delta) yield delta;
+          }
+        }
+      } finally {
+        stopTimeout();
+      }
+    }
+  };
+}
+
+export default createChatCompletionProvider;
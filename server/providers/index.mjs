@@ -0,0 +1,106 @@
+/**
+ * Resource providers
+ * Every source of educational links implements the same small interface:
+ *
+ *   id, name        Identification, reported back to the client
+ *   isConfigured()  Whether the provider can run with the current config
+ *   lookup(query)   Promise of { links, parse? } for
+ *                   { id, parent, region, description }: raw
+ *                   { title, url, source?, year?, type? } links, and for
+ *                   model-backed providers how the reply was parsed
+ *   stream(messages, options)
+ *                   Model-backed providers only: async generator of text
+ *                   deltas, used for drawer explanations (explainApi.mjs)
+ *
+ * Providers are tried in the configured order; the first that returns at
+ * least one link that survives validation answers the request.
+ */
+
+import { fileURLToPath } from 'node:url';
+import { createChatCompletionProvider } from './chatCompletion.mjs';
+import { createPubMedProvider } from './pubmed.mjs';
+import { createStaticBundleProvider } from './staticBundle.mjs';
+import { validateLinks } from '../linkValidation.mjs';
+
+const DEFAULT_STATIC_FILE = fileURLToPath(new URL('../data/curatedResources.json', import.meta.url));
+
+const providerFactories = {
+  perplexity: (env) => createChatCompletionProvider({
+    id: 'perplexity',
+    name: 'Perplexity',
+    apiUrl: env.PERPLEXITY_API_URL || 'https://api.perplexity.ai/chat/completions',
+    apiKey: env.PERPLEXITY_API_KEY,
+    model: env.PERPLEXITY_MODEL || 'llama-3.1-sonar-small-128k-online'
+  }),
+  // Any OpenAI-compatible server, e.g. Ollama at http://localhost:11434/v1/chat/completions
+  openai: (env) => createChatCompletionProvider({
+    id: 'openai',
+    name: env.OPENAI_COMPAT_NAME || 'OpenAI-compatible model',
+    apiUrl: env.OPENAI_COMPAT_API_URL,
+    apiKey: env.OPENAI_COMPAT_API_KEY,
+    model: env.OPENAI_COMPAT_MODEL || 'llama3.1',
+    requiresKey: false
+  }),
+  pubmed: (env) => createPubMedProvider({
+    baseUrl: env.PUBMED_EUTILS_URL || undefined,
+    apiKey: env.PUBMED_API_KEY
+  }),
+  static: (env) => createStaticBundleProvider({
+    filePath: env.RESOURCES_STATIC_FILE || DEFAULT_STATIC_FILE
+  })
+};
+
+export const PROVIDER_IDS = Object.keys(providerFactories);
+
+/**
+ * Build the ordered provider list
+ * @param {Array<string>} ids - Provider ids in fallback order
+ * @param {Object} env - Environment variables with provider settings
+ * @returns {Array<Object>} Providers (unknown ids are skipped with a warning)
+ */
+export function createProviders(ids, env) {
+  return ids.flatMap(id => {
+    const factory = providerFactories[id];
+    if (!factory) {
+      console.warn(`Unknown resource provider "${id}" (available: ${PROVIDER_IDS.join(', ')})`);
+      return [];
+    }
+    return [factory(env)];
+  });
+}
+
+/**
+ * Ask each configured provider in turn until one returns valid links
+ * @param {Array<Object>} providers - From createProviders
+ * @param {Object} query - { id, parent, region, description }
+ * @param {Object} validation - Options for validateLinks
+ * @returns {Promise<Object>} { provider, links, parse } (up to 3 links,
+ * verified first; parse is null unless the provider reports it)
+ * @throws {Error} When no provider produced links
+ */
+export async function lookupWithFallback(providers, query, validation) {
+  const configured = providers.filter(provider => provider.isConfigured());
+  if (configured.length === 0) {
+    throw new Error('No resource provider is configured');
+  }
+
+  for (const provider of configured) {
+    try {
+      const result = await provider.lookup(query);
+      const links = await validateLinks(result.links, validation);
+      if (links.length > 0) {
+        return {
+          provider: { id: provider.id, name: provider.name },
+          // Verified links first, keeping the provider's order otherwise
+          links: links.sort((a, b) => Number(b.verified) - Number(a.verified)).slice(0, 3),
+          parse: result.parse || null
+        };
+      }
+      console.warn(`${provider.name} returned no usable links for "${query.region}"`);
+    } catch (error) {
+      console.warn(`${provider.name} lookup failed for "${query.region}":`, error.message);
+    }
+  }
+
+  throw new Error('Every resource provider failed');
+}
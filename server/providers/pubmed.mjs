@@ -0,0 +1,60 @@
+/**
+ * PubMed provider
+ * Searches PubMed through the NCBI E-utilities (esearch + esummary) for
+ * recent reviews about a region. Needs no key; an NCBI API key raises the
+ * rate limit from 3 to 10 requests per second.
+ */
+
+const DEFAULT_EUTILS_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+
+/**
+ * Create the PubMed E-utilities provider
+ * @param {Object} options - { baseUrl, apiKey, maxResults, timeoutMs }
+ * @returns {Object} Resource provider (see providers/index.mjs)
+ */
+export function createPubMedProvider({ baseUrl = DEFAULT_EUTILS_URL, apiKey = '', maxResults = 3, timeoutMs = 10000 } = {}) {
+  const request = async (tool, params) => {
+    const query = new URLSearchParams({ db: 'pubmed', retmode: 'json', tool: 'mind-map', ...params });
+    if (apiKey) query.set('api_key', apiKey);
+
+    // Give up in time for the next provider to answer
+    const response = await fetch(`${baseUrl}/${tool}.fcgi?${query}`, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`PubMed ${tool} error: ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return {
+    id: 'pubmed',
+    name: 'PubMed',
+    isConfigured: () => true,
+
+    async lookup({ region }) {
+      const search = await request('esearch', {
+        term: `(${region}[Title/Abstract]) AND brain AND review[Publication Type]`,
+        sort: 'relevance',
+        retmax: String(maxResults)
+      });
+
+      const ids = search.esearchresult?.idlist || [];
+      if (ids.length === 0) return { links: [] };
+
+      const summary = await request('esummary', { id: ids.join(',') });
+
+      const links = ids
+        .map(id => summary.result?.[id])
+        .filter(Boolean)
+        .map(article => ({
+          title: article.title.replace(/\.$/, ''),
+          url: `https://pubmed.ncbi.nlm.nih.gov/${article.uid}/`,
+          source: article.source,
+          year: Number(article.pubdate?.slice(0, 4)) || undefined,
+          type: 'review'
+        }));
+      return { links };
+    }
+  };
+}
+
+export default createPubMedProvider;
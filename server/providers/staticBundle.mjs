@@ -0,0 +1,47 @@
+/**
+ * Static bundle provider
+ * Serves hand-curated links from a JSON file keyed by region id:
+ *   { "default_mode_network": [{ "title": "...", "url": "..." }], ... }
+ * Subnetworks without their own entry use their parent network's links.
+ */
+
+import { readFile } from 'node:fs/promises';
+
+/**
+ * Create the static JSON bundle provider
+ * @param {Object} options - { filePath }
+ * @returns {Object} Resource provider (see providers/index.mjs)
+ */
+export function createStaticBundleProvider({ filePath }) {
+  let bundlePromise = null;
+
+  const loadBundle = () => {
+    if (!bundlePromise) {
+      bundlePromise = readFile(filePath, 'utf8')
+        .then(text => JSON.parse(text))
+        .catch(error => {
+          bundlePromise = null;
+          throw error;
+        });
+    }
+    return bundlePromise;
+  };
+
+  // Only the bundle's own array entries, never inherited keys ('constructor')
+  const getEntry = (bundle, key) => {
+    return key && Object.hasOwn(bundle, key) && Array.isArray(bundle[key]) ? bundle[key] : null;
+  };
+
+  return {
+    id: 'static',
+    name: 'Curated links',
+    isConfigured: () => Boolean(filePath),
+
+    async lookup({ id, parent }) {
+      const bundle = await loadBundle();
+      return { links: getEntry(bundle, id) || getEntry(bundle, parent) || [] };
+    }
+  };
+}
+
+export default createStaticBundleProvider;
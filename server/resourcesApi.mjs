@@ -0,0 +1,155 @@
+/**
+ * Resources API
+ * Server side of the educational resource lookup: owns the provider keys,
+ * asks the configured providers (providers/) for links about a region,
+ * vets them (linkValidation.mjs) and rate limits each client.
+ * The handler is connect-style, so it runs both as Vite dev/preview
+ * middleware and in the standalone server (server/index.mjs).
+ */
+
+import { DEFAULT_ALLOWED_DOMAINS, DEFAULT_DENIED_DOMAINS } from './linkValidation.mjs';
+import { createProviders, lookupWithFallback } from './providers/index.mjs';
+
+// Providers tried in order when RESOURCES_PROVIDERS is not set
+const DEFAULT_PROVIDERS = 'perplexity,pubmed,static';
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Read the API configuration from environment variables
+ * @param {Object} env - Variables (process.env or Vite's loadEnv result)
+ * @returns {Object} { providers, rateLimit, rateWindowMs, trustProxy,
+ * allowedDomains, deniedDomains, checkLinks, dropUnverified }
+ */
+export function resourcesApiConfigFromEnv(env) {
+  return {
+    // Ordered fallback chain; each provider reads its own settings from env
+    // (point PERPLEXITY_API_URL at server/mockLlm.mjs to test without a key)
+    providers: createProviders(parseList(env.RESOURCES_PROVIDERS || DEFAULT_PROVIDERS), env),
+    rateLimit: Number(env.RESOURCES_RATE_LIMIT) || 20,
+    rateWindowMs: Number(env.RESOURCES_RATE_WINDOW_MS) || 60 * 1000,
+    // Reverse proxies in front of the server whose X-Forwarded-For entries
+    // are trusted ('true' = 1); without any the socket address is used
+    trustProxy: env.TRUST_PROXY === 'true' ? 1 : Math.max(0, Math.floor(Number(env.TRUST_PROXY) || 0)),
+    // Extra domains on top of the built-in lists
+    allowedDomains: [...DEFAULT_ALLOWED_DOMAINS, ...parseList(env.RESOURCES_ALLOWED_DOMAINS)],
+    deniedDomains: [...DEFAULT_DENIED_DOMAINS, ...parseList(env.RESOURCES_DENIED_DOMAINS)],
+    // HEAD-check every link before returning it (adds latency)
+    checkLinks: env.RESOURCES_CHECK_LINKS === 'true',
+    // 'drop' removes links outside the allowlist instead of flagging them
+    dropUnverified: env.RESOURCES_UNVERIFIED === 'drop'
+  };
+}
+
+/**
+ * Fixed-window request counter per client
+ * @param {Object} options - { limit, windowMs }
+ * @returns {Object} { check(clientId) → { allowed, retryAfter } }
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  return {
+    check(clientId, now = Date.now()) {
+      // Forget finished windows so the map only holds active clients
+      if (windows.size > 1000) {
+        windows.forEach((entry, id) => {
+          if (now - entry.start >= windowMs) windows.delete(id);
+        });
+      }
+
+      let entry = windows.get(clientId);
+      if (!entry || now - entry.start >= windowMs) {
+        entry = { start: now, count: 0 };
+        windows.set(clientId, entry);
+      }
+
+      entry.count += 1;
+      return {
+        allowed: entry.count <= limit,
+        retryAfter: Math.ceil((entry.start + windowMs - now) / 1000)
+      };
+    }
+  };
+}
+
+/**
+ * Identify the client for rate limiting. X-Forwarded-For is set by the
+ * client as much as by proxies, so it is only read behind trusted proxies:
+ * each appends the address it got the request from, and the entry added by
+ * the outermost of trustProxy proxies is the client.
+ * @param {number} trustProxy - Number of trusted proxies (0 ignores the header)
+ */
+export function getClientId(req, trustProxy = 0) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (trustProxy > 0 && typeof forwarded === 'string') {
+    const hops = forwarded.split(',').map(hop => hop.trim()).filter(Boolean);
+    if (hops.length > 0) return hops[Math.max(0, hops.length - trustProxy)];
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+export function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the GET /api/resources?region=&id=&parent=&description= handler
+ * @param {Object} config - See resourcesApiConfigFromEnv
+ * @returns {Function} (req, res, next) middleware; passes on other paths
+ */
+export function createResourcesHandler(config) {
+  const limiter = createRateLimiter({ limit: config.rateLimit, windowMs: config.rateWindowMs });
+
+  return async (req, res, next) => {
+    const url = new URL(req.originalUrl || req.url, 'http://localhost');
+    if (url.pathname !== '/api/resources') {
+      // Returned so the caller sees rejections further down the chain
+      return next?.();
+    }
+
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method not allowed' }, { 'Allow': 'GET' });
+      return;
+    }
+
+    const region = url.searchParams.get('region')?.trim();
+    if (!region) {
+      sendJson(res, 400, { error: 'Missing region parameter' });
+      return;
+    }
+
+    const { allowed, retryAfter } = limiter.check(getClientId(req, config.trustProxy));
+    if (!allowed) {
+      sendJson(res, 429, { error: 'Too many requests' }, { 'Retry-After': String(retryAfter) });
+      return;
+    }
+
+    if (!config.providers.some(provider => provider.isConfigured())) {
+      sendJson(res, 503, { error: 'Resource lookup is not configured (see RESOURCES_PROVIDERS)' });
+      return;
+    }
+
+    try {
+      const { provider, links, parse } = await lookupWithFallback(config.providers, {
+        id: url.searchParams.get('id') || '',
+        parent: url.searchParams.get('parent') || '',
+        region,
+        description: url.searchParams.get('description') || ''
+      }, {
+        allowedDomains: config.allowedDomains,
+        deniedDomains: config.deniedDomains,
+        checkReachability: config.checkLinks,
+        dropUnverified: config.dropUnverified
+      });
+      // parse tells how a model reply was read, for debugging odd output
+      sendJson(res, 200, { region, provider, links, ...(parse && { parse }) });
+    } catch (error) {
+      console.error(`Resource lookup failed for "${region}":`, error.message);
+      sendJson(res, 502, { error: 'Resource lookup failed' });
+    }
+  };
+}
+
+export default createResourcesHandler;
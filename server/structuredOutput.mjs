@@ -0,0 +1,177 @@
+/**
+ * Structured Output
+ * Tolerant parsing of the resource lists models return: finds the JSON
+ * array in bare, fenced or prose-wrapped replies and checks each entry
+ * against the resource schema, reporting which path succeeded so odd
+ * model output can be debugged from the server log.
+ *
+ *   { title: string, url: http(s) URL, source?: string, year?: number,
+ *     type?: one of RESOURCE_TYPES }
+ */
+
+export const RESOURCE_TYPES = [
+  'article', 'review', 'book', 'chapter', 'video', 'course',
+  'encyclopedia', 'website', 'dataset', 'other'
+];
+
+// Property names models use when they wrap the array in an object
+const WRAPPER_KEYS = ['resources', 'links', 'results', 'items', 'data'];
+
+const FENCE_PATTERN = /```[a-zA-Z]*\s*\n?([\s\S]*?)```/g;
+
+// Replies are short; bound the scan for embedded JSON all the same
+const MAX_EMBEDDED_ATTEMPTS = 20;
+
+const tryParse = (text) => {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch {
+    return { ok: false };
+  }
+};
+
+/**
+ * Find the end of the JSON value opening at text[start], honouring strings
+ * @returns {number} Index just past the closing bracket, or -1
+ */
+function findBalancedEnd(text, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i += 1) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i += 1;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      stack.push(char === '[' ? ']' : '}');
+    } else if (char === ']' || char === '}') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Turn a parsed value into a list of candidate entries
+ * @returns {Array|null} Entries, or null when the value holds no list
+ */
+function unwrapEntries(value) {
+  if (Array.isArray(value)) return value;
+  if (!value || typeof value !== 'object') return null;
+
+  const key = WRAPPER_KEYS.find(name => Array.isArray(value[name]))
+    || Object.keys(value).find(name => Array.isArray(value[name]));
+  if (key) return value[key];
+
+  // A lone resource object
+  return 'url' in value ? [value] : null;
+}
+
+/**
+ * Locate the resource list in a model reply
+ * @param {string} content - Raw message content
+ * @returns {Object} { entries, path } where path is 'json' (the whole reply
+ * parsed), 'fenced' (a ``` block), 'embedded' (JSON inside prose) or
+ * 'none' with entries null
+ */
+export function extractJsonEntries(content) {
+  const text = (content || '').trim();
+
+  const whole = tryParse(text);
+  if (whole.ok && unwrapEntries(whole.value)) {
+    return { entries: unwrapEntries(whole.value), path: 'json' };
+  }
+
+  for (const [, block] of text.matchAll(FENCE_PATTERN)) {
+    const fenced = tryParse(block.trim());
+    if (fenced.ok && unwrapEntries(fenced.value)) {
+      return { entries: unwrapEntries(fenced.value), path: 'fenced' };
+    }
+  }
+
+  // Arrays first: '{' inside an array would otherwise win
+  for (const opener of ['[', '{']) {
+    let start = text.indexOf(opener);
+    for (let attempt = 0; start !== -1 && attempt < MAX_EMBEDDED_ATTEMPTS; attempt += 1) {
+      const end = findBalancedEnd(text, start);
+      if (end !== -1) {
+        const embedded = tryParse(text.slice(start, end));
+        // Skip bracketed prose like '[1]' that happens to be valid JSON
+        if (embedded.ok && unwrapEntries(embedded.value)?.some(entry => entry && typeof entry === 'object')) {
+          return { entries: unwrapEntries(embedded.value), path: 'embedded' };
+        }
+      }
+      start = text.indexOf(opener, start + 1);
+    }
+  }
+
+  return { entries: null, path: 'none' };
+}
+
+/**
+ * Check one entry against the resource schema
+ * @param {*} entry - Parsed entry
+ * @returns {Object} { resource, issues } with resource null when the entry
+ * lacks a usable title or URL; invalid optional fields are dropped and noted
+ */
+export function validateResourceEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { resource: null, issues: ['entry is not an object'] };
+  }
+
+  const title = typeof entry.title === 'string' ? entry.title.trim() : '';
+  const url = typeof entry.url === 'string' ? entry.url.trim() : '';
+  if (!title) return { resource: null, issues: ['missing title'] };
+  if (!/^https?:\/\//i.test(url)) return { resource: null, issues: [`"${title}" has no http(s) url`] };
+
+  const resource = { title, url };
+  const issues = [];
+
+  if (entry.source !== undefined) {
+    if (typeof entry.source === 'string' && entry.source.trim()) resource.source = entry.source.trim();
+    else issues.push(`"${title}" has an invalid source`);
+  }
+
+  if (entry.year !== undefined) {
+    const year = Number(entry.year);
+    if (Number.isInteger(year) && year >= 1800 && year <= new Date().getFullYear() + 1) resource.year = year;
+    else issues.push(`"${title}" has an invalid year`);
+  }
+
+  if (entry.type !== undefined) {
+    const type = typeof entry.type === 'string' ? entry.type.trim().toLowerCase() : '';
+    if (RESOURCE_TYPES.includes(type)) resource.type = type;
+    else issues.push(`"${title}" has an unknown type`);
+  }
+
+  return { resource, issues };
+}
+
+/**
+ * Parse a model reply into schema-checked resources
+ * @param {string} content - Raw message content
+ * @returns {Object} { resources, path, issues } (see extractJsonEntries for
+ * path; issues lists rejected entries and dropped fields)
+ */
+export function parseResourceResponse(content) {
+  const { entries, path } = extractJsonEntries(content);
+  if (!entries) {
+    return { resources: [], path, issues: ['no JSON array found'] };
+  }
+
+  const issues = [];
+  const resources = entries.flatMap(entry => {
+    const result = validateResourceEntry(entry);
+    issues.push(...result.issues);
+    return result.resource ? [result.resource] : [];
+  });
+
+  if (entries.length === 0) issues.push('empty array');
+  return { resources, path, issues };
+}
+
+export default parseResourceResponse;
@@ -1,49 +1,258 @@
-import { useState, Suspense, useEffect } from 'react';
+import { useState, Suspense, useEffect, useRef, useCallback } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { Environment, OrbitControls } from '@react-three/drei';
 import './App.css';
-import { brainStructure, getMainRegions } from './data/brainStructure';
+import {
+  getAtlas,
+  getAtlases,
+  registerAtlas,
+  unregisterAtlas,
+  DEFAULT_ATLAS_ID,
+  USER_ATLAS_ID,
+  HEMISPHERES,
+  getRegionViewpoint
+} from './atlases';
 import { GltfBrainModel } from './components/GltfBrainModel';
-import { fetchRelevantLinks } from './services/perplexityService';
+import { CameraPoseSync } from './components/CameraPoseSync';
+import { CameraFlyTo } from './components/CameraFlyTo';
+import { PresentationRotation, ROTATION_AXES } from './components/PresentationRotation';
+import { AskAboutRegion } from './components/AskAboutRegion';
+import { ConnectivityEdges } from './components/ConnectivityEdges';
+import { ConnectionInfo } from './components/ConnectionInfo';
+import { ConnectivityPanel } from './components/ConnectivityPanel';
+import { QuizPanel } from './components/QuizPanel';
+import { LessonPlayer } from './components/LessonPlayer';
+import { SurfacePins } from './components/SurfacePins';
+import { PinsPanel } from './components/PinsPanel';
+import { NetworkComparison } from './components/NetworkComparison';
+import { BRAIN_SURFACES } from './data/brainSurfaces';
+import { brainStructure, getRegionNetwork, getRegionReferences, getAllReferences } from './data/brainStructure';
+import { getConnections } from './data/networkConnectivity';
+import { loadRelevantLinks } from './services/resourceCache';
+import { readUrlState, writeUrlState, patchUrlState } from './services/urlStateService';
+import { CITATION_FORMATS, downloadCitations, formatAuthorsShort } from './services/citationService';
+import { loadUserModel, ACCEPTED_FILE_TYPES } from './services/userModelService';
+import { createQuiz, answerQuestion, nextQuestion, getCurrentQuestion } from './services/quizService';
+import { parseLesson, createLesson, createLessonStep, getStepViewpoint, downloadLesson } from './services/lessonService';
+import { loadPins, savePins, createPin, parsePins, mergePins, downloadPins } from './services/pinService';
+import { toggleComparedRegion } from './services/comparisonService';
+
+// Resolve URL state against the atlas registry, dropping unknown values
+const resolveUrlView = (urlState) => {
+  const atlas = getAtlas(urlState.atlas || DEFAULT_ATLAS_ID);
+  return {
+    atlasId: atlas.id,
+    granularity: atlas.granularities.includes(urlState.granularity) ? urlState.granularity : atlas.defaultGranularity,
+    region: urlState.region ? atlas.getRegionById(urlState.region) : null,
+    hemisphere: HEMISPHERES[urlState.hemisphere] ? urlState.hemisphere : null,
+    info: urlState.info,
+    camera: urlState.camera
+  };
+};
+
+// Rough age of cached links for the drawer ('5 min', '3 h', '2 d')
+const formatAge = (timestamp) => {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return `${Math.round(minutes / (24 * 60))} d ago`;
+};
+
+// Changes to these add a browser history entry; drawer and camera changes
+// only update the current one
+const getNavigationKey = ({ atlasId, granularity, region, hemisphere }) => {
+  return [atlasId, granularity, region?.id, hemisphere].join('|');
+};
+
+// Search result text with the matched words marked
+const renderSearchSegments = (segments) => segments.map((segment, index) => (
+  segment.match
+    ? <mark key={index} className="search-highlight">{segment.text}</mark>
+    : segment.text
+));
 
 // Main App Component
 function App() {
-  const [selectedRegion, setSelectedRegion] = useState(null);
-  const [autoRotate, setAutoRotate] = useState(false);
+  // View from a shared link, read once on load
+  const [initialView] = useState(() => resolveUrlView(readUrlState()));
+
+  const [selectedRegion, setSelectedRegion] = useState(initialView.region);
+  const [selectedHemisphere, setSelectedHemisphere] = useState(initialView.hemisphere);
+  const [visibleHemispheres, setVisibleHemispheres] = useState({ lh: true, rh: true });
+  const [splitHemispheres, setSplitHemispheres] = useState(false);
+  // Hemispheres the model has separate meshes for
+  const [modelHemispheres, setModelHemispheres] = useState(Object.keys(HEMISPHERES));
+  const [availableSurfaces, setAvailableSurfaces] = useState(BRAIN_SURFACES.slice(0, 1));
+  const [surfaceMorph, setSurfaceMorph] = useState(0);
+  const [rotationMode, setRotationMode] = useState('off');
+  const [rotationSpeed, setRotationSpeed] = useState(0.3);
+  const [rotationAxis, setRotationAxis] = useState('vertical');
+  const [tourView, setTourView] = useState(null);
+  const [atlasId, setAtlasId] = useState(initialView.atlasId);
+  const [granularity, setGranularity] = useState(initialView.granularity);
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [showSearchResults, setShowSearchResults] = useState(false);
-  const [isInfoPanelOpen, setIsInfoPanelOpen] = useState(false);
+  const [isInfoPanelOpen, setIsInfoPanelOpen] = useState(Boolean(initialView.info));
   const [relevantLinks, setRelevantLinks] = useState([]);
   const [loadingLinks, setLoadingLinks] = useState(false);
+  const [linksStatus, setLinksStatus] = useState(null);
+  const [linksRequest, setLinksRequest] = useState(0);
+  const [cameraPose, setCameraPose] = useState(initialView.camera);
+  const [flyToViewpoint, setFlyToViewpoint] = useState(null);
+  const [showConnectivity, setShowConnectivity] = useState(false);
+  const [connectivityThreshold, setConnectivityThreshold] = useState(0.2);
+  const [selectedConnection, setSelectedConnection] = useState(null);
+  const [showConnectivityPanel, setShowConnectivityPanel] = useState(false);
+  const [hoveredNetworks, setHoveredNetworks] = useState(null);
+  const [userMeshes, setUserMeshes] = useState(null);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const [dropStatus, setDropStatus] = useState(null);
+  const [showQuiz, setShowQuiz] = useState(false);
+  const [quiz, setQuiz] = useState(null);
+  const [showLessons, setShowLessons] = useState(false);
+  const [lesson, setLesson] = useState(null);
+  const [lessonStepIndex, setLessonStepIndex] = useState(0);
+  const [lessonError, setLessonError] = useState(null);
+  const [pins, setPins] = useState(() => loadPins());
+  const [showPins, setShowPins] = useState(false);
+  const [isPlacingPin, setIsPlacingPin] = useState(false);
+  const [selectedPinId, setSelectedPinId] = useState(null);
+  const [pinsError, setPinsError] = useState(null);
+  const [comparedRegions, setComparedRegions] = useState([]);
+
+  // A region restored from the URL keeps the drawer state the URL gives
+  const skipAutoOpenRef = useRef(initialView.info === null ? null : initialView.region);
+  const navigationKeyRef = useRef(null);
+  const refreshLinksRef = useRef(false);
+  const fileInputRef = useRef(null);
+  // Where the camera last came to rest, for recording lesson steps
+  const cameraPoseRef = useRef(initialView.camera);
 
-  // Fetch relevant links when a region is selected
+  const atlas = getAtlas(atlasId);
+  const currentSurface = availableSurfaces[Math.round(surfaceMorph)] || availableSurfaces[0];
+  const parentRegion = selectedRegion?.parentRegion ? atlas.getRegionById(selectedRegion.parentRegion) : null;
+  const keyPapers = getRegionReferences(selectedRegion);
+  const connections = showConnectivity ? getConnections(connectivityThreshold) : [];
+  // Network the selection belongs to, whose row the connectivity panel highlights
+  const selectedNetworkId = getRegionNetwork(selectedRegion)?.id;
+  // Once a quiz question is answered, the brain shows the correct network
+  const quizStep = showQuiz && quiz ? getCurrentQuestion(quiz) : null;
+  const quizHighlight = quizStep?.answer ? [quizStep.question.answerId] : null;
+  // Key regions the current lesson step highlights in the drawer
+  const lessonStep = showLessons ? lesson?.steps[lessonStepIndex] : null;
+  const lessonKeyRegions = lessonStep?.network === selectedRegion?.id ? lessonStep.keyRegions : [];
+  const lessonRecordHint = !selectedRegion
+    ? 'Select a network to record'
+    : lesson && lesson.atlas !== atlasId
+      ? `This lesson uses ${getAtlas(lesson.atlas).shortName}; switch back to record`
+      : 'Record the selection, camera and narration as a new step';
+  // Pins stay on the brain with their panel closed, but not during a quiz
+  const showSurfacePins = pins.length > 0 && !showQuiz;
+  // Pins dropped on a mesh spanning the midline go with the side they lie
+  // on once the model has hemisphere meshes
+  const getPinHemisphere = (pin) => pin.hemisphere ||
+    (modelHemispheres.length > 0 ? (pin.position[0] < 0 ? 'lh' : 'rh') : null);
+  // Two or three shift-selected networks replace the single selection
+  const isComparing = comparedRegions.length >= 2;
+  const comparedIds = comparedRegions.map(region => region.id);
+  // Search hits light up on the brain while typing (not during a quiz)
+  const searchHighlight = showSearchResults && !showQuiz ? searchResults.map(hit => hit.region.id) : null;
+  const highlightedRegions = (quizHighlight || hoveredNetworks || searchHighlight || (isComparing ? comparedIds : null))?.map(id => atlas.getRegionById(id) || brainStructure[id]);
+
+  // Fetch relevant links when a region is selected (cached per atlas and region)
   useEffect(() => {
     if (selectedRegion) {
+      let cancelled = false;
+      const refresh = refreshLinksRef.current;
+      refreshLinksRef.current = false;
+
       setLoadingLinks(true);
       setRelevantLinks([]);
 
-      fetchRelevantLinks(selectedRegion.name, selectedRegion.description)
-        .then(links => {
-          setRelevantLinks(links);
+      loadRelevantLinks(selectedRegion, atlasId, { refresh })
+        .then(result => {
+          if (cancelled) return;
+          setRelevantLinks(result.links);
+          setLinksStatus({ source: result.source, provider: result.provider, fetchedAt: result.fetchedAt });
           setLoadingLinks(false);
         })
         .catch(error => {
           console.error('Error fetching links:', error);
-          setLoadingLinks(false);
+          if (!cancelled) setLoadingLinks(false);
         });
+
+      return () => {
+        cancelled = true;
+      };
     } else {
       setRelevantLinks([]);
+      setLinksStatus(null);
     }
+  }, [selectedRegion, atlasId, linksRequest]);
+
+  // Keep the pins in localStorage
+  useEffect(() => {
+    savePins(pins);
+  }, [pins]);
+
+  // A region selection replaces the connection or comparison shown in the drawer
+  useEffect(() => {
+    setSelectedConnection(null);
+    setComparedRegions([]);
   }, [selectedRegion]);
 
   // Auto-open info panel when region is selected
   useEffect(() => {
-    if (selectedRegion) {
+    if (selectedRegion && selectedRegion !== skipAutoOpenRef.current) {
       setIsInfoPanelOpen(true);
     }
+    skipAutoOpenRef.current = null;
   }, [selectedRegion]);
 
+  // Mirror the view in the URL: navigation pushes a history entry so
+  // back/forward walk the breadcrumb trail
+  const navigationKey = getNavigationKey({ atlasId, granularity, region: selectedRegion, hemisphere: selectedHemisphere });
+  useEffect(() => {
+    const isNavigation = navigationKeyRef.current !== null && navigationKeyRef.current !== navigationKey;
+    navigationKeyRef.current = navigationKey;
+
+    writeUrlState({
+      atlas: atlasId,
+      granularity,
+      region: selectedRegion?.id,
+      hemisphere: selectedHemisphere,
+      info: isInfoPanelOpen,
+      camera: readUrlState().camera
+    }, { replace: !isNavigation });
+  }, [navigationKey, isInfoPanelOpen]);
+
+  // Restore the view when the user moves through history
+  useEffect(() => {
+    const handlePopState = () => {
+      const view = resolveUrlView(readUrlState());
+
+      navigationKeyRef.current = getNavigationKey(view);
+      skipAutoOpenRef.current = view.info === null ? null : view.region;
+
+      setAtlasId(view.atlasId);
+      setGranularity(view.granularity);
+      setSelectedRegion(view.region);
+      setSelectedHemisphere(view.hemisphere);
+      if (view.info !== null) setIsInfoPanelOpen(view.info);
+      if (view.camera) setCameraPose(view.camera);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const handleCameraPoseChange = useCallback((pose) => {
+    cameraPoseRef.current = pose;
+    patchUrlState({ camera: pose });
+  }, []);
+
   // Handle search input
   const handleSearch = (query) => {
     setSearchQuery(query);
@@ -54,59 +263,347 @@ function App() {
       return;
     }
 
-    const lowerQuery = query.toLowerCase();
-    const results = [];
-
-    Object.values(brainStructure).forEach(region => {
-      if (region.name.toLowerCase().includes(lowerQuery)) {
-        results.push({ ...region, searchType: 'REGION' });
-      }
-
-      if (region.parts) {
-        region.parts.forEach(part => {
-          if (part.name.toLowerCase().includes(lowerQuery) ||
-              part.description.toLowerCase().includes(lowerQuery)) {
-            results.push({
-              ...part,
-              searchType: 'PART',
-              parentRegion: region.id,
-              parentName: region.name
-            });
-          }
-        });
-      }
-    });
+    // Ranked hits across names, functions and clinical notes
+    const results = atlas.search(query);
 
     setSearchResults(results);
     setShowSearchResults(results.length > 0);
   };
 
+  // Turn the camera to the selected region's best viewpoint; this takes
+  // over from any running rotation or tour
+  const flyToRegion = (region, hemisphere = null) => {
+    setFlyToViewpoint(getRegionViewpoint(region, hemisphere));
+    setRotationMode('off');
+  };
+
   // Navigate to search result
   const handleSearchResultClick = (result) => {
-    if (result.searchType === 'REGION') {
-      setSelectedRegion(result);
-    } else if (result.parentRegion && brainStructure[result.parentRegion]) {
-      setSelectedRegion(brainStructure[result.parentRegion]);
+    const isSelectable = atlas.getRegions(granularity).some(region => region.id === result.id);
+
+    let region = null;
+    if (result.type !== 'PART' || isSelectable) {
+      region = atlas.getRegionById(result.id);
+    } else if (result.parentRegion) {
+      region = atlas.getRegionById(result.parentRegion);
+    }
+
+    if (region) {
+      setSelectedRegion(region);
+      setSelectedHemisphere(null);
+      flyToRegion(region);
     }
     setSearchQuery('');
     setShowSearchResults(false);
   };
 
-  const handleRegionClick = (region) => {
+  // Clicks on the surface report the hemisphere; chips select both.
+  // Shift-clicks build a comparison of two or three networks.
+  const handleRegionClick = (region, { hemisphere = null, shiftKey = false } = {}) => {
+    // During a quiz, clicks answer 'locate' questions instead of selecting
+    if (showQuiz) {
+      if (quizStep?.question?.type === 'locate' && !quizStep.answer) {
+        setQuiz(answerQuestion(quiz, getRegionNetwork(region)?.id ?? null));
+      }
+      return;
+    }
+
+    if (shiftKey) {
+      const next = toggleComparedRegion(comparedRegions, region, selectedRegion);
+      if (next.length >= 2) {
+        setComparedRegions(next);
+        setSelectedConnection(null);
+        setIsInfoPanelOpen(true);
+        return;
+      }
+      // Shift-clicking the only selected network deselects it
+      if (next.length === 0) {
+        setComparedRegions([]);
+        setSelectedRegion(null);
+        setSelectedHemisphere(null);
+        return;
+      }
+      // Down to one network: back to a plain selection
+      region = atlas.getRegionById(next[0].id) || next[0];
+      hemisphere = null;
+    }
+
+    setComparedRegions([]);
+    setSelectedRegion(region);
+    setSelectedHemisphere(hemisphere);
+    flyToRegion(region, hemisphere);
+  };
+
+  const handleEdgeClick = (connection) => {
+    setComparedRegions([]);
+    setSelectedConnection(connection);
+    setIsInfoPanelOpen(true);
+  };
+
+  // Open a network from the connection drawer (atlases without the Yeo
+  // networks still show its data)
+  const handleSelectConnectionNetwork = (network) => {
+    setSelectedConnection(null);
+    handleRegionClick(atlas.getRegionById(network.id) || network);
+  };
+
+  const handleToggleConnectivity = () => {
+    setShowConnectivity(!showConnectivity);
+    setSelectedConnection(null);
+  };
+
+  // The matrix, quiz, lesson and pins panels share the top-left slot; the
+  // open lesson and the pins are kept when their panel closes
+  const closePanels = () => {
+    setShowConnectivityPanel(false);
+    setHoveredNetworks(null);
+    setShowQuiz(false);
+    setQuiz(null);
+    setShowLessons(false);
+    setLessonError(null);
+    setShowPins(false);
+    setIsPlacingPin(false);
+    setPinsError(null);
+  };
+
+  const handleToggleConnectivityPanel = () => {
+    closePanels();
+    setShowConnectivityPanel(!showConnectivityPanel);
+  };
+
+  // The quiz hides the names while it runs
+  const handleToggleQuiz = () => {
+    closePanels();
+    setShowQuiz(!showQuiz);
+  };
+
+  const handleStartQuiz = (length) => {
+    setQuiz(createQuiz({ length }));
+    setSelectedRegion(null);
+    setSelectedHemisphere(null);
+    setSelectedConnection(null);
+    setIsInfoPanelOpen(false);
+  };
+
+  const handleToggleLessons = () => {
+    closePanels();
+    setShowLessons(!showLessons);
+  };
+
+  // Show a lesson step: its atlas, network and camera, with the drawer open
+  const goToLessonStep = (targetLesson, index) => {
+    const step = targetLesson.steps[index];
+    if (!step) return;
+
+    const lessonAtlas = getAtlas(targetLesson.atlas);
+    const region = lessonAtlas.getRegionById(step.network);
+    if (lessonAtlas.id !== atlasId) {
+      setAtlasId(lessonAtlas.id);
+      setGranularity(step.granularity || lessonAtlas.defaultGranularity);
+    } else if (step.granularity) {
+      setGranularity(step.granularity);
+    }
     setSelectedRegion(region);
+    setSelectedHemisphere(step.hemisphere);
+    setIsInfoPanelOpen(true);
+    setFlyToViewpoint(getStepViewpoint(step) || getRegionViewpoint(region, step.hemisphere));
+    setRotationMode('off');
+    setLessonStepIndex(index);
+  };
+
+  const handleOpenLesson = async (file) => {
+    try {
+      const nextLesson = parseLesson(await file.text());
+      setLesson(nextLesson);
+      setLessonError(null);
+      goToLessonStep(nextLesson, 0);
+    } catch (error) {
+      console.error('Error opening lesson:', error);
+      setLessonError(`${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleNewLesson = () => {
+    setLesson(createLesson({ atlas: atlasId }));
+    setLessonStepIndex(0);
+    setLessonError(null);
+  };
+
+  // Record the current view as a step after the current one
+  const handleRecordLessonStep = ({ narration, keyRegions }) => {
+    const step = createLessonStep({
+      region: selectedRegion,
+      hemisphere: selectedHemisphere,
+      granularity,
+      camera: cameraPoseRef.current,
+      narration,
+      keyRegions
+    });
+    const index = lesson.steps.length === 0 ? 0 : lessonStepIndex + 1;
+    setLesson({ ...lesson, steps: [...lesson.steps.slice(0, index), step, ...lesson.steps.slice(index)] });
+    setLessonStepIndex(index);
+  };
+
+  const handleDeleteLessonStep = () => {
+    const steps = lesson.steps.filter((_, index) => index !== lessonStepIndex);
+    setLesson({ ...lesson, steps });
+    setLessonStepIndex(Math.max(0, Math.min(lessonStepIndex, steps.length - 1)));
+  };
+
+  const handleTogglePins = () => {
+    closePanels();
+    setShowPins(!showPins);
+  };
+
+  // While placing, a click on the brain drops a pin and opens it for editing
+  const handleSurfacePick = (hit) => {
+    const pin = createPin(hit, pins[pins.length - 1]?.color);
+    setPins([...pins, pin]);
+    setSelectedPinId(pin.id);
+    setIsPlacingPin(false);
+  };
+
+  const handleUpdatePin = (id, changes) => {
+    setPins(pins.map(pin => pin.id === id ? { ...pin, ...changes } : pin));
+  };
+
+  const handleDeletePin = (id) => {
+    setPins(pins.filter(pin => pin.id !== id));
+    setSelectedPinId(null);
+  };
+
+  const handleImportPins = async (file) => {
+    try {
+      setPins(mergePins(pins, parsePins(await file.text())));
+      setPinsError(null);
+    } catch (error) {
+      console.error('Error importing pins:', error);
+      setPinsError(`${file.name}: ${error.message}`);
+    }
+  };
+
+  // Hide or show a hemisphere, always keeping at least one on screen
+  const handleToggleHemisphere = (hemisphere) => {
+    setVisibleHemispheres(prev => {
+      const next = { ...prev, [hemisphere]: !prev[hemisphere] };
+      return next.lh || next.rh ? next : prev;
+    });
   };
 
   const handleBackToMainRegions = () => {
     setSelectedRegion(null);
   };
 
+  // Cycle through the atlas's granularities (Yeo: 7 ↔ 17 networks)
+  const handleToggleGranularity = () => {
+    const index = atlas.granularities.indexOf(granularity);
+    const next = atlas.granularities[(index + 1) % atlas.granularities.length];
+    setGranularity(next);
+
+    // A subnetwork selection collapses to its parent when it is no longer listed
+    if (parentRegion && !atlas.getRegions(next).some(region => region.id === selectedRegion.id)) {
+      setSelectedRegion(parentRegion);
+    }
+  };
+
+  const handleAtlasChange = (id) => {
+    const nextAtlas = getAtlas(id);
+    setAtlasId(nextAtlas.id);
+    setGranularity(nextAtlas.defaultGranularity);
+    setSelectedRegion(null);
+    setSearchQuery('');
+    setShowSearchResults(false);
+  };
+
+  // Refetch the selected region's links, bypassing the cache
+  const handleRefreshLinks = () => {
+    refreshLinksRef.current = true;
+    setLinksRequest(request => request + 1);
+  };
+
+  // Rotate and Tour buttons switch their mode on, or everything off
+  const handleToggleRotation = (mode) => {
+    setRotationMode(current => current === mode ? 'off' : mode);
+  };
+
+  // Surface variants that loaded, after the base model
+  // Without hemisphere meshes there is nothing to hide or split apart
+  const handleHemispheresLoaded = (hemispheres) => {
+    setModelHemispheres(hemispheres);
+    if (hemispheres.length === 0) setSplitHemispheres(false);
+  };
+
+  const handleSurfacesLoaded = (variants) => {
+    setAvailableSurfaces([BRAIN_SURFACES[0], ...variants]);
+    setSurfaceMorph(morph => Math.min(morph, variants.length));
+  };
+
+  // Load dropped surfaces and label files in place of the bundled model and atlas
+  const handleLoadFiles = async (files) => {
+    setDropStatus({ type: 'loading', message: `Loading ${files.length} file${files.length === 1 ? '' : 's'}…` });
+    try {
+      const result = await loadUserModel(files, { currentMeshes: userMeshes, baseModelPath: BRAIN_SURFACES[0].path });
+      if (result.meshes) {
+        setUserMeshes(result.meshes);
+      }
+      if (result.atlas) {
+        registerAtlas(result.atlas);
+        handleAtlasChange(result.atlas.id);
+      }
+      setDropStatus({
+        type: 'loaded',
+        message: [
+          result.meshes && `${result.meshes.length} surface mesh${result.meshes.length === 1 ? '' : 'es'}`,
+          result.atlas && `${result.atlas.getRegions().length} labelled regions`
+        ].filter(Boolean).join(' · ') + ` from ${result.fileNames.join(', ')}`
+      });
+    } catch (error) {
+      console.error('Error loading dropped files:', error);
+      setDropStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  // Accept file drags only, so dragging on the canvas still orbits
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDraggingFiles(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFiles(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDraggingFiles(false);
+    handleLoadFiles(e.dataTransfer.files);
+  };
+
+  // Back to the bundled model and atlases
+  const handleResetUserModel = () => {
+    setUserMeshes(null);
+    setDropStatus(null);
+    unregisterAtlas(USER_ATLAS_ID);
+    if (atlasId === USER_ATLAS_ID) {
+      handleAtlasChange(DEFAULT_ATLAS_ID);
+    }
+  };
+
   const handleClearSelection = () => {
     setSelectedRegion(null);
     setIsInfoPanelOpen(false);
   };
 
   return (
-    <div className="app-container">
+    <div
+      className="app-container"
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
       {/* Breadcrumb Navigation */}
       <div className="breadcrumb-nav">
         <div className="breadcrumb-content">
@@ -114,6 +611,17 @@ function App() {
             <img src="/mindmap.svg" alt="Mind Map Logo" className="app-logo" />
             Mind Map
           </h1>
+          <select
+            className="atlas-picker"
+            value={atlas.id}
+            onChange={(e) => handleAtlasChange(e.target.value)}
+            title={atlas.name}
+            aria-label="Atlas"
+          >
+            {getAtlases().map(item => (
+              <option key={item.id} value={item.id}>{item.shortName}</option>
+            ))}
+          </select>
           {selectedRegion && (
             <div className="breadcrumb-path">
               <button
@@ -123,6 +631,17 @@ function App() {
                 Networks
               </button>
               <span className="breadcrumb-separator">/</span>
+              {parentRegion && (
+                <>
+                  <button
+                    className="breadcrumb-link"
+                    onClick={() => setSelectedRegion(parentRegion)}
+                  >
+                    {parentRegion.name}
+                  </button>
+                  <span className="breadcrumb-separator">/</span>
+                </>
+              )}
               <span className="breadcrumb-current" style={{ color: selectedRegion.color }}>
                 {selectedRegion.name}
               </span>
@@ -166,6 +685,38 @@ function App() {
             <GltfBrainModel
               onRegionClick={handleRegionClick}
               selectedRegion={selectedRegion}
+              atlas={atlas}
+              granularity={granularity}
+              visibleHemispheres={tourView?.hemispheres || visibleHemispheres}
+              split={splitHemispheres}
+              modelPath={BRAIN_SURFACES[0].path}
+              surfaceMeshes={userMeshes}
+              surfaceVariants={userMeshes ? [] : BRAIN_SURFACES.slice(1)}
+              morph={surfaceMorph}
+              onSurfacesLoaded={handleSurfacesLoaded}
+              onHemispheresLoaded={handleHemispheresLoaded}
+              highlightedRegions={highlightedRegions}
+              labelsHidden={showQuiz}
+              onSurfacePick={showPins && isPlacingPin ? handleSurfacePick : undefined}
+              renderOverlay={showConnectivity || showSurfacePins ? (hemisphere) => (
+                <>
+                  {showConnectivity && (
+                    <ConnectivityEdges
+                      connections={connections}
+                      hemisphere={hemisphere}
+                      selectedConnectionId={selectedConnection?.id}
+                      onEdgeClick={handleEdgeClick}
+                    />
+                  )}
+                  {showSurfacePins && (
+                    <SurfacePins
+                      pins={pins.filter(pin => getPinHemisphere(pin) === hemisphere)}
+                      selectedPinId={selectedPinId}
+                      onSelectPin={setSelectedPinId}
+                    />
+                  )}
+                </>
+              ) : undefined}
             />
           </Suspense>
 
@@ -183,9 +734,105 @@ function App() {
             enableDamping={true}
             dampingFactor={0.05}
           />
+          <CameraPoseSync pose={cameraPose} onPoseChange={handleCameraPoseChange} />
+          <CameraFlyTo viewpoint={flyToViewpoint} />
+          <PresentationRotation
+            mode={rotationMode}
+            speed={rotationSpeed}
+            axis={rotationAxis}
+            onViewChange={setTourView}
+          />
         </Canvas>
       </div>
 
+      {/* Drop Zone and Dropped Files Status */}
+      {isDraggingFiles && (
+        <div className="drop-overlay">
+          <div className="drop-overlay-content">
+            <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
+              <path d="M12 3v12M7 10l5 5 5-5M5 21h14" />
+            </svg>
+            <p className="drop-overlay-title">Drop a brain surface and its labels</p>
+            <p className="drop-overlay-text">
+              Surfaces: GLB, OBJ or GIFTI (.surf.gii) · Labels: FreeSurfer .annot or GIFTI .label.gii, one per hemisphere
+            </p>
+          </div>
+        </div>
+      )}
+      {dropStatus && (
+        <div className={`drop-status drop-status-${dropStatus.type}`} role="status">
+          <span className="drop-status-message">{dropStatus.message}</span>
+          {dropStatus.type !== 'loading' && (
+            <button
+              className="drop-status-action"
+              onClick={dropStatus.type === 'loaded' ? handleResetUserModel : () => setDropStatus(null)}
+            >
+              {dropStatus.type === 'loaded' ? 'Use bundled brain' : 'Dismiss'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Network Quiz */}
+      {showQuiz && (
+        <QuizPanel
+          quiz={quiz}
+          onStart={handleStartQuiz}
+          onAnswer={(networkId) => setQuiz(answerQuestion(quiz, networkId))}
+          onNext={() => setQuiz(nextQuestion(quiz))}
+          onClose={handleToggleQuiz}
+        />
+      )}
+
+      {/* Guided Lesson Player */}
+      {showLessons && (
+        <LessonPlayer
+          lesson={lesson}
+          stepIndex={lessonStepIndex}
+          error={lessonError}
+          canRecord={Boolean(selectedRegion) && lesson?.atlas === atlasId}
+          recordHint={lessonRecordHint}
+          keyRegionOptions={selectedRegion?.keyRegions}
+          onOpenFile={handleOpenLesson}
+          onNewLesson={handleNewLesson}
+          onGoToStep={(index) => goToLessonStep(lesson, index)}
+          onRecordStep={handleRecordLessonStep}
+          onDeleteStep={handleDeleteLessonStep}
+          onRename={(title) => setLesson({ ...lesson, title })}
+          onSave={() => downloadLesson(lesson)}
+          onClose={handleToggleLessons}
+        />
+      )}
+
+      {/* Surface Pins */}
+      {showPins && (
+        <PinsPanel
+          pins={pins}
+          selectedPinId={selectedPinId}
+          isPlacing={isPlacingPin}
+          error={pinsError}
+          onTogglePlacing={() => setIsPlacingPin(!isPlacingPin)}
+          onSelectPin={setSelectedPinId}
+          onUpdatePin={handleUpdatePin}
+          onDeletePin={handleDeletePin}
+          onImport={handleImportPins}
+          onExport={() => downloadPins(pins)}
+          onClose={handleTogglePins}
+        />
+      )}
+
+      {/* Connectivity Matrix / Chord Panel */}
+      {showConnectivityPanel && (
+        <ConnectivityPanel
+          threshold={connectivityThreshold}
+          selectedNetworkId={selectedNetworkId}
+          onHoverNetworks={setHoveredNetworks}
+          onSelectNetwork={(id) => handleSelectConnectionNetwork(brainStructure[id])}
+          onSelectConnection={handleEdgeClick}
+          onClose={handleToggleConnectivityPanel}
+        />
+      )}
+
       {/* Bottom Control Bar */}
       <div className="control-bar">
         <div className="control-bar-content">
@@ -199,28 +846,33 @@ function App() {
             </div>
             <input
               type="text"
-              placeholder="Search brain networks..."
+              placeholder={`Search ${atlas.shortName} by region, function or symptom...`}
               value={searchQuery}
               onChange={(e) => handleSearch(e.target.value)}
               className="search-input"
             />
             {showSearchResults && (
               <div className="search-dropdown">
-                {searchResults.map((result, idx) => (
+                {searchResults.map(({ region: result, field, snippet, nameSegments }) => (
                   <button
-                    key={idx}
+                    key={result.id}
                     className="search-result"
                     onClick={() => handleSearchResultClick(result)}
                   >
                     <div className="search-result-badge" style={{
                       backgroundColor: result.color,
-                      opacity: result.searchType === 'REGION' ? 1 : 0.7
+                      opacity: result.type === 'PART' ? 0.7 : 1
                     }}></div>
                     <div className="search-result-content">
-                      <div className="search-result-name">{result.name}</div>
+                      <div className="search-result-name">{renderSearchSegments(nameSegments)}</div>
                       <div className="search-result-type">
-                        {result.searchType === 'PART' ? `Part of ${result.parentName}` : 'Main Region'}
+                        {result.type === 'PART' ? `Subnetwork of ${result.parentName}` : 'Main Region'}
                       </div>
+                      {field && (
+                        <div className="search-result-snippet">
+                          <span className="search-result-field">{field.label}:</span> {renderSearchSegments(snippet)}
+                        </div>
+                      )}
                     </div>
                   </button>
                 ))}
@@ -239,14 +891,172 @@ function App() {
               </button>
             )}
             <button
-              className={`control-btn ${autoRotate ? 'control-btn-active' : ''}`}
-              onClick={() => setAutoRotate(!autoRotate)}
+              className={`control-btn ${rotationMode === 'spin' ? 'control-btn-active' : ''}`}
+              onClick={() => handleToggleRotation('spin')}
             >
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                 <path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2" />
               </svg>
               Rotate
             </button>
+            {rotationMode === 'spin' && (
+              <div className="control-slider">
+                <select
+                  value={rotationAxis}
+                  onChange={(e) => setRotationAxis(e.target.value)}
+                  aria-label="Rotation axis"
+                >
+                  {Object.entries(ROTATION_AXES).map(([id, name]) => (
+                    <option key={id} value={id}>{name}</option>
+                  ))}
+                </select>
+                <input
+                  type="range"
+                  min={0.05}
+                  max={1}
+                  step={0.05}
+                  value={rotationSpeed}
+                  onChange={(e) => setRotationSpeed(Number(e.target.value))}
+                  aria-label="Rotation speed"
+                />
+              </div>
+            )}
+            <button
+              className={`control-btn ${rotationMode === 'tour' ? 'control-btn-active' : ''}`}
+              onClick={() => handleToggleRotation('tour')}
+              title="Tour the lateral, medial, dorsal, ventral, anterior and posterior views"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z" />
+                <circle cx="12" cy="12" r="3" />
+              </svg>
+              {tourView ? `Tour: ${tourView.name}` : 'Tour'}
+            </button>
+            {atlas.granularities.length > 1 && (
+              <button
+                className={`control-btn ${granularity !== atlas.defaultGranularity ? 'control-btn-active' : ''}`}
+                onClick={handleToggleGranularity}
+                title="Switch parcellation granularity"
+              >
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <rect x="3" y="3" width="7" height="7" />
+                  <rect x="14" y="3" width="7" height="7" />
+                  <rect x="3" y="14" width="7" height="7" />
+                  <rect x="14" y="14" width="7" height="7" />
+                </svg>
+                {granularity} networks
+              </button>
+            )}
+            {Object.values(HEMISPHERES).map(hemisphere => (
+              <button
+                key={hemisphere.id}
+                className={`control-btn ${visibleHemispheres[hemisphere.id] ? 'control-btn-active' : ''}`}
+                onClick={() => handleToggleHemisphere(hemisphere.id)}
+                disabled={!modelHemispheres.includes(hemisphere.id)}
+                title={modelHemispheres.includes(hemisphere.id)
+                  ? `${visibleHemispheres[hemisphere.id] ? 'Hide' : 'Show'} ${hemisphere.name.toLowerCase()}`
+                  : `This model has no separate ${hemisphere.name.toLowerCase()}`}
+              >
+                {hemisphere.shortName}
+              </button>
+            ))}
+            <button
+              className={`control-btn ${splitHemispheres ? 'control-btn-active' : ''}`}
+              onClick={() => setSplitHemispheres(!splitHemispheres)}
+              disabled={modelHemispheres.length === 0}
+              title={modelHemispheres.length > 0
+                ? 'Separate the hemispheres to show their medial surfaces'
+                : 'This model has no separate hemispheres'}
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M9 4a6 6 0 0 0 0 16M15 4a6 6 0 0 1 0 16M12 3v18" />
+              </svg>
+              {splitHemispheres ? 'Join' : 'Split'}
+            </button>
+            <button
+              className={`control-btn ${showConnectivity ? 'control-btn-active' : ''}`}
+              onClick={handleToggleConnectivity}
+              title="Show functional connectivity between the networks"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <circle cx="5" cy="12" r="2" />
+                <circle cx="19" cy="5" r="2" />
+                <circle cx="19" cy="19" r="2" />
+                <path d="M7 11.5c4-4 7-5.5 10-6M7 12.5c4 4 7 5.5 10 6" />
+              </svg>
+              Connectivity
+            </button>
+            <button
+              className={`control-btn ${showConnectivityPanel ? 'control-btn-active' : ''}`}
+              onClick={handleToggleConnectivityPanel}
+              title="Show the connectivity matrix and chord diagram"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <rect x="3" y="3" width="18" height="18" rx="2" />
+                <path d="M3 9h18M3 15h18M9 3v18M15 3v18" />
+              </svg>
+              Matrix
+            </button>
+            <button
+              className={`control-btn ${showQuiz ? 'control-btn-active' : ''}`}
+              onClick={handleToggleQuiz}
+              title="Test yourself on the networks' functions and clinical relevance"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <circle cx="12" cy="12" r="10" />
+                <path d="M9.1 9a3 3 0 0 1 5.8 1c0 2-3 3-3 3M12 17h.01" />
+              </svg>
+              Quiz
+            </button>
+            <button
+              className={`control-btn ${showLessons ? 'control-btn-active' : ''}`}
+              onClick={handleToggleLessons}
+              title="Play or record a guided lesson"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M2 4h7a3 3 0 0 1 3 3v13a2 2 0 0 0-2-2H2zM22 4h-7a3 3 0 0 0-3 3v13a2 2 0 0 1 2-2h8z" />
+              </svg>
+              Lesson
+            </button>
+            <button
+              className={`control-btn ${showPins ? 'control-btn-active' : ''}`}
+              onClick={handleTogglePins}
+              title="Pin notes to spots on the cortex"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M12 22s7-6.5 7-12a7 7 0 0 0-14 0c0 5.5 7 12 7 12z" />
+                <circle cx="12" cy="10" r="2.5" />
+              </svg>
+              Pins
+            </button>
+            {(showConnectivity || showConnectivityPanel) && (
+              <label className="control-slider" title="Hide connections weaker than this correlation">
+                <input
+                  type="range"
+                  min={0}
+                  max={0.35}
+                  step={0.05}
+                  value={connectivityThreshold}
+                  onChange={(e) => setConnectivityThreshold(Number(e.target.value))}
+                  aria-label="Connectivity threshold"
+                />
+                <span className="control-slider-label">|r| ≥ {connectivityThreshold.toFixed(2)}</span>
+              </label>
+            )}
+            {availableSurfaces.length > 1 && (
+              <label className="control-slider" title={currentSurface.description}>
+                <input
+                  type="range"
+                  min={0}
+                  max={availableSurfaces.length - 1}
+                  step={0.01}
+                  value={surfaceMorph}
+                  onChange={(e) => setSurfaceMorph(Number(e.target.value))}
+                  aria-label="Morph between cortical surfaces"
+                />
+                <span className="control-slider-label">{currentSurface.name}</span>
+              </label>
+            )}
             {selectedRegion && (
               <button className="control-btn control-btn-secondary" onClick={handleClearSelection}>
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -255,6 +1065,27 @@ function App() {
                 Clear
               </button>
             )}
+            <button
+              className="control-btn"
+              onClick={() => fileInputRef.current?.click()}
+              title="Load your own surface (GLB, OBJ, GIFTI) and label files, or drop them on the page"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M12 15V3M7 8l5-5 5 5M5 21h14" />
+              </svg>
+              Load
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={ACCEPTED_FILE_TYPES}
+              multiple
+              hidden
+              onChange={(e) => {
+                if (e.target.files.length > 0) handleLoadFiles([...e.target.files]);
+                e.target.value = '';
+              }}
+            />
             <button
               className={`control-btn ${isInfoPanelOpen ? 'control-btn-active' : ''}`}
               onClick={() => setIsInfoPanelOpen(!isInfoPanelOpen)}
@@ -267,24 +1098,27 @@ function App() {
             </button>
           </div>
 
-          {/* Region List */}
-          <div className="region-selector">
-            <div className="region-list">
-              {getMainRegions().map((item) => (
-                <button
-                  key={item.id}
-                  className={`region-chip ${selectedRegion?.id === item.id ? 'region-chip-active' : ''}`}
-                  onClick={() => handleRegionClick(item)}
-                  style={{
-                    '--region-color': item.color
-                  }}
-                >
-                  <span className="region-chip-dot" style={{ backgroundColor: item.color }}></span>
-                  <span className="region-chip-name">{item.name}</span>
-                </button>
-              ))}
+          {/* Region List (hidden during a quiz, it would give the answers away) */}
+          {!showQuiz && (
+            <div className="region-selector">
+              <div className="region-list">
+                {atlas.getRegions(granularity).map((item) => (
+                  <button
+                    key={item.id}
+                    className={`region-chip ${(isComparing ? comparedIds.includes(item.id) : selectedRegion?.id === item.id) ? 'region-chip-active' : ''}`}
+                    onClick={(e) => handleRegionClick(item, { shiftKey: e.shiftKey })}
+                    title="Shift-click to compare up to three networks"
+                    style={{
+                      '--region-color': item.color
+                    }}
+                  >
+                    <span className="region-chip-dot" style={{ backgroundColor: item.color }}></span>
+                    <span className="region-chip-name">{item.name}</span>
+                  </button>
+                ))}
+              </div>
             </div>
-          </div>
+          )}
         </div>
       </div>
 
@@ -298,7 +1132,15 @@ function App() {
         </button>
 
         <div className="info-drawer-content">
-          {selectedRegion ? (
+          {isComparing ? (
+            <NetworkComparison
+              regions={comparedRegions}
+              onSelectRegion={(region) => handleRegionClick(atlas.getRegionById(region.id) || region)}
+              onRemoveRegion={(region) => handleRegionClick(region, { shiftKey: true })}
+            />
+          ) : selectedConnection ? (
+            <ConnectionInfo connection={selectedConnection} onSelectNetwork={handleSelectConnectionNetwork} />
+          ) : selectedRegion ? (
             <>
               {/* Region Header */}
               <div className="info-header">
@@ -306,6 +1148,9 @@ function App() {
                   {selectedRegion.type}
                 </div>
                 <h2 className="info-title">{selectedRegion.name}</h2>
+                <p className="info-hemisphere">
+                  {selectedHemisphere ? HEMISPHERES[selectedHemisphere].name : 'Both hemispheres'}
+                </p>
               </div>
 
               {/* Overview Section */}
@@ -328,7 +1173,11 @@ function App() {
                   <h3 className="info-section-title">Key Regions</h3>
                   <div className="info-tags">
                     {selectedRegion.keyRegions.map((region, idx) => (
-                      <span key={idx} className="info-tag" style={{ borderColor: selectedRegion.color }}>
+                      <span
+                        key={idx}
+                        className={`info-tag ${lessonKeyRegions.includes(region) ? 'info-tag-highlighted' : ''}`}
+                        style={{ borderColor: selectedRegion.color, '--region-color': selectedRegion.color }}
+                      >
                         {region}
                       </span>
                     ))}
@@ -359,9 +1208,79 @@ function App() {
                 </div>
               )}
 
+              {/* Ask About This Network */}
+              <div className="info-section">
+                <h3 className="info-section-title">
+                  Ask About This {selectedRegion.network ? 'Region' : 'Network'}
+                </h3>
+                <AskAboutRegion region={selectedRegion} parentName={parentRegion?.name} />
+              </div>
+
+              {/* Key Papers */}
+              {keyPapers.references.length > 0 && (
+                <div className="info-section">
+                  <h3 className="info-section-title">Key Papers</h3>
+                  {keyPapers.network !== selectedRegion && (
+                    <p className="info-papers-note">From the {keyPapers.network.name}</p>
+                  )}
+                  <ol className="info-papers">
+                    {keyPapers.references.map(reference => (
+                      <li key={reference.id} className="info-paper">
+                        <span className="info-paper-authors">
+                          {formatAuthorsShort(reference.authors)} ({reference.year})
+                        </span>
+                        <span className="info-paper-title">{reference.title}</span>
+                        <span className="info-paper-journal">
+                          {reference.journal} {reference.volume}, {reference.pages} ·{' '}
+                          <a href={`https://doi.org/${reference.doi}`} target="_blank" rel="noopener noreferrer">
+                            doi:{reference.doi}
+                          </a>
+                        </span>
+                      </li>
+                    ))}
+                  </ol>
+                  <div className="info-papers-export">
+                    <span>Export</span>
+                    {Object.entries(CITATION_FORMATS).map(([format, { label }]) => (
+                      <button
+                        key={format}
+                        className="info-papers-export-button"
+                        onClick={() => downloadCitations(keyPapers.references, format, keyPapers.network.id)}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                    <span>All networks</span>
+                    {Object.entries(CITATION_FORMATS).map(([format, { label }]) => (
+                      <button
+                        key={format}
+                        className="info-papers-export-button"
+                        onClick={() => downloadCitations(getAllReferences(), format, 'brain-networks')}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Educational Resources */}
               <div className="info-section">
                 <h3 className="info-section-title">Educational Resources</h3>
+                {!loadingLinks && linksStatus && (
+                  <div className="info-links-status">
+                    <span>
+                      {linksStatus.source === 'stale' && `Offline: showing links saved ${formatAge(linksStatus.fetchedAt)}`}
+                      {linksStatus.source === 'cache' && `Saved ${formatAge(linksStatus.fetchedAt)}`}
+                      {linksStatus.source === 'fallback' && 'Live lookup unavailable: showing search links'}
+                      {linksStatus.source === 'network' && linksStatus.provider && `Via ${linksStatus.provider.name}`}
+                      {linksStatus.source !== 'network' && linksStatus.provider && ` · via ${linksStatus.provider.name}`}
+                    </span>
+                    <button className="info-links-refresh" onClick={handleRefreshLinks}>
+                      Refresh
+                    </button>
+                  </div>
+                )}
                 {loadingLinks ? (
                   <div className="info-loading">
                     <div className="spinner"></div>
@@ -380,7 +1299,22 @@ function App() {
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                           <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6M15 3h6v6M10 14 21 3" />
                         </svg>
-                        <span>{link.title}</span>
+                        <span className="info-link-title">
+                          {link.title}
+                          {(link.publisher || link.year || link.type) && (
+                            <span className="info-link-meta">
+                              {[link.publisher, link.year, link.type].filter(Boolean).join(' · ')}
+                            </span>
+                          )}
+                        </span>
+                        {link.verified !== undefined && (
+                          <span
+                            className={`info-link-badge ${link.verified ? 'info-link-badge-verified' : ''}`}
+                            title={link.verified ? `Trusted source: ${link.source}` : `${link.source} is not on the source allowlist`}
+                          >
+                            {link.verified ? 'Verified' : 'Unverified'}
+                          </span>
+                        )}
                       </a>
                     ))}
                   </div>
@@ -399,16 +1333,24 @@ function App() {
               </div>
               <h3 className="info-welcome-title">Welcome to Mind Map</h3>
               <p className="info-welcome-text">
-                Explore the brain's seven functional networks from the Yeo et al. (2011) atlas.
-                Click any network in the list or directly on the 3D brain to learn more about its role.
+                Explore the {atlas.name}. {atlas.description}
+                {' '}Click any region in the list or directly on the 3D brain to learn more about its role.
               </p>
+              {atlas.citation && (
+                <p className="info-welcome-citation">
+                  {atlas.citation.text}{' '}
+                  <a href={atlas.citation.url} target="_blank" rel="noopener noreferrer">
+                    {atlas.citation.url.replace('https://', '')}
+                  </a>
+                </p>
+              )}
               <div className="info-welcome-guide">
                 <h4>Navigation Guide</h4>
                 <ul>
                   <li>Drag to twist and turn the brain</li>
                   <li>Scroll to zoom in and out</li>
                   <li>Click a network to read its description</li>
-                  <li>Use search to jump to a specific network</li>
+                  <li>Search by network, function or symptom to find where it lives</li>
                 </ul>
               </div>
 
@@ -0,0 +1,86 @@
+/**
+ * ========================================================================
+ * ATLAS DEFINITION
+ * ========================================================================
+ *
+ * Every parcellation the viewer can show is described by an atlas object:
+ *
+ *   id, name, shortName   Identification for the picker
+ *   description           One-line summary shown in the info drawer
+ *   citation              { text, url } for the source publication
+ *   annotPaths            Optional per-vertex annotations (.annot) to
+ *                         load for each hemisphere: { lh, rh }
+ *   annotations           Optional already parsed annotations { lh, rh }
+ *                         (e.g. dropped label files), used instead of
+ *                         annotPaths
+ *   granularities         Selectable resolutions (e.g. [7, 17]); a single
+ *                         entry hides the granularity toggle
+ *   getRegions(g)         Selectable regions at granularity g, each with
+ *                         id, name, type, description, color and position
+ *   getRegionByLabel(l,g) Region an annotation structure name belongs to
+ *
+ * defineAtlas fills in lookup and search helpers that only depend on the
+ * region lists, so an atlas module only has to describe its data.
+ * ========================================================================
+ */
+
+import { searchRegions } from '../services/searchService';
+
+/**
+ * Strip hemisphere prefixes from annotation / lookup-table names
+ * ('ctx-lh-insula', 'lh.insula' → 'insula')
+ */
+export const normalizeLabelName = (labelName) => {
+  return (labelName || '')
+    .toLowerCase()
+    .replace(/^ctx[-_](lh|rh)[-_]/, '')
+    .replace(/^(lh|rh)\./, '');
+};
+
+/**
+ * Build a complete atlas from its data description
+ */
+export const defineAtlas = (definition) => {
+  const granularities = definition.granularities || [null];
+  const defaultGranularity = granularities[0];
+
+  const getRegions = (granularity = defaultGranularity) => definition.getRegions(granularity);
+
+  // Every region reachable at any granularity, first occurrence wins
+  const allRegions = () => {
+    const seen = new Map();
+    granularities.forEach(granularity => {
+      getRegions(granularity).forEach(region => {
+        if (!seen.has(region.id)) seen.set(region.id, region);
+      });
+    });
+    return [...seen.values()];
+  };
+
+  const getRegionById = definition.getRegionById || ((id) => {
+    return allRegions().find(region => region.id === id) || null;
+  });
+
+  // Default label mapping: match the region's atlasLabels list
+  const getRegionByLabel = definition.getRegionByLabel || ((labelName, granularity = defaultGranularity) => {
+    const normalized = normalizeLabelName(labelName);
+    return getRegions(granularity).find(region =>
+      region.atlasLabels?.some(label => label.toLowerCase() === normalized)
+    ) || null;
+  });
+
+  // Ranked full-text search over every region: hits as in searchRegions
+  const search = definition.search || ((query, options) => searchRegions(allRegions(), query, options));
+
+  return {
+    ...definition,
+    granularities,
+    defaultGranularity,
+    getRegions,
+    getRegionById,
+    getRegionByLabel,
+    search
+  };
+};
+
+export default defineAtlas;
@@ -0,0 +1,20 @@
+import { desikanKillianyRegions } from '../data/desikanKilliany';
+import { defineAtlas } from './defineAtlas';
+
+/**
+ * Desikan-Killiany gyral parcellation (FreeSurfer aparc).
+ * Region labels match the structure names in a subject's lh/rh.aparc.annot.
+ */
+export const desikanKillianyAtlas = defineAtlas({
+  id: 'desikan_killiany',
+  name: 'Desikan-Killiany Anatomical Parcellation',
+  shortName: 'Desikan-Killiany',
+  description: 'Gyral-based anatomical parcellation of the cortex into 34 regions per hemisphere.',
+  citation: {
+    text: 'Desikan, R.S., Ségonne, F., Fischl, B., et al. (2006). An automated labeling system for subdividing the human cerebral cortex on MRI scans into gyral based regions of interest. NeuroImage, 31(3), 968–980.',
+    url: 'https://doi.org/10.1016/j.neuroimage.2006.01.021'
+  },
+  getRegions: () => desikanKillianyRegions
+});
+
+export default desikanKillianyAtlas;
@@ -0,0 +1,102 @@
+/**
+ * ========================================================================
+ * ATLAS REGISTRY
+ * ========================================================================
+ *
+ * Parcellations available in the viewer. Components receive an atlas
+ * object from here instead of importing region data directly, so a new
+ * parcellation only needs a module built with defineAtlas() and a
+ * registerAtlas() call.
+ * ========================================================================
+ */
+
+import { yeoAtlas } from './yeoAtlas';
+import { desikanKillianyAtlas } from './desikanKillianyAtlas';
+import { schaeferAtlas } from './schaeferAtlas';
+
+export { defineAtlas, normalizeLabelName } from './defineAtlas';
+export { createUserAtlas, USER_ATLAS_ID } from './userAtlas';
+
+export const DEFAULT_ATLAS_ID = yeoAtlas.id;
+
+const atlasRegistry = new Map();
+
+/**
+ * Add an atlas to the registry (replaces any atlas with the same id)
+ */
+export const registerAtlas = (atlas) => {
+  if (!atlas?.id || typeof atlas.getRegions !== 'function') {
+    throw new Error('Atlas must have an id and a getRegions function');
+  }
+  atlasRegistry.set(atlas.id, atlas);
+  return atlas;
+};
+
+/**
+ * Remove an atlas from the registry (e.g. dropped labels on reset)
+ */
+export const unregisterAtlas = (id) => {
+  if (id !== DEFAULT_ATLAS_ID) atlasRegistry.delete(id);
+};
+
+/**
+ * Get an atlas by id, falling back to the default atlas
+ */
+export const getAtlas = (id) => {
+  return atlasRegistry.get(id) || atlasRegistry.get(DEFAULT_ATLAS_ID);
+};
+
+/**
+ * Get all registered atlases in registration order
+ */
+export const getAtlases = () => {
+  return [...atlasRegistry.values()];
+};
+
+/**
+ * Check whether a region should be highlighted for the current selection.
+ * A region matches itself, its parent, and its own parts, so selections
+ * carry over when the granularity changes; parcels also match the network
+ * they belong to (Desikan-Killiany `network`).
+ */
+export const isRegionSelected = (region, selectedRegion) => {
+  if (!region || !selectedRegion) return false;
+
+  return region.id === selectedRegion.id ||
+    region.parentRegion === selectedRegion.id ||
+    selectedRegion.parentRegion === region.id ||
+    region.network === selectedRegion.id;
+};
+
+/**
+ * Cortical hemispheres. The model uses RAS-style axes, so the left
+ * hemisphere lies at negative x.
+ */
+export const HEMISPHERES = {
+  lh: { id: 'lh', name: 'Left hemisphere', shortName: 'L', side: -1 },
+  rh: { id: 'rh', name: 'Right hemisphere', shortName: 'R', side: 1 }
+};
+
+/**
+ * Get a region's position in one hemisphere. Region positions store the
+ * distance from the midline in x, mirrored here to the requested side.
+ * Without a hemisphere the stored position is returned unchanged.
+ */
+export const getRegionPosition = (region, hemisphere) => {
+  const [x, y, z] = region.position;
+  const side = HEMISPHERES[hemisphere]?.side;
+  return side ? [side * Math.abs(x), y, z] : [x, y, z];
+};
+
+/**
+ * Get the direction to view a region from, mirrored to a hemisphere like
+ * getRegionPosition. Uses the region's viewpoint when the data has one,
+ * otherwise looks at the region's centroid from outside the brain.
+ */
+export const getRegionViewpoint = (region, hemisphere) => {
+  const [x, y, z] = region.viewpoint || region.position;
+  const side = HEMISPHERES[hemisphere]?.side ?? 1;
+  return { direction: [side * Math.abs(x), y, z] };
+};
+
+[yeoAtlas, desikanKillianyAtlas, schaeferAtlas].forEach(registerAtlas);
@@ -0,0 +1,77 @@
+import { getMainRegions, getRegionById } from '../data/brainStructure';
+import { defineAtlas } from './defineAtlas';
+
+// Network tokens used in Schaefer parcel names
+// ('7Networks_LH_SalVentAttn_Med_1', '17Networks_RH_DefaultA_pCunPCC_2')
+const SEVEN_NETWORK_TOKENS = {
+  Vis: 'visual_network',
+  SomMot: 'somatomotor_network',
+  DorsAttn: 'dorsal_attention_network',
+  SalVentAttn: 'ventral_attention_network',
+  Limbic: 'limbic_network',
+  Cont: 'frontoparietal_network',
+  Default: 'default_mode_network'
+};
+
+const SEVENTEEN_NETWORK_TOKENS = {
+  VisCent: 'visual_a_network',
+  VisPeri: 'visual_b_network',
+  SomMotA: 'somatomotor_a_network',
+  SomMotB: 'somatomotor_b_network',
+  DorsAttnA: 'dorsal_attention_a_network',
+  DorsAttnB: 'dorsal_attention_b_network',
+  SalVentAttnA: 'ventral_attention_a_network',
+  SalVentAttnB: 'ventral_attention_b_network',
+  LimbicA: 'limbic_a_network',
+  LimbicB: 'limbic_b_network',
+  ContA: 'control_a_network',
+  ContB: 'control_b_network',
+  ContC: 'control_c_network',
+  DefaultA: 'default_a_network',
+  DefaultB: 'default_b_network',
+  DefaultC: 'default_c_network',
+  TempPar: 'temporal_parietal_network'
+};
+
+/**
+ * Resolve a Schaefer parcel name to a Yeo network at the given granularity
+ */
+const getRegionByParcelName = (labelName, granularity = 7) => {
+  const match = /^(7|17)Networks_[LR]H_([A-Za-z]+)/.exec(labelName || '');
+  if (!match) return null;
+
+  const token = match[2];
+  const partId = SEVENTEEN_NETWORK_TOKENS[token];
+  const networkId = SEVEN_NETWORK_TOKENS[token];
+
+  if (partId) {
+    const part = getRegionById(partId);
+    return granularity === 17 ? part : getRegionById(part.parentRegion);
+  }
+
+  // 7-network names carry no subnetwork, so they only resolve at 7
+  return granularity === 7 && networkId ? getRegionById(networkId) : null;
+};
+
+/**
+ * Schaefer et al. (2018) local-global parcellation. Its parcels nest inside
+ * the Yeo networks, so regions are the Yeo networks and each parcel name is
+ * resolved through its network token. The parcel annotations are not
+ * bundled; a Schaefer .annot dropped with Load is mapped through this atlas.
+ */
+export const schaeferAtlas = defineAtlas({
+  id: 'schaefer2018',
+  name: 'Schaefer 2018 400-Parcel Atlas',
+  shortName: 'Schaefer 400',
+  description: 'Fine-grained cortical parcels from gradient-weighted Markov random fields, each assigned to a Yeo network.',
+  citation: {
+    text: 'Schaefer, A., Kong, R., Gordon, E.M., et al. (2018). Local-global parcellation of the human cerebral cortex from intrinsic functional connectivity MRI. Cerebral Cortex, 28(9), 3095–3114.',
+    url: 'https://doi.org/10.1093/cercor/bhx179'
+  },
+  granularities: [7, 17],
+  getRegions: (granularity) => getMainRegions(granularity),
+  getRegionById,
+  getRegionByLabel: getRegionByParcelName
+});
+
+export default schaeferAtlas;
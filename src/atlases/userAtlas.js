@@ -0,0 +1,115 @@
+import { defineAtlas, normalizeLabelName } from './defineAtlas';
+
+export const USER_ATLAS_ID = 'user';
+
+// Colortable entries that mark cortex outside any parcel
+const UNLABELLED_NAMES = new Set(['???', 'unknown', 'medial_wall', 'medial wall']);
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Average position of each label's vertices in normalized model space.
+ * Meshes tagged with a hemisphere contribute their distance from the
+ * midline, the convention region positions use (see getRegionPosition).
+ * @returns {Map} Normalized label name → [x, y, z]
+ */
+function computeLabelCentroids(annotations, meshes) {
+  const sums = new Map();
+
+  meshes.forEach(mesh => {
+    const tagged = Boolean(mesh.userData.hemisphere);
+    const position = mesh.geometry.attributes.position;
+    const annotation = (tagged ? [annotations[mesh.userData.hemisphere]] : Object.values(annotations))
+      .find(candidate => candidate?.vertexCount === position.count);
+    if (!annotation) return;
+
+    const entryNames = annotation.colortable.map(entry => normalizeLabelName(entry.name));
+    for (let i = 0; i < annotation.vertexCount; i++) {
+      if (annotation.labels[i] < 0) continue;
+      const name = entryNames[annotation.labels[i]];
+      const sum = sums.get(name) || [0, 0, 0, 0];
+      const x = position.getX(i);
+      sum[0] += tagged ? Math.abs(x) : x;
+      sum[1] += position.getY(i);
+      sum[2] += position.getZ(i);
+      sum[3] += 1;
+      sums.set(name, sum);
+    }
+  });
+
+  return new Map([...sums].map(([name, [x, y, z, count]]) => [name, [x / count, y / count, z / count]]));
+}
+
+/**
+ * Pick the registered atlas that resolves the most label names (finer
+ * atlases win ties), so a subject's aparc keeps the Desikan-Killiany
+ * descriptions. Returns null when it resolves fewer than half.
+ */
+function findMatchingAtlas(labelNames, atlases) {
+  let best = null;
+  atlases.forEach(atlas => {
+    const resolved = labelNames.map(name => atlas.getRegionByLabel(name)).filter(Boolean);
+    const score = [resolved.length, new Set(resolved.map(region => region.id)).size];
+    if (!best || score[0] > best.score[0] || (score[0] === best.score[0] && score[1] > best.score[1])) {
+      best = { atlas, score };
+    }
+  });
+  return best && best.score[0] >= labelNames.length / 2 ? best.atlas : null;
+}
+
+/**
+ * Build an atlas from dropped label files (see userModelService). Labels
+ * a registered atlas knows become its regions; the others become plain
+ * regions with the file's color, placed at their vertices' centroid.
+ * @param {Object} options
+ * @param {Object} options.annotations - Parsed annotations { lh, rh }
+ * @param {Array} options.meshes - Normalized meshes the labels belong to
+ * @param {Array<string>} options.fileNames - Label file names for the description
+ * @param {Array} options.atlases - Registered atlases to match labels against
+ */
+export const createUserAtlas = ({ annotations, meshes, fileNames, atlases = [] }) => {
+  const entries = new Map();
+  Object.values(annotations).forEach(annotation => {
+    annotation.colortable.forEach(entry => {
+      const name = normalizeLabelName(entry.name);
+      if (!UNLABELLED_NAMES.has(name) && !entries.has(name)) entries.set(name, entry);
+    });
+  });
+
+  const matchingAtlas = findMatchingAtlas([...entries.keys()], atlases.filter(atlas => atlas.id !== USER_ATLAS_ID));
+  const centroids = computeLabelCentroids(annotations, meshes);
+  const source = fileNames.join(', ');
+
+  const labelToRegion = new Map();
+  const regions = [];
+  entries.forEach((entry, name) => {
+    const region = matchingAtlas?.getRegionByLabel(entry.name) || {
+      id: `user_${slugify(name)}`,
+      name: entry.name,
+      type: 'REGION',
+      description: `Parcel "${entry.name}" from ${source}.`,
+      color: entry.hex,
+      position: centroids.get(name) || [0, 0, 0],
+      isMainRegion: true,
+      parts: [],
+      atlasLabels: [name]
+    };
+    labelToRegion.set(name, region);
+    if (!regions.includes(region)) regions.push(region);
+  });
+
+  return defineAtlas({
+    id: USER_ATLAS_ID,
+    name: 'Dropped Parcellation',
+    shortName: 'Dropped labels',
+    description: matchingAtlas
+      ? `${regions.length} regions from ${source}, matched to the ${matchingAtlas.name}.`
+      : `${regions.length} regions from ${source}.`,
+    citation: matchingAtlas?.citation || null,
+    annotations,
+    getRegions: () => regions,
+    getRegionByLabel: (labelName) => labelToRegion.get(normalizeLabelName(labelName)) || null
+  });
+};
+
+export default createUserAtlas;
@@ -0,0 +1,27 @@
+import {
+  getMainRegions,
+  getRegionById,
+  getRegionByAtlasLabel
+} from '../data/brainStructure';
+import { defineAtlas } from './defineAtlas';
+
+/**
+ * Yeo et al. (2011) resting-state networks at 7- and 17-network resolution.
+ * Uses the curated network data in brainStructure.js.
+ */
+export const yeoAtlas = defineAtlas({
+  id: 'yeo2011',
+  name: 'Yeo 2011 Functional Networks',
+  shortName: 'Yeo 2011',
+  description: 'Large-scale functional networks estimated from resting-state fMRI in 1,000 individuals.',
+  citation: {
+    text: 'Yeo, B.T.T., Krienen, F.M., Sepulcre, J., et al. (2011). The organization of the human cerebral cortex estimated by intrinsic functional connectivity. Journal of Neurophysiology, 106(3), 1125–1165.',
+    url: 'https://doi.org/10.1152/jn.00338.2011'
+  },
+  granularities: [7, 17],
+  getRegions: (granularity) => getMainRegions(granularity),
+  getRegionById,
+  getRegionByLabel: getRegionByAtlasLabel
+});
+
+export default yeoAtlas;
@@ -0,0 +1,149 @@
+import { useState, useEffect, useRef } from 'react';
+import { streamExplanation } from '../services/perplexityService';
+
+const SUGGESTED_QUESTIONS = [
+  'Explain it in simple terms',
+  'How does it work with other networks?',
+  'What happens when it is disrupted?'
+];
+
+/**
+ * "Ask about this network" box for the info drawer
+ * Streams a model's answer grounded in the region's curated data through
+ * the explain API. A streaming answer can be cancelled, and a failed or
+ * cancelled one retried; when no model or backend is configured the box
+ * says so instead. Selecting another region resets it.
+ */
+export function AskAboutRegion({ region, parentName }) {
+  const [question, setQuestion] = useState('');
+  const [askedQuestion, setAskedQuestion] = useState('');
+  const [answer, setAnswer] = useState('');
+  // 'idle', 'streaming', 'done', 'cancelled', 'error' or 'unavailable'
+  const [status, setStatus] = useState('idle');
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [provider, setProvider] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Start over (and stop any stream) for each region
+  useEffect(() => {
+    setQuestion('');
+    setAskedQuestion('');
+    setAnswer('');
+    setStatus('idle');
+    setErrorMessage(null);
+
+    return () => controllerRef.current?.abort();
+  }, [region.id]);
+
+  const ask = async (text) => {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setAskedQuestion(trimmed);
+    setAnswer('');
+    setErrorMessage(null);
+    setStatus('streaming');
+
+    try {
+      await streamExplanation(trimmed, region, {
+        parentName,
+        signal: controller.signal,
+        onDelta: setAnswer,
+        onProvider: setProvider
+      });
+      setStatus('done');
+    } catch (error) {
+      // Cancel and region changes set their own state
+      if (controller.signal.aborted) return;
+      console.error('Error streaming explanation:', error);
+      setErrorMessage(error.message);
+      setStatus(error.unavailable ? 'unavailable' : 'error');
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    ask(question);
+    setQuestion('');
+  };
+
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+    setStatus('cancelled');
+  };
+
+  return (
+    <div className="ask-region">
+      <form className="ask-region-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          className="ask-region-input"
+          placeholder={`Ask about the ${region.name}...`}
+          value={question}
+          maxLength={500}
+          onChange={(e) => setQuestion(e.target.value)}
+        />
+        {status === 'streaming' ? (
+          <button type="button" className="ask-region-button" onClick={handleCancel}>
+            Cancel
+          </button>
+        ) : (
+          <button type="submit" className="ask-region-button" disabled={!question.trim()}>
+            Ask
+          </button>
+        )}
+      </form>
+
+      {status === 'idle' && (
+        <div className="ask-region-suggestions">
+          {SUGGESTED_QUESTIONS.map(suggestion => (
+            <button key={suggestion} className="ask-region-suggestion" onClick={() => ask(suggestion)}>
+              {suggestion}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {status !== 'idle' && (
+        <div className="ask-region-answer" aria-live="polite">
+          <p className="ask-region-question">{askedQuestion}</p>
+
+          {status === 'unavailable' ? (
+            <p className="ask-region-notice">
+              AI explanations are not available here: no language model is configured on the server.
+              The description, key functions and key papers above come from the curated atlas data.
+            </p>
+          ) : (
+            <p className="ask-region-text">
+              {answer}
+              {status === 'streaming' && <span className="ask-region-cursor" />}
+            </p>
+          )}
+
+          {(status === 'error' || status === 'cancelled') && (
+            <div className="ask-region-status">
+              <span>{status === 'cancelled' ? 'Stopped.' : `${errorMessage}.`}</span>
+              <button className="ask-region-retry" onClick={() => ask(askedQuestion)}>
+                Retry
+              </button>
+            </div>
+          )}
+
+          {status === 'done' && provider && (
+            <p className="ask-region-source">
+              Generated by {provider.name}. Check important details against the key papers.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AskAboutRegion;
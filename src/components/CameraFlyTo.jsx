@@ -0,0 +1,75 @@
+import { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Animates the camera around the controls' target to a viewpoint
+ * viewpoint: { direction, distance? } in model axes; a new object starts a
+ * new flight. The distance defaults to the current one and is kept within
+ * the controls' minDistance/maxDistance. Dragging or zooming cancels the
+ * flight. Must be rendered inside the Canvas after controls with makeDefault.
+ */
+export function CameraFlyTo({ viewpoint, duration = 1.2 }) {
+  const { camera, controls } = useThree();
+  const flightRef = useRef(null);
+
+  // Plan a flight for each new viewpoint
+  useEffect(() => {
+    if (!viewpoint || !controls) return;
+
+    const offset = camera.position.clone().sub(controls.target);
+    const from = offset.clone().normalize();
+    const to = new THREE.Vector3(...viewpoint.direction).normalize();
+    if (to.lengthSq() === 0) return;
+
+    flightRef.current = {
+      from,
+      rotation: new THREE.Quaternion().setFromUnitVectors(from, to),
+      fromDistance: offset.length(),
+      toDistance: THREE.MathUtils.clamp(
+        viewpoint.distance ?? offset.length(),
+        controls.minDistance,
+        controls.maxDistance
+      ),
+      elapsed: 0
+    };
+  }, [viewpoint, controls, camera]);
+
+  // The user taking hold of the camera ends the flight
+  useEffect(() => {
+    if (!controls) return;
+
+    const handleStart = () => {
+      flightRef.current = null;
+    };
+
+    controls.addEventListener('start', handleStart);
+    return () => controls.removeEventListener('start', handleStart);
+  }, [controls]);
+
+  useFrame((state, delta) => {
+    const flight = flightRef.current;
+    if (!flight || !controls) return;
+
+    flight.elapsed += delta;
+    const t = Math.min(1, flight.elapsed / duration);
+    const eased = smoothstep(t);
+
+    const rotation = new THREE.Quaternion().slerp(flight.rotation, eased);
+    const distance = THREE.MathUtils.lerp(flight.fromDistance, flight.toDistance, eased);
+    const offset = flight.from.clone().applyQuaternion(rotation).multiplyScalar(distance);
+
+    camera.position.copy(controls.target).add(offset);
+    controls.update();
+
+    if (t === 1) {
+      flightRef.current = null;
+    }
+  });
+
+  return null;
+}
+
+export default CameraFlyTo;
@@ -0,0 +1,50 @@
+import { useEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+
+// Wait for damping to settle before reporting a pose
+const REPORT_DELAY = 300;
+
+/**
+ * Keeps the camera pose in step with outside state (e.g. the URL)
+ * Applies `pose` ({ position, target }) whenever a new one is passed and
+ * reports where the default controls leave the camera through onPoseChange.
+ * Must be rendered inside the Canvas after controls with makeDefault.
+ */
+export function CameraPoseSync({ pose, onPoseChange }) {
+  const { camera, controls } = useThree();
+
+  // Move the camera to a requested pose
+  useEffect(() => {
+    if (!pose || !controls) return;
+
+    camera.position.set(...pose.position);
+    controls.target.set(...pose.target);
+    controls.update();
+  }, [pose, controls, camera]);
+
+  // Report the pose once the camera comes to rest
+  useEffect(() => {
+    if (!controls || !onPoseChange) return;
+
+    let timer = null;
+    const handleChange = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        onPoseChange({
+          position: camera.position.toArray(),
+          target: controls.target.toArray()
+        });
+      }, REPORT_DELAY);
+    };
+
+    controls.addEventListener('change', handleChange);
+    return () => {
+      clearTimeout(timer);
+      controls.removeEventListener('change', handleChange);
+    };
+  }, [controls, camera, onPoseChange]);
+
+  return null;
+}
+
+export default CameraPoseSync;
@@ -0,0 +1,76 @@
+import { brainStructure } from '../data/brainStructure';
+import { getConnectionNote } from '../data/networkConnectivity';
+import { formatAuthorsShort } from '../services/citationService';
+import { POSITIVE_EDGE_COLOR, NEGATIVE_EDGE_COLOR } from './ConnectivityEdges';
+
+/**
+ * Info drawer content for a clicked connectivity edge: the two networks,
+ * the strength and sign of their coupling and an explanation with its
+ * sources. onSelectNetwork(region) opens one of the networks.
+ */
+export function ConnectionInfo({ connection, onSelectNetwork }) {
+  const note = getConnectionNote(connection);
+  const networks = [brainStructure[connection.source], brainStructure[connection.target]];
+  const isPositive = connection.strength > 0;
+
+  return (
+    <>
+      <div className="info-header">
+        <div className="info-badge" style={{ backgroundColor: isPositive ? POSITIVE_EDGE_COLOR : NEGATIVE_EDGE_COLOR }}>
+          CONNECTION
+        </div>
+        <h2 className="info-title">{networks[0].name} ↔ {networks[1].name}</h2>
+        <p className="info-hemisphere">
+          {isPositive ? 'Positively coupled' : 'Anticorrelated'} at rest, r ≈ {connection.strength.toFixed(2)}
+        </p>
+      </div>
+
+      <div className="info-section">
+        <h3 className="info-section-title">How They Interact</h3>
+        <p className="info-text">{note.summary}</p>
+      </div>
+
+      <div className="info-section">
+        <h3 className="info-section-title">Networks</h3>
+        <div className="info-tags">
+          {networks.map(network => (
+            <button
+              key={network.id}
+              className="region-chip"
+              style={{ '--region-color': network.color }}
+              onClick={() => onSelectNetwork(network)}
+            >
+              <span className="region-chip-dot" style={{ backgroundColor: network.color }}></span>
+              <span className="region-chip-name">{network.name}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="info-section">
+        <h3 className="info-section-title">Sources</h3>
+        <ol className="info-papers">
+          {note.references.map(reference => (
+            <li key={reference.id} className="info-paper">
+              <span className="info-paper-authors">
+                {formatAuthorsShort(reference.authors)} ({reference.year})
+              </span>
+              <span className="info-paper-title">{reference.title}</span>
+              <span className="info-paper-journal">
+                {reference.journal} ·{' '}
+                <a href={`https://doi.org/${reference.doi}`} target="_blank" rel="noopener noreferrer">
+                  doi:{reference.doi}
+                </a>
+              </span>
+            </li>
+          ))}
+        </ol>
+        <p className="info-papers-note">
+          Connectivity values are illustrative group-level figures for teaching (see src/data/networkConnectivity.js).
+        </p>
+      </div>
+    </>
+  );
+}
+
+export default ConnectionInfo;
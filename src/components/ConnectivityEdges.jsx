@@ -0,0 +1,98 @@
+import { useEffect, useMemo, useState } from 'react';
+import * as THREE from 'three';
+import { brainStructure } from '../data/brainStructure';
+import { getRegionPosition } from '../atlases';
+
+export const POSITIVE_EDGE_COLOR = '#F39C12';
+export const NEGATIVE_EDGE_COLOR = '#3498DB';
+
+// How far (model units) edges arc out beyond the farther centroid
+const EDGE_LIFT = 0.8;
+
+/**
+ * Arc between two centroids, bowed away from the brain's center
+ */
+function createEdgeCurve(start, end) {
+  const middle = start.clone().add(end).multiplyScalar(0.5);
+  const height = Math.max(start.length(), end.length()) + EDGE_LIFT;
+  // Centroids mirrored across the center have a midpoint at the origin
+  const control = middle.lengthSq() > 1e-6
+    ? middle.clone().setLength(height)
+    : new THREE.Vector3(0, height, 0);
+  return new THREE.QuadraticBezierCurve3(start, control, end);
+}
+
+function ConnectivityEdge({ connection, hemisphere, selected, onClick }) {
+  const [hovered, setHovered] = useState(false);
+  const strength = Math.abs(connection.strength);
+
+  const geometry = useMemo(() => {
+    const start = new THREE.Vector3(...getRegionPosition(brainStructure[connection.source], hemisphere));
+    const end = new THREE.Vector3(...getRegionPosition(brainStructure[connection.target], hemisphere));
+    return new THREE.TubeGeometry(createEdgeCurve(start, end), 48, 0.03 + strength * 0.15, 8, false);
+  }, [connection.source, connection.target, hemisphere, strength]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <mesh
+      geometry={geometry}
+      renderOrder={10}
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick?.(connection);
+      }}
+      onPointerOver={(e) => {
+        e.stopPropagation();
+        setHovered(true);
+        document.body.style.cursor = 'pointer';
+      }}
+      onPointerOut={() => {
+        setHovered(false);
+        document.body.style.cursor = '';
+      }}
+    >
+      <meshBasicMaterial
+        color={connection.strength > 0 ? POSITIVE_EDGE_COLOR : NEGATIVE_EDGE_COLOR}
+        transparent
+        opacity={selected || hovered ? 1 : 0.35 + strength}
+        depthTest={false}
+        depthWrite={false}
+      />
+    </mesh>
+  );
+}
+
+/**
+ * Curved edges between network centroids, thicker and more opaque for
+ * stronger connectivity; orange for positive and blue for negative
+ * correlations. Drawn over the cortex so edges inside it stay visible.
+ * Rendered through GltfBrainModel's renderOverlay, once per hemisphere.
+ */
+export function ConnectivityEdges({ connections, hemisphere, selectedConnectionId, onEdgeClick }) {
+  const networkIds = [...new Set(connections.flatMap(connection => [connection.source, connection.target]))];
+
+  return (
+    <group>
+      {connections.map(connection => (
+        <ConnectivityEdge
+          key={connection.id}
+          connection={connection}
+          hemisphere={hemisphere}
+          selected={connection.id === selectedConnectionId}
+          onClick={onEdgeClick}
+        />
+      ))}
+
+      {/* Network nodes at the edge ends */}
+      {networkIds.map(id => (
+        <mesh key={id} position={getRegionPosition(brainStructure[id], hemisphere)} renderOrder={11}>
+          <sphereGeometry args={[0.18, 16, 16]} />
+          <meshBasicMaterial color={brainStructure[id].color} depthTest={false} depthWrite={false} transparent />
+        </mesh>
+      ))}
+    </group>
+  );
+}
+
+export default ConnectivityEdges;
@@ -0,0 +1,287 @@
+import { useState } from 'react';
+import * as THREE from 'three';
+import { brainStructure } from '../data/brainStructure';
+import { CONNECTIVITY_NETWORKS, getConnectivity, getConnections } from '../data/networkConnectivity';
+import { POSITIVE_EDGE_COLOR, NEGATIVE_EDGE_COLOR } from './ConnectivityEdges';
+
+const CELL_SIZE = 30;
+const LABEL_SIZE = 40;
+const CHORD_SIZE = 250;
+const CHORD_RADIUS = 95;
+// Correlation mapped to the ends of the color scale
+const COLOR_RANGE = 0.4;
+const NEUTRAL_COLOR = new THREE.Color('#242424');
+
+// 'Visual Network (VIS)' → 'VIS'
+const getAbbreviation = (network) => network.name.match(/\(([^)]+)\)\s*$/)?.[1] || network.name;
+
+const getCellColor = (strength) => {
+  const end = new THREE.Color(strength > 0 ? POSITIVE_EDGE_COLOR : NEGATIVE_EDGE_COLOR);
+  return NEUTRAL_COLOR.clone().lerp(end, Math.min(Math.abs(strength) / COLOR_RANGE, 1)).getStyle();
+};
+
+const polar = (angle, radius) => [
+  CHORD_SIZE / 2 + radius * Math.sin(angle),
+  CHORD_SIZE / 2 - radius * Math.cos(angle)
+];
+
+/**
+ * Heatmap of the connectivity matrix
+ */
+function ConnectivityMatrix({ selectedId, hoveredPair, onHover, onCellClick, onLabelClick }) {
+  const size = LABEL_SIZE + CONNECTIVITY_NETWORKS.length * CELL_SIZE;
+
+  return (
+    <svg className="connectivity-matrix" width={size} height={size} viewBox={`0 0 ${size} ${size}`}>
+      {CONNECTIVITY_NETWORKS.map((id, index) => (
+        <g key={id}>
+          <text
+            className={`connectivity-label ${id === selectedId ? 'connectivity-label-active' : ''}`}
+            x={LABEL_SIZE - 6}
+            y={LABEL_SIZE + index * CELL_SIZE + CELL_SIZE / 2}
+            textAnchor="end"
+            dominantBaseline="middle"
+            onClick={() => onLabelClick(id)}
+          >
+            {getAbbreviation(brainStructure[id])}
+          </text>
+          <text
+            className={`connectivity-label ${id === selectedId ? 'connectivity-label-active' : ''}`}
+            x={LABEL_SIZE + index * CELL_SIZE + CELL_SIZE / 2}
+            y={LABEL_SIZE - 8}
+            textAnchor="middle"
+            onClick={() => onLabelClick(id)}
+          >
+            {getAbbreviation(brainStructure[id])}
+          </text>
+        </g>
+      ))}
+
+      {CONNECTIVITY_NETWORKS.map((rowId, row) => CONNECTIVITY_NETWORKS.map((columnId, column) => {
+        const strength = getConnectivity(rowId, columnId);
+        const isDiagonal = row === column;
+        const isHovered = hoveredPair?.includes(rowId) && hoveredPair?.includes(columnId);
+        const isFaded = selectedId && rowId !== selectedId;
+
+        return (
+          <g
+            key={`${rowId}|${columnId}`}
+            className="connectivity-cell"
+            opacity={isFaded ? 0.45 : 1}
+            onMouseEnter={() => onHover([rowId, columnId])}
+            onMouseLeave={() => onHover(null)}
+            onClick={() => onCellClick(rowId, columnId)}
+          >
+            <rect
+              x={LABEL_SIZE + column * CELL_SIZE + 1}
+              y={LABEL_SIZE + row * CELL_SIZE + 1}
+              width={CELL_SIZE - 2}
+              height={CELL_SIZE - 2}
+              rx={3}
+              fill={isDiagonal ? brainStructure[rowId].color : getCellColor(strength)}
+              fillOpacity={isDiagonal ? 0.5 : 1}
+              stroke={isHovered ? '#ffffff' : 'none'}
+              strokeWidth={2}
+            />
+            {!isDiagonal && (
+              <text
+                x={LABEL_SIZE + column * CELL_SIZE + CELL_SIZE / 2}
+                y={LABEL_SIZE + row * CELL_SIZE + CELL_SIZE / 2}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                className="connectivity-value"
+              >
+                {strength.toFixed(2).replace(/^(-?)0/, '$1')}
+              </text>
+            )}
+          </g>
+        );
+      }))}
+
+      {/* Outline of the selected network's row */}
+      {selectedId && (
+        <rect
+          className="connectivity-row-outline"
+          x={LABEL_SIZE}
+          y={LABEL_SIZE + CONNECTIVITY_NETWORKS.indexOf(selectedId) * CELL_SIZE}
+          width={CONNECTIVITY_NETWORKS.length * CELL_SIZE}
+          height={CELL_SIZE}
+          rx={4}
+        />
+      )}
+    </svg>
+  );
+}
+
+/**
+ * Chord diagram: one arc per network, one chord per connection above the
+ * threshold, spread along each arc so chords do not overlap at the ends
+ */
+function ConnectivityChord({ connections, selectedId, hoveredPair, onHover, onChordClick, onLabelClick }) {
+  const count = CONNECTIVITY_NETWORKS.length;
+  const segment = (Math.PI * 2) / count;
+  const gap = 0.06;
+
+  // Angle of each chord end: chords of a network share its arc evenly
+  const endAngles = new Map();
+  CONNECTIVITY_NETWORKS.forEach((id, index) => {
+    const own = connections
+      .filter(connection => connection.source === id || connection.target === id)
+      .map(connection => ({ connection, partner: connection.source === id ? connection.target : connection.source }))
+      .sort((a, b) => CONNECTIVITY_NETWORKS.indexOf(a.partner) - CONNECTIVITY_NETWORKS.indexOf(b.partner));
+    own.forEach(({ connection }, position) => {
+      const angle = index * segment + gap + ((position + 1) / (own.length + 1)) * (segment - 2 * gap);
+      endAngles.set(`${connection.id}:${id}`, angle);
+    });
+  });
+
+  return (
+    <svg className="connectivity-chord" width={CHORD_SIZE} height={CHORD_SIZE} viewBox={`0 0 ${CHORD_SIZE} ${CHORD_SIZE}`}>
+      {connections.map(connection => {
+        const [x1, y1] = polar(endAngles.get(`${connection.id}:${connection.source}`), CHORD_RADIUS - 6);
+        const [x2, y2] = polar(endAngles.get(`${connection.id}:${connection.target}`), CHORD_RADIUS - 6);
+        const involvesSelected = !selectedId || connection.source === selectedId || connection.target === selectedId;
+        const isHovered = hoveredPair?.includes(connection.source) && hoveredPair?.includes(connection.target);
+
+        return (
+          <path
+            key={connection.id}
+            className="connectivity-chord-path"
+            d={`M ${x1} ${y1} Q ${CHORD_SIZE / 2} ${CHORD_SIZE / 2} ${x2} ${y2}`}
+            stroke={connection.strength > 0 ? POSITIVE_EDGE_COLOR : NEGATIVE_EDGE_COLOR}
+            strokeWidth={2 + Math.abs(connection.strength) * 14}
+            strokeOpacity={isHovered ? 1 : involvesSelected ? 0.7 : 0.12}
+            fill="none"
+            onMouseEnter={() => onHover([connection.source, connection.target])}
+            onMouseLeave={() => onHover(null)}
+            onClick={() => onChordClick(connection)}
+          />
+        );
+      })}
+
+      {CONNECTIVITY_NETWORKS.map((id, index) => {
+        const start = index * segment + gap;
+        const end = (index + 1) * segment - gap;
+        const [x1, y1] = polar(start, CHORD_RADIUS);
+        const [x2, y2] = polar(end, CHORD_RADIUS);
+        const [labelX, labelY] = polar((start + end) / 2, CHORD_RADIUS + 18);
+        const isActive = id === selectedId || hoveredPair?.includes(id);
+
+        return (
+          <g
+            key={id}
+            className="connectivity-arc"
+            onMouseEnter={() => onHover([id])}
+            onMouseLeave={() => onHover(null)}
+            onClick={() => onLabelClick(id)}
+          >
+            <path
+              d={`M ${x1} ${y1} A ${CHORD_RADIUS} ${CHORD_RADIUS} 0 0 1 ${x2} ${y2}`}
+              stroke={brainStructure[id].color}
+              strokeWidth={isActive ? 14 : 10}
+              fill="none"
+            />
+            <text
+              className={`connectivity-label ${isActive ? 'connectivity-label-active' : ''}`}
+              x={labelX}
+              y={labelY}
+              textAnchor="middle"
+              dominantBaseline="middle"
+            >
+              {getAbbreviation(brainStructure[id])}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * 2D view of the inter-network connectivity beside the 3D brain, as a
+ * heatmap or a chord diagram. Hovering a cell, chord or arc reports the
+ * networks through onHoverNetworks (the brain highlights them); the
+ * selected network's row and chords are emphasized. Clicking a label
+ * selects a network and clicking a cell or chord opens the connection.
+ */
+export function ConnectivityPanel({
+  threshold = 0,
+  selectedNetworkId,
+  onHoverNetworks,
+  onSelectNetwork,
+  onSelectConnection,
+  onClose
+}) {
+  const [view, setView] = useState('matrix');
+  const [hoveredPair, setHoveredPair] = useState(null);
+  const selectedId = CONNECTIVITY_NETWORKS.includes(selectedNetworkId) ? selectedNetworkId : null;
+
+  const handleHover = (ids) => {
+    setHoveredPair(ids);
+    onHoverNetworks?.(ids);
+  };
+
+  const handleCellClick = (rowId, columnId) => {
+    if (rowId === columnId) {
+      onSelectNetwork(rowId);
+      return;
+    }
+    const connection = getConnections().find(candidate =>
+      [candidate.source, candidate.target].includes(rowId) && [candidate.source, candidate.target].includes(columnId));
+    if (connection) onSelectConnection(connection);
+  };
+
+  const hoveredStrength = hoveredPair?.length === 2 && hoveredPair[0] !== hoveredPair[1]
+    ? getConnectivity(hoveredPair[0], hoveredPair[1])
+    : null;
+
+  return (
+    <div className="connectivity-panel">
+      <div className="connectivity-panel-header">
+        <div className="connectivity-panel-tabs">
+          {[['matrix', 'Matrix'], ['chord', 'Chord']].map(([id, label]) => (
+            <button
+              key={id}
+              className={`connectivity-panel-tab ${view === id ? 'connectivity-panel-tab-active' : ''}`}
+              onClick={() => setView(id)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <button className="connectivity-panel-close" onClick={onClose} aria-label="Close connectivity panel">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M18 6 6 18M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {view === 'matrix' ? (
+        <ConnectivityMatrix
+          selectedId={selectedId}
+          hoveredPair={hoveredPair}
+          onHover={handleHover}
+          onCellClick={handleCellClick}
+          onLabelClick={onSelectNetwork}
+        />
+      ) : (
+        <ConnectivityChord
+          connections={getConnections(threshold)}
+          selectedId={selectedId}
+          hoveredPair={hoveredPair}
+          onHover={handleHover}
+          onChordClick={onSelectConnection}
+          onLabelClick={onSelectNetwork}
+        />
+      )}
+
+      <p className="connectivity-panel-caption">
+        {hoveredStrength !== null
+          ? `${brainStructure[hoveredPair[0]].name} ↔ ${brainStructure[hoveredPair[1]].name}: r ≈ ${hoveredStrength.toFixed(2)}`
+          : 'Resting-state correlation between networks (illustrative values)'}
+      </p>
+    </div>
+  );
+}
+
+export default ConnectivityPanel;
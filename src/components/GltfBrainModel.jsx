@@ -2,41 +2,368 @@ import { useRef, useState, useEffect, useMemo } from 'react';
 import { useGLTF, Html } from '@react-three/drei';
 import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
-import { brainStructure, getMainRegions } from '../data/brainStructure';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { getAtlas, DEFAULT_ATLAS_ID, HEMISPHERES, isRegionSelected, getRegionPosition } from '../atlases';
+import { loadAnnotation, getIntersectionLabel, annotationMatchesGeometry } from '../services/annotationService';
+import { prepareSurfaceMeshes, pickAttribute } from '../services/surfaceService';
+
+const DEFAULT_MODEL_PATH = '/models/brainmodel.glb';
+
+const DIMMED_COLOR = new THREE.Color('#555555');
+const UNLABELLED_COLOR = new THREE.Color('#cccccc');
+
+// Render groups: one per hemisphere, plus meshes that could not be split
+// at the midline (see splitMeshAtMidline)
+const HEMISPHERE_GROUPS = ['lh', 'rh', 'both'];
+
+// Split layout: distance of each hemisphere from the midline (normalized
+// model units) and how quickly the layout eases towards its target
+const SPLIT_OFFSET = 2.4;
+const SPLIT_SPEED = 4;
+
+/**
+ * Load a surface outside of Suspense, so a missing optional variant only
+ * drops that variant. path is a single file or { lh, rh }.
+ */
+async function loadSurfaceMeshes(path) {
+  const loader = new GLTFLoader();
+  const sources = typeof path === 'string'
+    ? [[null, path]]
+    : Object.entries(path);
+
+  const scenes = await Promise.all(sources.map(async ([hemisphere, url]) => {
+    const gltf = await loader.loadAsync(url);
+    return { scene: gltf.scene, hemisphere };
+  }));
+
+  // Kept whole: base meshes split at the midline pick their own vertices
+  return prepareSurfaceMeshes(scenes, { splitMidline: false });
+}
+
+/**
+ * Add each surface variant to the base meshes as an absolute morph target.
+ * Variant meshes pair with base meshes by their position in the files, and
+ * halves of a base mesh split at the midline take their vertices from the
+ * whole variant mesh; a variant whose vertex count differs leaves that mesh
+ * on its base shape.
+ */
+function attachSurfaceVariants(meshes, variants) {
+  meshes.forEach((mesh, index) => {
+    const { geometry } = mesh;
+    const basePosition = geometry.attributes.position;
+    const hasNormals = Boolean(geometry.attributes.normal);
+
+    const positions = [];
+    const normals = [];
+
+    const { sourceIndex = index, sourceVertices, sourceVertexCount = basePosition.count } = mesh.userData;
+    // The variant's vertices for this mesh: all of them, or this half's
+    const pick = (attribute) => (sourceVertices ? pickAttribute(attribute, sourceVertices) : attribute.clone());
+
+    variants.forEach(({ meshes: variantMeshes }) => {
+      const variant = variantMeshes[sourceIndex]?.geometry;
+      if (!variant || variant.attributes.position.count !== sourceVertexCount) {
+        positions.push(basePosition.clone());
+        if (hasNormals) normals.push(geometry.attributes.normal.clone());
+        return;
+      }
+
+      const position = pick(variant.attributes.position);
+
+      // Each surface is normalized on its own, so inflated hemispheres
+      // overlap at the midline; put their medial edge where the base has it
+      const hemisphere = mesh.userData.hemisphere;
+      if (hemisphere) {
+        const { min, max } = geometry.boundingBox;
+        const variantBox = new THREE.Box3().setFromBufferAttribute(position);
+        const shift = hemisphere === 'lh'
+          ? max.x - variantBox.max.x
+          : min.x - variantBox.min.x;
+        for (let i = 0; i < position.count; i++) {
+          position.setX(i, position.getX(i) + shift);
+        }
+      }
+      positions.push(position);
+
+      if (hasNormals) {
+        const normalSource = variant.clone();
+        normalSource.computeVertexNormals();
+        normals.push(pick(normalSource.attributes.normal));
+      }
+    });
+
+    geometry.morphAttributes = variants.length > 0
+      ? { position: positions, ...(hasNormals && { normal: normals }) }
+      : {};
+    geometry.morphTargetsRelative = false;
+
+    // Raycasting culls against the bounding sphere, which must cover every
+    // surface. The bounding box stays on the base surface for region mapping.
+    geometry.computeBoundingSphere();
+  });
+}
+
+/**
+ * Map a hit on a (possibly morphed) mesh back to the base surface, where
+ * region positions are defined
+ */
+function getBaseSurfacePoint(mesh, localPoint, face) {
+  const influences = mesh.morphTargetInfluences;
+  if (!face || !influences?.some(influence => influence > 0)) {
+    return localPoint;
+  }
+
+  const basePosition = mesh.geometry.attributes.position;
+  const [a, b, c] = [face.a, face.b, face.c].map(index => mesh.getVertexPosition(index, new THREE.Vector3()));
+  const [baseA, baseB, baseC] = [face.a, face.b, face.c].map(index => new THREE.Vector3().fromBufferAttribute(basePosition, index));
+
+  return THREE.Triangle.getInterpolation(localPoint, a, b, c, baseA, baseB, baseC, new THREE.Vector3());
+}
+
+// Whether two region lists hold the same region objects in the same order
+const isSameRegionList = (a, b) => a.length === b.length && a.every((region, index) => region === b[index]);
+
+/**
+ * Resolve every vertex of an annotated surface to an index into `regions`
+ * (-1 for medial wall / unlabelled vertices)
+ */
+function buildVertexRegions(annotation, atlas, regions, granularity) {
+  // Colortable entries are few, so resolve them once and then index per vertex
+  const entryToRegion = annotation.colortable.map(entry => {
+    const region = atlas.getRegionByLabel(entry.name, granularity);
+    return region ? regions.findIndex(r => r.id === region.id) : -1;
+  });
+
+  const vertexRegions = new Int16Array(annotation.vertexCount);
+  for (let i = 0; i < annotation.vertexCount; i++) {
+    const position = annotation.labels[i];
+    vertexRegions[i] = position >= 0 ? entryToRegion[position] : -1;
+  }
+  return vertexRegions;
+}
+
+/**
+ * Write an RGBA color attribute painting each vertex with its network color,
+ * applying selection highlight and dimming per vertex
+ * @param {Array} highlighted - Regions to highlight (others are dimmed; none
+ * dims nothing)
+ */
+function paintVertexColors(geometry, vertexRegions, regions, highlighted) {
+  const count = vertexRegions.length;
+  let attribute = geometry.getAttribute('color');
+  if (!attribute || attribute.itemSize !== 4 || attribute.count !== count) {
+    attribute = new THREE.BufferAttribute(new Float32Array(count * 4), 4);
+    geometry.setAttribute('color', attribute);
+  }
+
+  const regionColors = regions.map(region => new THREE.Color(region.color));
+  const selectedColors = regionColors.map(color => color.clone().multiplyScalar(1.2));
+  const regionSelected = regions.map(region => highlighted.some(target => isRegionSelected(region, target)));
+
+  for (let i = 0; i < count; i++) {
+    const regionIndex = vertexRegions[i];
+    let color = regionIndex >= 0 ? regionColors[regionIndex] : UNLABELLED_COLOR;
+    let alpha = 1;
+
+    if (highlighted.length > 0) {
+      if (regionIndex >= 0 && regionSelected[regionIndex]) {
+        color = selectedColors[regionIndex];
+      } else {
+        // Dim others
+        color = DIMMED_COLOR;
+        alpha = 0.3;
+      }
+    }
+
+    attribute.setXYZW(i, color.r, color.g, color.b, alpha);
+  }
+
+  attribute.needsUpdate = true;
+}
 
 /**
  * GLTF Brain Model Component
  * Loads and renders a 3D brain model from a GLTF/GLB file
- * with interactive regions mapped to the brain structure data.
+ * with interactive regions mapped to the regions of an atlas
+ * (see src/atlases).
  * 
  * IMPROVEMENTS:
  * - Robust spatial mapping for meshes without proper names
  * - Normalized scaling to ensure model aligns with data coordinates
  * - Optimized material handling (no recreation on render)
  * - Raycasting-based interaction for better precision
+ * - Atlas lookup: when a FreeSurfer annotation matching the mesh topology is
+ *   available, hovered faces resolve to their real atlas label
+ * - Per-vertex coloring: annotated meshes are painted vertex by vertex so each
+ *   network appears exactly where it lies on the surface
+ *
+ * colorMode: 'auto' paints per vertex whenever an annotation matches a mesh,
+ * 'vertex' forces it (unmatched meshes stay neutral) and 'mesh' keeps the
+ * legacy one-color-per-mesh tinting.
+ *
+ * granularity selects between the atlas's resolutions (e.g. Yeo 7 or 17
+ * networks) for coloring and picking. atlasPaths ({ lh, rh }) overrides the
+ * atlas's own annotation files.
+ *
+ * Hemispheres: modelPath is either one file whose meshes are split by name
+ * or side of the midline (a mesh spanning it is cut in two), or { lh, rh }
+ * with one file per hemisphere. surfaceMeshes, meshes already prepared with
+ * prepareSurfaceMeshes (e.g. dropped files, see userModelService), replace
+ * modelPath. Each hemisphere is labelled from its own annotation and can be
+ * hidden through visibleHemispheres to expose the medial wall of the other;
+ * onHemispheresLoaded reports the hemispheres that have meshes of their own.
+ *
+ * split animates the hemispheres apart and turns each so its medial surface
+ * faces the camera. Meshes that could not be split into hemispheres (e.g.
+ * multi-material or dropped whole-brain surfaces) stay in place.
+ *
+ * Surfaces: surfaceVariants lists further surfaces with the base model's
+ * vertices (white, inflated, sphere; see src/data/brainSurfaces.js). They
+ * load in the background and become morph targets; onSurfacesLoaded reports
+ * the ones that loaded and morph (0 = base, 1 = first loaded variant, ...)
+ * blends between neighbouring surfaces.
+ *
+ * highlightedRegions, when not empty, replaces the selection for the
+ * highlight and dimming (e.g. the pair hovered in the connectivity matrix).
+ * labelsHidden drops the hover tooltip, keeping only the glow (quiz mode).
+ *
+ * onRegionClick(region, { hemisphere, shiftKey }) reports clicked regions;
+ * shiftKey lets App add to a multi-selection.
+ *
+ * onSurfacePick, when given, takes clicks instead of onRegionClick and
+ * receives the surface point ({ position, normal, hemisphere, region }) in
+ * the same model space as renderOverlay, e.g. to place pins.
+ *
+ * renderOverlay(hemisphere) adds content (e.g. connectivity edges) to each
+ * visible hemisphere's group, in the model space region positions use, so
+ * it follows the model's scale and the split layout. hemisphere is null
+ * for meshes that span both hemispheres.
  */
 export function GltfBrainModel({
   onRegionClick,
   selectedRegion,
-  modelPath = '/models/brainmodel.glb'
+  modelPath = DEFAULT_MODEL_PATH,
+  surfaceMeshes,
+  atlas = getAtlas(DEFAULT_ATLAS_ID),
+  atlasPaths = atlas.annotPaths,
+  colorMode = 'auto',
+  granularity = atlas.defaultGranularity,
+  visibleHemispheres = { lh: true, rh: true },
+  split = false,
+  surfaceVariants = [],
+  morph = 0,
+  onSurfacesLoaded,
+  onHemispheresLoaded,
+  highlightedRegions,
+  labelsHidden = false,
+  onSurfacePick,
+  renderOverlay
 }) {
   const groupRef = useRef();
   const [hoveredRegion, setHoveredRegion] = useState(null);
   const [meshes, setMeshes] = useState([]);
   const [modelLoaded, setModelLoaded] = useState(false);
   const [scale, setScale] = useState(0.12);
-  const [meshRegionMap, setMeshRegionMap] = useState(new Map());
+  const [annotations, setAnnotations] = useState({});
+  const [hoveredLabel, setHoveredLabel] = useState(null);
+  const [hoveredHemisphere, setHoveredHemisphere] = useState(null);
+  const [hoveredGroup, setHoveredGroup] = useState(null);
+  const [loadedVariants, setLoadedVariants] = useState([]);
+  const hemisphereGroupsRef = useRef({});
+  const splitRef = useRef({ progress: 0, yaw: 0 });
   const pulseRef = useRef(0);
   const { camera, raycaster, pointer } = useThree();
 
-  // Load the GLTF model
-  const { scene } = useGLTF(modelPath);
+  // One model file, or one per hemisphere
+  const modelSources = typeof modelPath === 'string'
+    ? [{ path: modelPath, hemisphere: null }]
+    : Object.entries(modelPath).map(([hemisphere, path]) => ({ path, hemisphere }));
+
+  // Load the GLTF model(s)
+  const gltfs = useGLTF(modelSources.map(source => source.path));
+  // useGLTF hands back a fresh array for array input; key effects on the scenes
+  const sceneKey = gltfs.map(gltf => gltf.scene.uuid).join(',');
 
   // Animate pulsing effect for selected regions
   useFrame((state, delta) => {
     pulseRef.current += delta;
   });
 
+  // Ease the hemispheres towards the split or joined layout
+  useFrame((state, delta) => {
+    const layout = splitRef.current;
+    const target = split ? 1 : 0;
+    if (layout.progress === target) return;
+
+    // Face the medial surfaces towards wherever the camera is when splitting starts
+    if (split && layout.progress === 0) {
+      layout.yaw = Math.atan2(camera.position.x, camera.position.z);
+    }
+
+    layout.progress += (target - layout.progress) * Math.min(1, delta * SPLIT_SPEED);
+    if (Math.abs(target - layout.progress) < 0.001) {
+      layout.progress = target;
+    }
+
+    Object.values(HEMISPHERES).forEach(({ id, side }) => {
+      const group = hemisphereGroupsRef.current[id];
+      if (!group) return;
+
+      // Move out along the camera's right axis, then turn the medial wall
+      // (facing -side along x) to face the camera
+      const distance = side * SPLIT_OFFSET * layout.progress;
+      group.position.set(distance * Math.cos(layout.yaw), 0, -distance * Math.sin(layout.yaw));
+      group.rotation.y = (layout.yaw + side * Math.PI / 2) * layout.progress;
+    });
+  });
+
+  // Load the vertex-level atlas annotation for each hemisphere (atlases
+  // built from dropped files carry theirs already parsed)
+  const lhAtlasPath = atlasPaths?.lh;
+  const rhAtlasPath = atlasPaths?.rh;
+  const atlasAnnotations = atlas.annotations;
+  useEffect(() => {
+    if (atlasAnnotations) {
+      setAnnotations(atlasAnnotations);
+      return;
+    }
+
+    let cancelled = false;
+    setAnnotations({});
+
+    Object.entries({ lh: lhAtlasPath, rh: rhAtlasPath }).forEach(([hemisphere, path]) => {
+      if (!path) return;
+
+      loadAnnotation(path)
+        .then(result => {
+          if (!cancelled) {
+            setAnnotations(prev => ({ ...prev, [hemisphere]: result }));
+            console.log(`Loaded ${hemisphere} atlas annotation. Vertices: ${result.vertexCount}, labels: ${result.colortable.length}`);
+          }
+        })
+        .catch(error => {
+          // Picking falls back to centroid proximity without an annotation
+          console.warn(`Atlas annotation unavailable (${path}):`, error.message);
+        });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [lhAtlasPath, rhAtlasPath, atlasAnnotations]);
+
+  // Annotation for a mesh: its own hemisphere's, or whichever fits a mesh
+  // whose hemisphere could not be determined
+  const getMeshAnnotation = (mesh) => {
+    const hemisphere = mesh.userData.hemisphere;
+    if (hemisphere) {
+      return annotationMatchesGeometry(annotations[hemisphere], mesh.geometry) ? annotations[hemisphere] : null;
+    }
+    return Object.values(annotations).find(annotation =>
+      annotationMatchesGeometry(annotation, mesh.geometry)
+    ) || null;
+  };
+
   // Handle responsive scaling based on window size
   useEffect(() => {
     const updateScale = () => {
@@ -67,80 +394,82 @@ export function GltfBrainModel({
 
   // Process model: Extract meshes, Center, Normalize Size, and Map to Regions
   useEffect(() => {
-    if (scene) {
-      const extractedMeshes = [];
-      const newMeshRegionMap = new Map();
+    // Meshes prepared elsewhere (dropped files) replace the model files
+    if (surfaceMeshes?.length) {
+      setMeshes(surfaceMeshes);
+      setModelLoaded(true);
+      return;
+    }
 
-      // 1. Extract all meshes and bake their world transforms into the geometry
-      // This ensures that even if the GLTF has a complex hierarchy, we get the correct "visual" position
-      scene.updateMatrixWorld(true);
-      
-      scene.traverse((child) => {
-        if (child.isMesh) {
-          // Clone geometry and apply world matrix
-          const geometry = child.geometry.clone();
-          geometry.applyMatrix4(child.matrixWorld);
-          
-          // Create a new mesh with identity transform
-          const newMesh = new THREE.Mesh(geometry, child.material ? child.material.clone() : undefined);
-          newMesh.userData = { ...child.userData };
-          newMesh.name = child.name; // Preserve name for mapping
-          newMesh.castShadow = true;
-          newMesh.receiveShadow = true;
-          
-          extractedMeshes.push(newMesh);
-        }
-      });
+    if (gltfs.every(gltf => gltf.scene)) {
+      // Bake world transforms into the geometry, center at (0,0,0), scale to
+      // fit ~4 units and tag each mesh with its hemisphere
+      const extractedMeshes = prepareSurfaceMeshes(gltfs.map(({ scene }, sourceIndex) => ({
+        scene,
+        hemisphere: modelSources[sourceIndex].hemisphere
+      })));
 
       if (extractedMeshes.length === 0) return;
 
-      // 2. Calculate bounds of the entire extracted brain
-      const totalBox = new THREE.Box3();
-      extractedMeshes.forEach(mesh => {
-        mesh.geometry.computeBoundingBox();
-        totalBox.union(mesh.geometry.boundingBox);
-      });
-
-      const center = new THREE.Vector3();
-      totalBox.getCenter(center);
-      const size = new THREE.Vector3();
-      totalBox.getSize(size);
-      
-      // 3. Normalize: Center at (0,0,0) and Scale to fit ~4 units
-      const maxDim = Math.max(size.x, size.y, size.z);
-      const normalizationScale = 4.0 / (maxDim || 1); // Avoid divide by zero
-
-      extractedMeshes.forEach((mesh, index) => {
-        // Translate to center
-        mesh.geometry.translate(-center.x, -center.y, -center.z);
-        // Scale to normalize
-        mesh.geometry.scale(normalizationScale, normalizationScale, normalizationScale);
-        
-        // Recompute bounds for mapping
-        mesh.geometry.computeBoundingBox();
-        
-        // Map to region
-        const region = mapMeshToRegion(mesh, index);
-        if (region) {
-          newMeshRegionMap.set(mesh.uuid, region);
-          mesh.userData.regionId = region.id;
-        }
-      });
-
       setMeshes(extractedMeshes);
-      setMeshRegionMap(newMeshRegionMap);
       setModelLoaded(true);
       
       console.log(`Loaded and normalized brain model. Meshes: ${extractedMeshes.length}`);
     }
-  }, [scene]);
+  }, [sceneKey, surfaceMeshes]);
+
+  // Tell which hemispheres can be hidden or split apart
+  useEffect(() => {
+    if (meshes.length === 0) return;
+    onHemispheresLoaded?.(Object.keys(HEMISPHERES).filter(id =>
+      meshes.some(mesh => mesh.userData.hemisphere === id)
+    ));
+  }, [meshes]);
+
+  // Load the optional surface variants; any that fail are left out
+  const variantKey = JSON.stringify(surfaceVariants.map(surface => surface.path));
+  useEffect(() => {
+    let cancelled = false;
+    setLoadedVariants([]);
+
+    Promise.all(surfaceVariants.map(surface =>
+      loadSurfaceMeshes(surface.path)
+        .then(variantMeshes => ({ surface, meshes: variantMeshes }))
+        .catch(error => {
+          console.warn(`Surface "${surface.id}" unavailable:`, error.message);
+          return null;
+        })
+    )).then(results => {
+      if (!cancelled) setLoadedVariants(results.filter(Boolean));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [variantKey]);
+
+  // Turn the loaded variants into morph targets of the base meshes
+  useEffect(() => {
+    if (meshes.length === 0) return;
+
+    attachSurfaceVariants(meshes, loadedVariants);
+    onSurfacesLoaded?.(loadedVariants.map(variant => variant.surface));
+    if (loadedVariants.length > 0) {
+      console.log(`Surface variants ready: ${loadedVariants.map(variant => variant.surface.id).join(', ')}`);
+    }
+  }, [meshes, loadedVariants]);
+
+  // Weight of each variant: morph blends linearly between neighbouring surfaces
+  const morphInfluences = useMemo(() => {
+    return loadedVariants.map((_, index) => Math.max(0, 1 - Math.abs(morph - (index + 1))));
+  }, [loadedVariants, morph]);
 
   // Map mesh to brain region based on name or spatial position
   const mapMeshToRegion = (mesh, index) => {
     const meshName = mesh.name.toLowerCase();
     
     // Determine which regions are currently relevant
-    const regionsToDisplay = getMainRegions();
+    const regionsToDisplay = atlas.getRegions(granularity);
 
     // 1. Try Name Matching
     for (const region of regionsToDisplay) {
@@ -167,8 +496,8 @@ export function GltfBrainModel({
     let minDistance = Infinity;
 
     for (const region of regionsToDisplay) {
-      // brainStructure positions are [x, y, z]
-      const regionPos = new THREE.Vector3(...region.position);
+      // Region positions are [x, y, z] in normalized model space
+      const regionPos = new THREE.Vector3(...getRegionPosition(region, mesh.userData.hemisphere));
       
       // Weight the distance by region size to prefer larger regions for ambiguous meshes
       // (Optional refinement)
@@ -191,34 +520,57 @@ export function GltfBrainModel({
       return regionsToDisplay[index % regionsToDisplay.length];
     }
 
-    return brainStructure.default_mode_network;
+    return null;
   };
 
+  // Map each mesh to a region (re-run when the granularity changes)
+  const meshRegionMap = useMemo(() => {
+    const map = new Map();
+    meshes.forEach((mesh, index) => {
+      const region = mapMeshToRegion(mesh, index);
+      if (region) {
+        map.set(mesh.uuid, region);
+        mesh.userData.regionId = region.id;
+      }
+    });
+    return map;
+  }, [meshes, atlas, granularity]);
+
   // Real-time Raycast Mapping
-  // Instead of relying on pre-mapped meshes, we check where the cursor is
-  // and find the closest region to that point in 3D space.
+  // If the hovered mesh has a matching annotation, the face under the cursor
+  // is looked up directly. Otherwise we find the closest region centroid.
   const handlePointerMove = (e) => {
-    // Get intersection point
-    const point = e.point; // World space intersection point
-    
+    // The hit in normalized model space, whatever the hemisphere layout or
+    // surface the mesh is morphed to
+    const localPoint = getBaseSurfacePoint(e.object, e.object.worldToLocal(e.point.clone()), e.face);
+
+    // Meshes of unknown hemisphere fall back to the side of the midline
+    const hemisphere = e.object.userData.hemisphere || (localPoint.x < 0 ? 'lh' : 'rh');
+    setHoveredHemisphere(hemisphere);
+    setHoveredGroup(e.object.userData.hemisphere || 'both');
+
+    const hit = getIntersectionLabel(getMeshAnnotation(e.object), e);
+    if (hit) {
+      const region = atlas.getRegionByLabel(hit.label.name, granularity);
+      setHoveredRegion(region);
+      setHoveredLabel(region ? hit.label.name : null);
+      document.body.style.cursor = region ? 'pointer' : 'auto';
+      return;
+    }
+    setHoveredLabel(null);
+
     // Find closest region to this point
-    const regionsToDisplay = getMainRegions();
+    const regionsToDisplay = atlas.getRegions(granularity);
 
     let closest = null;
     let minDist = Infinity;
 
-    // Convert point to local space if needed (but our meshes are at 0,0,0 world)
-    // The point is already in world space, and our normalized meshes are centered at 0,0,0
-    // The brainStructure positions are relative to this center.
-    
-    // We need to account for the group scale!
-    // The point is in world space. The regions are defined in "normalized model space" (approx -2 to 2).
-    // The group is scaled by `scale` (approx 4.2).
-    // So we need to divide the world point by `scale` to compare with brainStructure positions.
-    const localPoint = point.clone().divideScalar(scale);
+    // Region positions are in "normalized model space" (approx -2 to 2), the
+    // space localPoint is in: world space undone through the group scale and
+    // any split translation/rotation of the hemisphere.
 
     for (const region of regionsToDisplay) {
-      const regionPos = new THREE.Vector3(...region.position);
+      const regionPos = new THREE.Vector3(...getRegionPosition(region, hemisphere));
       const dist = localPoint.distanceTo(regionPos);
       
       if (dist < minDist) {
@@ -238,20 +590,77 @@ export function GltfBrainModel({
 
   const handleClick = (e) => {
     e.stopPropagation();
+    if (onSurfacePick) {
+      const localPoint = getBaseSurfacePoint(e.object, e.object.worldToLocal(e.point.clone()), e.face);
+      onSurfacePick({
+        position: localPoint.toArray(),
+        normal: e.face ? e.face.normal.toArray() : null,
+        hemisphere: e.object.userData.hemisphere || null,
+        region: hoveredRegion
+      });
+      return;
+    }
     if (hoveredRegion && onRegionClick) {
-      onRegionClick(hoveredRegion);
+      onRegionClick(hoveredRegion, { hemisphere: hoveredHemisphere, shiftKey: e.nativeEvent.shiftKey });
     }
   };
 
+  // Per-vertex network assignment for meshes that share an annotation's topology
+  const vertexRegionMap = useMemo(() => {
+    const map = new Map();
+    if (colorMode === 'mesh') return map;
+
+    const regions = atlas.getRegions(granularity);
+    meshes.forEach(mesh => {
+      const annotation = getMeshAnnotation(mesh);
+      if (annotation) {
+        map.set(mesh.uuid, buildVertexRegions(annotation, atlas, regions, granularity));
+      }
+    });
+    return map;
+  }, [meshes, annotations, atlas, colorMode, granularity]);
+
+  // Highlight targets: a new array holding the same region objects keeps
+  // the previous one, so it does not rebuild the materials, while a changed
+  // region with the same id (another atlas or granularity) does
+  const highlightTargets = highlightedRegions?.length ? highlightedRegions : [selectedRegion].filter(Boolean);
+  const highlightedRef = useRef(highlightTargets);
+  if (!isSameRegionList(highlightedRef.current, highlightTargets)) {
+    highlightedRef.current = highlightTargets;
+  }
+  const highlighted = highlightedRef.current;
+
   // Memoized Materials to prevent recreation on every frame
   const materials = useMemo(() => {
     const mats = new Map();
+    const regions = atlas.getRegions(granularity);
     
     meshes.forEach(mesh => {
+      const vertexRegions = vertexRegionMap.get(mesh.uuid);
+
+      if (vertexRegions || colorMode === 'vertex') {
+        if (vertexRegions) {
+          paintVertexColors(mesh.geometry, vertexRegions, regions, highlighted);
+        }
+
+        const material = new THREE.MeshStandardMaterial({
+          color: vertexRegions ? '#ffffff' : UNLABELLED_COLOR,
+          vertexColors: Boolean(vertexRegions),
+          roughness: 0.4,
+          metalness: 0.1
+        });
+        // Dimmed vertices carry alpha < 1, so blend whenever something is selected
+        material.transparent = highlighted.length > 0;
+
+        mats.set(mesh.uuid, material);
+        return;
+      }
+
+
       // We still use the mesh-based map for base coloring if available, 
       // but interaction is now raycast-based.
       const region = meshRegionMap.get(mesh.uuid);
-      const isSelected = selectedRegion && (selectedRegion.id === region?.id);
+      const isSelected = highlighted.some(target => isRegionSelected(region, target));
       
       // Base material (clone original or create new)
       const material = mesh.userData.originalMaterial 
@@ -268,7 +677,7 @@ export function GltfBrainModel({
         material.color = new THREE.Color(region?.color).multiplyScalar(1.2);
         material.opacity = 1;
         material.transparent = false;
-      } else if (selectedRegion) {
+      } else if (highlighted.length > 0) {
         // Dim others
         material.color = new THREE.Color('#555555');
         material.opacity = 0.3;
@@ -283,7 +692,7 @@ export function GltfBrainModel({
       mats.set(mesh.uuid, material);
     });
     return mats;
-  }, [meshes, meshRegionMap, selectedRegion]);
+  }, [meshes, meshRegionMap, vertexRegionMap, atlas, colorMode, granularity, highlighted]);
 
   if (!modelLoaded || meshes.length === 0) {
     return (
@@ -295,68 +704,94 @@ export function GltfBrainModel({
     );
   }
 
-  return (
-    <group ref={groupRef} scale={scale}>
-      {meshes.map((mesh) => (
-        <mesh
-          key={mesh.uuid}
-          geometry={mesh.geometry}
-          material={materials.get(mesh.uuid)}
-          position={mesh.position}
-          rotation={mesh.rotation}
-          scale={mesh.scale}
-          onPointerMove={handlePointerMove}
-          onPointerOut={() => setHoveredRegion(null)}
-          onClick={handleClick}
-          castShadow
-          receiveShadow
+  // EXTERNAL OVERLAY HIGHLIGHTING
+  // A separate glowing sphere at the detected region's position, rendered in
+  // the hovered mesh's group so it follows the split layout
+  const hoverOverlay = hoveredRegion && (
+    <group position={getRegionPosition(hoveredRegion, hoveredHemisphere)}>
+      {/* Inner Glow Core */}
+      <mesh>
+        <sphereGeometry args={[1.2, 32, 32]} />
+        <meshBasicMaterial 
+          color={hoveredRegion.color} 
+          transparent 
+          opacity={0.3} 
+          depthWrite={false}
         />
-      ))}
-
-      {/* EXTERNAL OVERLAY HIGHLIGHTING */}
-      {/* This renders a separate glowing sphere at the detected region's position */}
-      {hoveredRegion && (
-        <group position={hoveredRegion.position}>
-          {/* Inner Glow Core */}
-          <mesh>
-            <sphereGeometry args={[1.2, 32, 32]} />
-            <meshBasicMaterial 
-              color={hoveredRegion.color} 
-              transparent 
-              opacity={0.3} 
-              depthWrite={false}
-            />
-          </mesh>
-          
-          {/* Outer Glow Shell */}
-          <mesh>
-            <sphereGeometry args={[1.6, 32, 32]} />
-            <meshBasicMaterial 
-              color={hoveredRegion.color} 
-              transparent 
-              opacity={0.1} 
-              depthWrite={false}
-              side={THREE.BackSide}
-            />
-          </mesh>
-
-          {/* Floating Label */}
-          <Html position={[0, 1.5, 0]} center distanceFactor={6} style={{ pointerEvents: 'none' }}>
-            <div className="brain-tooltip" style={{ 
-              borderColor: hoveredRegion.color,
-              boxShadow: `0 0 25px ${hoveredRegion.color}60`
-            }}>
-              <div className="tooltip-type" style={{ color: hoveredRegion.color }}>
-                {hoveredRegion.type}
-              </div>
-              <div className="tooltip-name">{hoveredRegion.name}</div>
+      </mesh>
+      
+      {/* Outer Glow Shell */}
+      <mesh>
+        <sphereGeometry args={[1.6, 32, 32]} />
+        <meshBasicMaterial 
+          color={hoveredRegion.color} 
+          transparent 
+          opacity={0.1} 
+          depthWrite={false}
+          side={THREE.BackSide}
+        />
+      </mesh>
+
+      {/* Floating Label */}
+      {!labelsHidden && (
+        <Html position={[0, 1.5, 0]} center distanceFactor={6} style={{ pointerEvents: 'none' }}>
+          <div className="brain-tooltip" style={{ 
+            borderColor: hoveredRegion.color,
+            boxShadow: `0 0 25px ${hoveredRegion.color}60`
+          }}>
+            <div className="tooltip-type" style={{ color: hoveredRegion.color }}>
+              {hoveredRegion.type}
+              {hoveredHemisphere && ` · ${HEMISPHERES[hoveredHemisphere].shortName}`}
             </div>
-          </Html>
-        </group>
+            <div className="tooltip-name">{hoveredRegion.name}</div>
+            {hoveredLabel && (
+              <div className="tooltip-label">{hoveredLabel}</div>
+            )}
+          </div>
+        </Html>
       )}
     </group>
   );
+
+  const visibleGroups = new Set(meshes
+    .filter(mesh => visibleHemispheres[mesh.userData.hemisphere] !== false)
+    .map(mesh => mesh.userData.hemisphere || 'both'));
+
+  return (
+    <group ref={groupRef} scale={scale}>
+      {HEMISPHERE_GROUPS.map(group => (
+        <group key={group} ref={element => { hemisphereGroupsRef.current[group] = element; }}>
+          {meshes
+            .filter(mesh => (mesh.userData.hemisphere || 'both') === group)
+            .filter(mesh => visibleHemispheres[mesh.userData.hemisphere] !== false)
+            .map((mesh) => (
+              <mesh
+                key={mesh.uuid}
+                userData={mesh.userData}
+                geometry={mesh.geometry}
+                morphTargetInfluences={morphInfluences.length > 0 ? morphInfluences : undefined}
+                material={materials.get(mesh.uuid)}
+                position={mesh.position}
+                rotation={mesh.rotation}
+                scale={mesh.scale}
+                onPointerMove={handlePointerMove}
+                onPointerOut={() => {
+                  setHoveredRegion(null);
+                  setHoveredLabel(null);
+                }}
+                onClick={handleClick}
+                castShadow
+                receiveShadow
+              />
+            ))}
+
+          {hoveredGroup === group && hoverOverlay}
+          {renderOverlay && visibleGroups.has(group) && renderOverlay(group === 'both' ? null : group)}
+        </group>
+      ))}
+    </group>
+  );
 }
 
 // Preload
-useGLTF.preload('/models/brainmodel.glb');
+useGLTF.preload(DEFAULT_MODEL_PATH);
@@ -0,0 +1,251 @@
+import { useState, useEffect, useRef } from 'react';
+import { getStepDuration } from '../services/lessonService';
+
+/**
+ * Plays and records guided lessons. App applies each step (selection,
+ * camera, drawer) through onGoToStep; the player shows its narration and
+ * runs autoplay. The editor records the current view as a new step after
+ * the current one.
+ *
+ * canRecord / recordHint tell whether the current view can become a step
+ * and why not; keyRegionOptions are the selected network's key regions.
+ */
+export function LessonPlayer({
+  lesson,
+  stepIndex,
+  error,
+  canRecord,
+  recordHint,
+  keyRegionOptions = [],
+  onOpenFile,
+  onNewLesson,
+  onGoToStep,
+  onRecordStep,
+  onDeleteStep,
+  onRename,
+  onSave,
+  onClose
+}) {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [narration, setNarration] = useState('');
+  const [keyRegions, setKeyRegions] = useState([]);
+  const fileInputRef = useRef(null);
+  // Latest callback, so App re-rendering does not restart the step timer
+  const goToStepRef = useRef(onGoToStep);
+  goToStepRef.current = onGoToStep;
+
+  const steps = lesson?.steps || [];
+  const step = steps[stepIndex];
+
+  // Autoplay: move on once the step's time is up, stopping at the end
+  useEffect(() => {
+    if (!isPlaying || !step) return;
+
+    const timer = setTimeout(() => {
+      if (stepIndex < steps.length - 1) {
+        goToStepRef.current(stepIndex + 1);
+      } else {
+        setIsPlaying(false);
+      }
+    }, getStepDuration(step) * 1000);
+
+    return () => clearTimeout(timer);
+  }, [isPlaying, step, stepIndex, steps.length]);
+
+  // Key region choices follow the selection
+  useEffect(() => {
+    setKeyRegions([]);
+  }, [keyRegionOptions.join('|')]);
+
+  // New lessons open in the editor, opened files in the player
+  const handleNewLesson = () => {
+    setIsEditing(true);
+    setIsPlaying(false);
+    onNewLesson();
+  };
+
+  const handleOpenFile = (file) => {
+    setIsEditing(false);
+    setIsPlaying(false);
+    onOpenFile(file);
+  };
+
+  const handlePlay = () => {
+    if (!isPlaying && stepIndex >= steps.length - 1) {
+      onGoToStep(0);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  const handleRecord = () => {
+    onRecordStep({ narration, keyRegions });
+    setNarration('');
+    setKeyRegions([]);
+  };
+
+  const toggleKeyRegion = (name) => {
+    setKeyRegions(keyRegions.includes(name)
+      ? keyRegions.filter(item => item !== name)
+      : [...keyRegions, name]);
+  };
+
+  const closeButton = (
+    <button className="lesson-player-close" onClick={onClose} aria-label="Close lessons">
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <path d="M18 6 6 18M6 6l12 12" />
+      </svg>
+    </button>
+  );
+
+  const fileInput = (
+    <input
+      ref={fileInputRef}
+      type="file"
+      accept=".json,application/json"
+      hidden
+      onChange={(e) => {
+        if (e.target.files[0]) handleOpenFile(e.target.files[0]);
+        e.target.value = '';
+      }}
+    />
+  );
+
+  if (!lesson) {
+    return (
+      <div className="lesson-player">
+        <div className="lesson-player-header">
+          <h3 className="lesson-player-title">Lessons</h3>
+          {closeButton}
+        </div>
+        <p className="lesson-player-text">
+          Play a lesson file step by step, or record a new one: select a network, frame it, add narration and record each step.
+        </p>
+        {error && <p className="lesson-player-error" role="alert">{error}</p>}
+        <div className="lesson-player-actions">
+          <button className="lesson-button" onClick={() => fileInputRef.current?.click()}>Open lesson…</button>
+          <button className="lesson-button lesson-button-secondary" onClick={handleNewLesson}>New lesson</button>
+        </div>
+        {fileInput}
+      </div>
+    );
+  }
+
+  return (
+    <div className="lesson-player">
+      <div className="lesson-player-header">
+        <h3 className="lesson-player-title">{lesson.title}</h3>
+        {closeButton}
+      </div>
+      {error && <p className="lesson-player-error" role="alert">{error}</p>}
+
+      {step ? (
+        <>
+          <span className="lesson-player-progress">Step {stepIndex + 1} of {steps.length}</span>
+          {step.narration && <p className="lesson-player-narration">{step.narration}</p>}
+          {step.keyRegions.length > 0 && (
+            <div className="lesson-player-tags">
+              {step.keyRegions.map(name => (
+                <span key={name} className="lesson-player-tag">{name}</span>
+              ))}
+            </div>
+          )}
+          <div className="lesson-player-controls">
+            <button
+              className="lesson-control"
+              onClick={() => onGoToStep(stepIndex - 1)}
+              disabled={stepIndex === 0}
+              aria-label="Previous step"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="m15 18-6-6 6-6" />
+              </svg>
+            </button>
+            <button className="lesson-control" onClick={handlePlay} aria-label={isPlaying ? 'Pause' : 'Autoplay'}>
+              {isPlaying ? (
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M8 5v14M16 5v14" />
+                </svg>
+              ) : (
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" stroke="none">
+                  <path d="M7 4.5v15l13-7.5z" />
+                </svg>
+              )}
+            </button>
+            <button
+              className="lesson-control"
+              onClick={() => onGoToStep(stepIndex + 1)}
+              disabled={stepIndex >= steps.length - 1}
+              aria-label="Next step"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="m9 18 6-6-6-6" />
+              </svg>
+            </button>
+            <button
+              className={`lesson-control lesson-control-text ${isEditing ? 'lesson-control-active' : ''}`}
+              onClick={() => setIsEditing(!isEditing)}
+            >
+              Edit
+            </button>
+          </div>
+        </>
+      ) : (
+        <p className="lesson-player-text">
+          No steps yet. Select a network, frame the view, then record it as the first step.
+        </p>
+      )}
+
+      {isEditing && (
+        <div className="lesson-editor">
+          <input
+            className="lesson-input"
+            value={lesson.title}
+            onChange={(e) => onRename(e.target.value)}
+            aria-label="Lesson title"
+          />
+          <textarea
+            className="lesson-input lesson-narration-input"
+            value={narration}
+            onChange={(e) => setNarration(e.target.value)}
+            placeholder="Narration for the new step"
+            rows={3}
+          />
+          {keyRegionOptions.length > 0 && (
+            <div className="lesson-player-tags">
+              {keyRegionOptions.map(name => (
+                <button
+                  key={name}
+                  className={`lesson-player-tag lesson-tag-option ${keyRegions.includes(name) ? 'lesson-tag-option-active' : ''}`}
+                  onClick={() => toggleKeyRegion(name)}
+                  title="Highlight this key region in the step"
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="lesson-player-actions">
+            <button className="lesson-button" onClick={handleRecord} disabled={!canRecord} title={recordHint}>
+              Record step
+            </button>
+            {step && (
+              <button className="lesson-button lesson-button-secondary" onClick={onDeleteStep}>
+                Delete step
+              </button>
+            )}
+            <button className="lesson-button lesson-button-secondary" onClick={onSave} disabled={steps.length === 0}>
+              Save
+            </button>
+            <button className="lesson-button lesson-button-secondary" onClick={() => fileInputRef.current?.click()}>
+              Open…
+            </button>
+          </div>
+          {fileInput}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LessonPlayer;
@@ -0,0 +1,130 @@
+import { COMPARISON_FIELDS, getSharedKeyRegions } from '../services/comparisonService';
+
+const renderField = (region, key, sharedKeyRegions) => {
+  const value = region[key];
+  if (!value || value.length === 0) {
+    return <span className="comparison-empty">—</span>;
+  }
+
+  if (key === 'keyRegions') {
+    return (
+      <div className="comparison-tags">
+        {value.map(name => (
+          <span
+            key={name}
+            className={`info-tag comparison-tag ${sharedKeyRegions.has(`${region.id}|${name}`) ? 'info-tag-highlighted' : ''}`}
+            style={{ borderColor: region.color, '--region-color': region.color }}
+          >
+            {name}
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  if (key === 'functions') {
+    return (
+      <ul className="comparison-list">
+        {value.map(func => <li key={func}>{func}</li>)}
+      </ul>
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Info drawer content for two or three shift-selected networks: shared
+ * key regions first, then their curated data side by side, one column per
+ * network. onSelectRegion(region) opens one network on its own,
+ * onRemoveRegion(region) takes it out of the comparison.
+ */
+export function NetworkComparison({ regions, onSelectRegion, onRemoveRegion }) {
+  const shared = getSharedKeyRegions(regions);
+  const sharedKeyRegions = new Set(shared.flatMap(group =>
+    group.matches.map(match => `${match.regionId}|${match.keyRegion}`)
+  ));
+  const getRegion = (id) => regions.find(region => region.id === id);
+
+  return (
+    <>
+      <div className="info-header">
+        <div className="info-badge comparison-badge">COMPARISON</div>
+        <h2 className="info-title">{regions.map(region => region.name).join(' vs ')}</h2>
+        <p className="info-hemisphere">Shift-click networks to add or remove them (up to 3)</p>
+      </div>
+
+      <div className="info-section">
+        <h3 className="info-section-title">Networks</h3>
+        <div className="info-tags">
+          {regions.map(region => (
+            <span key={region.id} className="comparison-chip">
+              <button
+                className="region-chip"
+                style={{ '--region-color': region.color }}
+                onClick={() => onSelectRegion(region)}
+                title="Show this network on its own"
+              >
+                <span className="region-chip-dot" style={{ backgroundColor: region.color }}></span>
+                <span className="region-chip-name">{region.name}</span>
+              </button>
+              <button
+                className="comparison-remove"
+                onClick={() => onRemoveRegion(region)}
+                aria-label={`Remove ${region.name} from the comparison`}
+              >
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M18 6 6 18M6 6l12 12" />
+                </svg>
+              </button>
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="info-section">
+        <h3 className="info-section-title">Shared Key Regions</h3>
+        {shared.length > 0 ? (
+          <ul className="comparison-shared">
+            {shared.map(group => (
+              <li key={group.matches.map(match => match.keyRegion).join('|')} className="comparison-shared-item">
+                {group.matches.map((match, index) => (
+                  <span key={`${match.regionId}|${match.keyRegion}`}>
+                    {index > 0 && ' ≈ '}
+                    <span className="comparison-shared-name" style={{ color: getRegion(match.regionId).color }}>
+                      {match.keyRegion}
+                    </span>
+                  </span>
+                ))}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="info-text">None of their listed key regions overlap.</p>
+        )}
+      </div>
+
+      <div className="info-section">
+        <div className="comparison-table" style={{ '--comparison-columns': regions.length }}>
+          {regions.map(region => (
+            <div key={region.id} className="comparison-heading" style={{ borderColor: region.color, color: region.color }}>
+              {region.name}
+            </div>
+          ))}
+          {COMPARISON_FIELDS.map(({ key, label }) => (
+            <div key={key} className="comparison-row">
+              <h3 className="info-section-title comparison-row-title">{label}</h3>
+              {regions.map(region => (
+                <div key={region.id} className="comparison-cell">
+                  {renderField(region, key, sharedKeyRegions)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default NetworkComparison;
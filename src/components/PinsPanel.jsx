@@ -0,0 +1,118 @@
+import { useRef } from 'react';
+import { PIN_COLORS } from '../services/pinService';
+
+/**
+ * Lists the surface pins and edits the selected one. While placing, App
+ * turns clicks on the brain into new pins; pins can be imported from and
+ * exported to a JSON file.
+ */
+export function PinsPanel({
+  pins,
+  selectedPinId,
+  isPlacing,
+  error,
+  onTogglePlacing,
+  onSelectPin,
+  onUpdatePin,
+  onDeletePin,
+  onImport,
+  onExport,
+  onClose
+}) {
+  const fileInputRef = useRef(null);
+  const selectedPin = pins.find(pin => pin.id === selectedPinId);
+
+  return (
+    <div className="pins-panel">
+      <div className="pins-panel-header">
+        <h3 className="pins-panel-title">Pins</h3>
+        <button className="pins-panel-close" onClick={onClose} aria-label="Close pins">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M18 6 6 18M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <p className="pins-panel-text">
+        {isPlacing
+          ? 'Click the brain to drop a pin.'
+          : 'Mark spots on the cortex with a title, note and color. Pins are saved in this browser.'}
+      </p>
+      {error && <p className="pins-panel-error" role="alert">{error}</p>}
+
+      <div className="pins-panel-actions">
+        <button className={`pins-button ${isPlacing ? 'pins-button-active' : ''}`} onClick={onTogglePlacing}>
+          {isPlacing ? 'Done' : 'Add pin'}
+        </button>
+        <button className="pins-button pins-button-secondary" onClick={() => fileInputRef.current?.click()}>
+          Import…
+        </button>
+        <button className="pins-button pins-button-secondary" onClick={onExport} disabled={pins.length === 0}>
+          Export
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          hidden
+          onChange={(e) => {
+            if (e.target.files[0]) onImport(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+
+      {pins.length > 0 && (
+        <ul className="pins-list">
+          {pins.map(pin => (
+            <li key={pin.id}>
+              <button
+                className={`pins-list-item ${pin.id === selectedPinId ? 'pins-list-item-active' : ''}`}
+                onClick={() => onSelectPin(pin.id === selectedPinId ? null : pin.id)}
+              >
+                <span className="pins-list-dot" style={{ backgroundColor: pin.color }}></span>
+                {pin.title || 'Untitled'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selectedPin && (
+        <div className="pins-editor">
+          <input
+            className="pins-input"
+            value={selectedPin.title}
+            onChange={(e) => onUpdatePin(selectedPin.id, { title: e.target.value })}
+            placeholder="Title"
+            aria-label="Pin title"
+          />
+          <textarea
+            className="pins-input pins-note-input"
+            value={selectedPin.note}
+            onChange={(e) => onUpdatePin(selectedPin.id, { note: e.target.value })}
+            placeholder="Note"
+            rows={3}
+            aria-label="Pin note"
+          />
+          <div className="pins-colors">
+            {PIN_COLORS.map(color => (
+              <button
+                key={color}
+                className={`pins-color ${selectedPin.color === color ? 'pins-color-active' : ''}`}
+                style={{ backgroundColor: color }}
+                onClick={() => onUpdatePin(selectedPin.id, { color })}
+                aria-label={`Color ${color}`}
+              />
+            ))}
+            <button className="pins-delete" onClick={() => onDeletePin(selectedPin.id)}>
+              Delete
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PinsPanel;
@@ -0,0 +1,145 @@
+import { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Closest the horizontal sweep gets to looking straight down or up (radians)
+const POLAR_MARGIN = 0.25;
+
+// Tour timing in seconds
+const TOUR_TRANSITION = 1.5;
+const TOUR_DWELL = 3;
+
+/**
+ * Canonical views visited by the tour, as directions from the target to the
+ * camera in model space (+x right, +y up, +z anterior). The medial view
+ * looks at the left hemisphere from the midline, so it hides the right one.
+ */
+export const TOUR_VIEWS = [
+  { id: 'lateral', name: 'Lateral', direction: [-1, 0, 0] },
+  { id: 'medial', name: 'Medial', direction: [1, 0, 0], hemispheres: { lh: true, rh: false } },
+  { id: 'dorsal', name: 'Dorsal', direction: [0, 1, 0.01] },
+  { id: 'ventral', name: 'Ventral', direction: [0, -1, 0.01] },
+  { id: 'anterior', name: 'Anterior', direction: [0, 0, 1] },
+  { id: 'posterior', name: 'Posterior', direction: [0, 0, -1] }
+];
+
+export const ROTATION_AXES = {
+  vertical: 'Turntable',
+  horizontal: 'Tumble'
+};
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Presentation rotation for the default orbit controls
+ * mode: 'off', 'spin' (continuous rotation at `speed` rad/s about the
+ * vertical axis, or sweeping over the top for axis 'horizontal') or 'tour'
+ * (moves through TOUR_VIEWS, reporting each through onViewChange).
+ * Pauses while the user drags or zooms and resumes after idleDelay ms.
+ * Must be rendered inside the Canvas after controls with makeDefault.
+ */
+export function PresentationRotation({
+  mode = 'off',
+  speed = 0.3,
+  axis = 'vertical',
+  idleDelay = 3000,
+  onViewChange
+}) {
+  const { camera, controls } = useThree();
+  const interactionRef = useRef({ active: false, lastEnd: -Infinity });
+  const sweepDirectionRef = useRef(1);
+  const tourRef = useRef({ index: 0, elapsed: 0, from: null });
+
+  // Pause while the user is steering the camera
+  useEffect(() => {
+    if (!controls) return;
+
+    const handleStart = () => {
+      interactionRef.current.active = true;
+    };
+    const handleEnd = () => {
+      interactionRef.current = { active: false, lastEnd: performance.now() };
+    };
+
+    controls.addEventListener('start', handleStart);
+    controls.addEventListener('end', handleEnd);
+    return () => {
+      controls.removeEventListener('start', handleStart);
+      controls.removeEventListener('end', handleEnd);
+    };
+  }, [controls]);
+
+  // Start the tour from its first view each time it is switched on
+  useEffect(() => {
+    tourRef.current = { index: 0, elapsed: 0, from: null };
+    onViewChange?.(mode === 'tour' ? TOUR_VIEWS[0] : null);
+  }, [mode]);
+
+  const spin = (offset, delta) => {
+    if (axis === 'horizontal') {
+      // Sweep over the top and back, staying clear of the poles
+      const rightAxis = new THREE.Vector3().crossVectors(UP, offset).normalize();
+      offset.applyAxisAngle(rightAxis, sweepDirectionRef.current * speed * delta);
+
+      const polar = offset.angleTo(UP);
+      if (polar < POLAR_MARGIN || polar > Math.PI - POLAR_MARGIN) {
+        sweepDirectionRef.current *= -1;
+      }
+    } else {
+      offset.applyAxisAngle(UP, speed * delta);
+    }
+  };
+
+  const advanceTour = (offset, delta) => {
+    const tour = tourRef.current;
+    const distance = offset.length();
+
+    if (!tour.from) {
+      tour.from = offset.clone().normalize();
+    }
+    tour.elapsed += delta;
+
+    const view = TOUR_VIEWS[tour.index];
+    const to = new THREE.Vector3(...view.direction).normalize();
+    const progress = smoothstep(Math.min(1, tour.elapsed / TOUR_TRANSITION));
+    const rotation = new THREE.Quaternion()
+      .slerp(new THREE.Quaternion().setFromUnitVectors(tour.from, to), progress);
+
+    offset.copy(tour.from).applyQuaternion(rotation).multiplyScalar(distance);
+
+    if (tour.elapsed >= TOUR_TRANSITION + TOUR_DWELL) {
+      tour.index = (tour.index + 1) % TOUR_VIEWS.length;
+      tour.elapsed = 0;
+      tour.from = null;
+      onViewChange?.(TOUR_VIEWS[tour.index]);
+    }
+  };
+
+  useFrame((state, delta) => {
+    if (mode === 'off' || !controls) return;
+
+    const interaction = interactionRef.current;
+    if (interaction.active || performance.now() - interaction.lastEnd < idleDelay) {
+      // Re-approach the current tour view from wherever the user leaves the camera
+      tourRef.current.from = null;
+      tourRef.current.elapsed = 0;
+      return;
+    }
+
+    const offset = camera.position.clone().sub(controls.target);
+    if (mode === 'tour') {
+      advanceTour(offset, delta);
+    } else {
+      spin(offset, delta);
+    }
+
+    camera.position.copy(controls.target).add(offset);
+    controls.update();
+  });
+
+  return null;
+}
+
+export default PresentationRotation;
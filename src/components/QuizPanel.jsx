@@ -0,0 +1,150 @@
+import { getMainRegions } from '../data/brainStructure';
+import {
+  QUIZ_LENGTHS,
+  QUIZ_EXPORT_FORMATS,
+  getCurrentQuestion,
+  getQuizScore,
+  isQuizFinished,
+  downloadQuizResults
+} from '../services/quizService';
+
+const getNetworkName = (id) => getMainRegions().find(network => network.id === id)?.name;
+
+/**
+ * Network identification quiz: a length picker, then one question at a
+ * time and a score summary with JSON/CSV export. 'locate' questions are
+ * answered by clicking the brain (App routes the click to onAnswer);
+ * multiple-choice questions through their option buttons.
+ */
+export function QuizPanel({ quiz, onStart, onAnswer, onNext, onClose }) {
+  const closeButton = (
+    <button className="quiz-panel-close" onClick={onClose} aria-label="Close quiz">
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <path d="M18 6 6 18M6 6l12 12" />
+      </svg>
+    </button>
+  );
+
+  if (!quiz) {
+    return (
+      <div className="quiz-panel">
+        <div className="quiz-panel-header">
+          <h3 className="quiz-panel-title">Network Quiz</h3>
+          {closeButton}
+        </div>
+        <p className="quiz-panel-text">
+          Identify the seven networks from their functions and clinical relevance, on the brain or from a list.
+          Labels are hidden while you play.
+        </p>
+        <div className="quiz-panel-actions">
+          {QUIZ_LENGTHS.map(length => (
+            <button key={length} className="quiz-button" onClick={() => onStart(length)}>
+              {length} questions
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  if (isQuizFinished(quiz)) {
+    const { correct, total, percent, missedNetworks } = getQuizScore(quiz);
+
+    return (
+      <div className="quiz-panel">
+        <div className="quiz-panel-header">
+          <h3 className="quiz-panel-title">Results</h3>
+          {closeButton}
+        </div>
+        <p className="quiz-score">
+          {correct} / {total} <span className="quiz-score-percent">({percent}%)</span>
+        </p>
+        <ol className="quiz-results">
+          {quiz.questions.map(question => {
+            const answer = quiz.answers.find(item => item.questionId === question.id);
+            return (
+              <li key={question.id} className={`quiz-result ${answer?.correct ? 'quiz-result-correct' : 'quiz-result-wrong'}`}>
+                <span className="quiz-result-mark">{answer?.correct ? '✓' : '✗'}</span>
+                <span className="quiz-result-text">{getNetworkName(question.answerId)}</span>
+              </li>
+            );
+          })}
+        </ol>
+        {missedNetworks.length > 0 && (
+          <p className="quiz-panel-text">
+            Worth reviewing: {missedNetworks.map(network => network.name).join(', ')}
+          </p>
+        )}
+        <div className="quiz-panel-actions">
+          {Object.entries(QUIZ_EXPORT_FORMATS).map(([format, { label }]) => (
+            <button key={format} className="quiz-button quiz-button-secondary" onClick={() => downloadQuizResults(quiz, format)}>
+              Export {label}
+            </button>
+          ))}
+          <button className="quiz-button" onClick={() => onStart(quiz.questions.length)}>
+            Try again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { question, answer } = getCurrentQuestion(quiz);
+  const score = quiz.answers.filter(item => item.correct).length;
+  const isLast = quiz.index === quiz.questions.length - 1;
+
+  return (
+    <div className="quiz-panel">
+      <div className="quiz-panel-header">
+        <span className="quiz-progress">
+          Question {quiz.index + 1} of {quiz.questions.length} · Score {score}
+        </span>
+        {closeButton}
+      </div>
+
+      <p className="quiz-prompt">{question.prompt}</p>
+      {question.type === 'clinical' && (
+        <blockquote className="quiz-clue">{question.clue}</blockquote>
+      )}
+
+      {question.options ? (
+        <div className="quiz-options">
+          {question.options.map(option => {
+            const state = !answer
+              ? ''
+              : option.id === question.answerId
+                ? 'quiz-option-correct'
+                : option.id === answer.networkId ? 'quiz-option-wrong' : '';
+            return (
+              <button
+                key={option.id}
+                className={`quiz-option ${state}`}
+                onClick={() => onAnswer(option.id)}
+                disabled={Boolean(answer)}
+              >
+                {option.name}
+              </button>
+            );
+          })}
+        </div>
+      ) : !answer && (
+        <p className="quiz-hint">Click a network on the 3D brain to answer.</p>
+      )}
+
+      {answer && (
+        <div className="quiz-feedback">
+          <p className={answer.correct ? 'quiz-feedback-correct' : 'quiz-feedback-wrong'}>
+            {answer.correct
+              ? 'Correct!'
+              : `Not quite: it is the ${getNetworkName(question.answerId)}${question.options ? '' : ', highlighted on the brain'}.`}
+          </p>
+          <button className="quiz-button" onClick={onNext}>
+            {isLast ? 'See results' : 'Next question'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QuizPanel;
@@ -0,0 +1,77 @@
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Html } from '@react-three/drei';
+import * as THREE from 'three';
+
+// Marker size in normalized model units
+const PIN_RADIUS = 0.06;
+
+const worldPosition = new THREE.Vector3();
+const worldNormal = new THREE.Vector3();
+const toCamera = new THREE.Vector3();
+const normalMatrix = new THREE.Matrix3();
+
+/**
+ * Pins of one hemisphere group: a marker on the surface and an Html label
+ * with the title (and the note, when selected). Labels on the far side of
+ * the brain hide, judged by the surface normal recorded with the pin.
+ * Render it in GltfBrainModel's renderOverlay so it follows the model's
+ * scale and the split layout.
+ */
+export function SurfacePins({ pins, selectedPinId, onSelectPin }) {
+  const groupRef = useRef();
+  const labelRefs = useRef({});
+
+  useFrame(({ camera }) => {
+    const group = groupRef.current;
+    if (!group) return;
+
+    normalMatrix.getNormalMatrix(group.matrixWorld);
+    pins.forEach(pin => {
+      const label = labelRefs.current[pin.id];
+      if (!label || !pin.normal) return;
+
+      group.localToWorld(worldPosition.set(...pin.position));
+      worldNormal.set(...pin.normal).applyMatrix3(normalMatrix);
+      toCamera.copy(camera.position).sub(worldPosition);
+      const facing = worldNormal.dot(toCamera) > 0 || pin.id === selectedPinId;
+      label.style.visibility = facing ? 'visible' : 'hidden';
+    });
+  });
+
+  return (
+    <group ref={groupRef}>
+      {pins.map(pin => {
+        const selected = pin.id === selectedPinId;
+        return (
+          <group key={pin.id} position={pin.position}>
+            <mesh
+              onClick={(e) => {
+                e.stopPropagation();
+                onSelectPin(pin.id);
+              }}
+            >
+              <sphereGeometry args={[selected ? PIN_RADIUS * 1.5 : PIN_RADIUS, 16, 16]} />
+              <meshBasicMaterial color={pin.color} />
+            </mesh>
+            <Html
+              ref={element => { labelRefs.current[pin.id] = element; }}
+              zIndexRange={[80, 0]}
+            >
+              <button
+                className={`surface-pin ${selected ? 'surface-pin-selected' : ''}`}
+                style={{ '--pin-color': pin.color }}
+                onClick={() => onSelectPin(selected ? null : pin.id)}
+              >
+                <span className="surface-pin-title">{pin.title || 'Untitled'}</span>
+                {selected && pin.note && <span className="surface-pin-note">{pin.note}</span>}
+              </button>
+            </Html>
+          </group>
+        );
+      })}
+    </group>
+  );
+}
+
+export default SurfacePins;
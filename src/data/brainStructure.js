@@ -1,3 +1,6 @@
+import { yeo17Parts } from './yeo17Networks';
+import { KEY_PAPERS } from './keyPapers';
+
 /**
  * ========================================================================
  * SEVEN FUNCTIONAL BRAIN NETWORKS
@@ -8,6 +11,25 @@
  * User Flow:
  * 1. User sees all 7 NETWORKS
  * 2. User clicks a NETWORK → view switches to show details
+ *
+ * Each network's parts are its subdivisions in the Yeo 17-network
+ * parcellation (see yeo17Networks.js). Switching granularity to 17 makes
+ * those parts the selectable networks.
+ *
+ * position is given for one hemisphere: x is the distance from the
+ * midline (always positive) and is mirrored per hemisphere at runtime
+ * (see getRegionPosition in src/atlases).
+ *
+ * viewpoint is the direction (same axes as position) the camera looks
+ * from when a network is selected, chosen so most of the network faces
+ * the viewer. Regions without one are viewed from outside their centroid.
+ *
+ * atlasLabels lists the annotation structure names that belong to each
+ * network: the Yeo 2011 label itself plus the Desikan-Killiany (aparc)
+ * parcels whose cortex falls mostly inside it.
+ *
+ * references are the network's key papers (see keyPapers.js); 17-network
+ * parts and atlas parcels show those of the network they belong to.
  * ========================================================================
  */
 
@@ -22,13 +44,16 @@ export const brainStructure = {
     type: 'REGION',
     description: 'Occupies primary and secondary occipital cortex (V1-V4) plus the ventral visual stream. Transforms retinal input into detailed maps of edges, color, motion, and depth that guide perception and action.',
     color: '#8E44AD', // Purple/Violet
-    position: [0, 0.2, -1.8], // Back
+    position: [0.6, 0.2, -1.8], // Back (occipital pole)
+    viewpoint: [0.4, 0.3, -1], // From behind
     size: [2.5, 2, 1.5],
     isMainRegion: true,
-    parts: [],
+    parts: yeo17Parts.visual_network,
+    atlasLabels: ['7Networks_1', 'pericalcarine', 'cuneus', 'lingual', 'lateraloccipital', 'fusiform'],
     anatomicalLocation: 'Posterior occipital cortex, calcarine sulcus, lingual and fusiform gyri',
     keyRegions: ['Primary Visual Cortex (V1)', 'Extrastriate Cortex (V2-V4)', 'Middle Temporal Area (MT/V5)', 'Fusiform Face Area'],
     clinicalRelevance: 'Damage can cause visual field defects, motion blindness, or prosopagnosia (face blindness). Occipital lobe lesions impair conscious vision.',
+    references: [KEY_PAPERS.wandell2007, KEY_PAPERS.felleman1991, KEY_PAPERS.yeo2011],
     functions: [
       'Encodes edges, contrast, and orientation in early visual cortex (V1/V2)',
       'Detects motion speed and direction for navigation (MT/V5)',
@@ -47,13 +72,16 @@ export const brainStructure = {
     type: 'REGION',
     description: 'Forms a horseshoe along the precentral (motor) and postcentral (somatosensory) gyri. Integrates muscle commands with touch and proprioceptive feedback to keep the body coordinated.',
     color: '#3498DB', // Blue
-    position: [0, 1.9, 0.2], // Top Arc
+    position: [0.9, 1.9, 0.2], // Top Arc
+    viewpoint: [0.6, 1, 0.1], // From above and to the side
     size: [3, 1.5, 1.5],
     isMainRegion: true,
-    parts: [],
+    parts: yeo17Parts.somatomotor_network,
+    atlasLabels: ['7Networks_2', 'precentral', 'postcentral', 'paracentral', 'transversetemporal', 'superiortemporal'],
     anatomicalLocation: 'Precentral gyrus (motor cortex), postcentral gyrus (somatosensory cortex), paracentral lobule',
     keyRegions: ['Primary Motor Cortex (M1)', 'Primary Somatosensory Cortex (S1)', 'Supplementary Motor Area', 'Premotor Cortex'],
     clinicalRelevance: 'Strokes here cause contralateral weakness or paralysis. Seizures can trigger involuntary movements. Essential for rehabilitation after motor injuries.',
+    references: [KEY_PAPERS.penfield1937, KEY_PAPERS.biswal1995, KEY_PAPERS.yeo2011],
     functions: [
       'Drives voluntary limb, face, and speech movements from primary motor cortex',
       'Maps tactile input from the skin to the primary somatosensory cortex homunculus',
@@ -72,13 +100,16 @@ export const brainStructure = {
     type: 'REGION',
     description: 'Links the superior parietal lobule, intraparietal sulcus, and frontal eye fields. Keeps attention anchored on task-relevant objects and steers the eyes and hands toward them.',
     color: '#2ECC71', // Green
-    position: [1.2, 1.6, -0.5], // Top-Back-Side (Lateralized for interaction)
+    position: [1.2, 1.6, -0.5], // Top-Back-Side (Superior parietal)
+    viewpoint: [0.6, 0.8, -0.5], // From above, behind the central sulcus
     size: [1.5, 1.5, 1.5],
     isMainRegion: true,
-    parts: [],
+    parts: yeo17Parts.dorsal_attention_network,
+    atlasLabels: ['7Networks_3', 'superiorparietal'],
     anatomicalLocation: 'Superior parietal lobule, intraparietal sulcus, frontal eye fields (dorsal premotor cortex)',
     keyRegions: ['Frontal Eye Fields (FEF)', 'Intraparietal Sulcus (IPS)', 'Superior Parietal Lobule (SPL)'],
     clinicalRelevance: 'Damage causes spatial neglect (ignoring one side of space) or difficulty with goal-directed eye movements. Critical for attention in ADHD research.',
+    references: [KEY_PAPERS.corbetta2002, KEY_PAPERS.fox2006, KEY_PAPERS.yeo2011],
     functions: [
       'Builds top-down \"priority maps\" for visual search and reading',
       'Plans saccades and coordinated reaches toward selected targets',
@@ -98,12 +129,15 @@ export const brainStructure = {
     description: 'Anchored in the anterior insula and dorsal anterior cingulate. Monitors the body and environment for salient, urgent changes and rapidly reallocates attention when something important happens.',
     color: '#E67E22', // Orange
     position: [1.2, 0.5, 1.0], // Front-Side (Insula area)
+    viewpoint: [1, 0.1, 0.3], // Lateral, onto the insula and operculum
     size: [1.5, 1.5, 1.5],
     isMainRegion: true,
-    parts: [],
+    parts: yeo17Parts.ventral_attention_network,
+    atlasLabels: ['7Networks_4', 'supramarginal', 'insula', 'caudalanteriorcingulate', 'parsopercularis'],
     anatomicalLocation: 'Anterior insula, dorsal anterior cingulate cortex (dACC), inferior frontal gyrus',
     keyRegions: ['Anterior Insula', 'Dorsal Anterior Cingulate Cortex', 'Supramarginal Gyrus', 'Temporoparietal Junction'],
     clinicalRelevance: 'Implicated in anxiety disorders, PTSD, and chronic pain. Hyperactivity linked to panic attacks; hypoactivity seen in alexithymia (difficulty identifying emotions).',
+    references: [KEY_PAPERS.corbetta2008, KEY_PAPERS.seeley2007, KEY_PAPERS.menon2010],
     functions: [
       'Detects novel sights, sounds, or feelings that demand immediate attention',
       'Generates prediction-error signals when performance slips or surprises occur',
@@ -122,13 +156,16 @@ export const brainStructure = {
     type: 'REGION',
     description: 'Covers the orbitofrontal cortex, temporal pole, and ventral medial prefrontal areas that interface with the amygdala and hippocampus. Assigns emotional and motivational value to experiences.',
     color: '#F1C40F', // Warm Yellow/Cream
-    position: [0, -0.5, 0.5], // Deep/Bottom Front
+    position: [0.6, -0.5, 0.5], // Deep/Bottom Front
+    viewpoint: [0.4, -1, 0.3], // From below (orbitofrontal and temporal pole)
     size: [1.5, 1.2, 1.5],
     isMainRegion: true,
-    parts: [],
+    parts: yeo17Parts.limbic_network,
+    atlasLabels: ['7Networks_5', 'temporalpole', 'entorhinal', 'parahippocampal', 'lateralorbitofrontal', 'medialorbitofrontal', 'inferiortemporal'],
     anatomicalLocation: 'Orbitofrontal cortex, temporal pole, ventromedial prefrontal cortex, anterior cingulate (subgenual)',
     keyRegions: ['Orbitofrontal Cortex (OFC)', 'Temporal Pole', 'Ventromedial Prefrontal Cortex', 'Subgenual Cingulate'],
     clinicalRelevance: 'Dysfunction linked to depression, addiction, and impulsive decision-making. OFC damage impairs social judgement and emotional regulation.',
+    references: [KEY_PAPERS.rolls2015, KEY_PAPERS.catani2013, KEY_PAPERS.yeo2011],
     functions: [
       'Pairs sights, sounds, and smells with emotional memories',
       'Evaluates rewards and punishments to guide future choices',
@@ -148,12 +185,15 @@ export const brainStructure = {
     description: 'Links the dorsolateral prefrontal cortex with inferior parietal regions. Acts as a flexible control hub that keeps goals online, tests strategies, and supervises complex behaviour.',
     color: '#9B59B6', // Deep Purple/Blue
     position: [1.4, 1.2, 1.2], // Front-Side (DLPFC area)
+    viewpoint: [0.9, 0.4, 0.6], // Front-side, onto DLPFC
     size: [1.8, 1.5, 1.5],
     isMainRegion: true,
-    parts: [],
+    parts: yeo17Parts.frontoparietal_network,
+    atlasLabels: ['7Networks_6', 'rostralmiddlefrontal', 'caudalmiddlefrontal', 'parstriangularis', 'inferiorparietal'],
     anatomicalLocation: 'Dorsolateral prefrontal cortex (DLPFC), inferior parietal lobule, middle frontal gyrus',
     keyRegions: ['Dorsolateral Prefrontal Cortex', 'Inferior Parietal Lobule', 'Lateral Premotor Cortex', 'Anterior PFC'],
     clinicalRelevance: 'Impaired in schizophrenia, ADHD, and frontotemporal dementia. Critical target for cognitive training and brain stimulation therapies.',
+    references: [KEY_PAPERS.vincent2008, KEY_PAPERS.cole2013, KEY_PAPERS.power2011],
     functions: [
       'Holds task rules and instructions in working memory',
       'Designs step-by-step plans for writing, coding, or lab work',
@@ -172,13 +212,16 @@ export const brainStructure = {
     type: 'REGION',
     description: 'Spans medial prefrontal cortex, posterior cingulate/precuneus, angular gyrus, and hippocampal formation. Dominates during quiet wakefulness when we replay memories or imagine the future.',
     color: '#E74C3C', // Red/Pink
-    position: [0, 1.0, 1.8], // Front-Midline (mPFC)
+    position: [0.4, 1.0, 1.8], // Front-Medial (mPFC)
+    viewpoint: [0.4, 0.5, 1], // From the front, onto mPFC
     size: [2.0, 2.0, 2.0],
     isMainRegion: true,
-    parts: [],
+    parts: yeo17Parts.default_mode_network,
+    atlasLabels: ['7Networks_7', 'posteriorcingulate', 'isthmuscingulate', 'precuneus', 'superiorfrontal', 'rostralanteriorcingulate', 'middletemporal', 'bankssts', 'frontalpole', 'parsorbitalis'],
     anatomicalLocation: 'Medial prefrontal cortex, posterior cingulate cortex, precuneus, angular gyrus, medial temporal lobe',
     keyRegions: ['Medial Prefrontal Cortex (mPFC)', 'Posterior Cingulate Cortex (PCC)', 'Precuneus', 'Angular Gyrus'],
     clinicalRelevance: 'Overactivity linked to depression and rumination. Disrupted in Alzheimer\'s disease. Reduced connectivity seen in autism spectrum disorders.',
+    references: [KEY_PAPERS.raichle2001, KEY_PAPERS.greicius2003, KEY_PAPERS.buckner2008],
     functions: [
       'Retrieves autobiographical and episodic memories',
       'Simulates future plans and \"what if\" scenarios',
@@ -190,9 +233,27 @@ export const brainStructure = {
 };
 
 /**
- * Get all main REGIONS (7 total)
+ * Supported network granularities (Yeo 7 and Yeo 17)
  */
-export const getMainRegions = () => {
+export const NETWORK_GRANULARITIES = [7, 17];
+
+// 17-network view: every PART, annotated with its parent network
+const seventeenNetworks = Object.values(brainStructure).flatMap(region =>
+  region.parts.map(part => ({
+    ...part,
+    parentRegion: region.id,
+    parentName: region.name
+  }))
+);
+
+/**
+ * Get the selectable networks for a granularity
+ * (the 7 main REGIONS by default, or the 17 PARTS)
+ */
+export const getMainRegions = (granularity = 7) => {
+  if (granularity === 17) {
+    return seventeenNetworks;
+  }
   return Object.values(brainStructure).filter(region => region.type === 'REGION');
 };
 
@@ -206,16 +267,34 @@ export const getRegionById = (id) => {
   }
 
   // Check parts within regions
-  for (const mainRegion of Object.values(brainStructure)) {
-    if (mainRegion.parts) {
-      const part = mainRegion.parts.find(p => p.id === id);
-      if (part) {
-        return { ...part, parentRegion: mainRegion.id };
-      }
-    }
+  return seventeenNetworks.find(part => part.id === id) || null;
+};
+
+/**
+ * Get the network an atlas label belongs to at the given granularity.
+ * Accepts raw annotation names ('7Networks_3', 'superiorparietal') as well
+ * as hemisphere-prefixed lookup table names ('ctx-lh-superiorparietal').
+ * 17-network labels resolve to their parent at 7-network granularity.
+ */
+export const getRegionByAtlasLabel = (labelName, granularity = 7) => {
+  if (!labelName) return null;
+
+  const normalized = labelName
+    .toLowerCase()
+    .replace(/^ctx[-_](lh|rh)[-_]/, '')
+    .replace(/^(lh|rh)\./, '');
+  const matches = (region) =>
+    region.atlasLabels?.some(label => label.toLowerCase() === normalized);
+
+  if (granularity === 17) {
+    return seventeenNetworks.find(matches) || null;
   }
 
-  return null;
+  const region = getMainRegions().find(matches);
+  if (region) return region;
+
+  const part = seventeenNetworks.find(matches);
+  return part ? brainStructure[part.parentRegion] : null;
 };
 
 /**
@@ -225,6 +304,38 @@ export const getParts = (mainRegionId) => {
   return brainStructure[mainRegionId]?.parts || [];
 };
 
+/**
+ * Get the Yeo 7 network a region belongs to: a network itself, a
+ * 17-network part's parent or a parcel's `network`
+ * @returns {Object|null} Network, or null for regions outside the networks
+ */
+export const getRegionNetwork = (region) => {
+  return brainStructure[region?.id] || brainStructure[region?.parentRegion] || brainStructure[region?.network] || null;
+};
+
+/**
+ * Get the key papers shown for a region: its own, else those of the network
+ * it belongs to (17-network parent or the parcel's Yeo 7 network)
+ * @returns {Object} { references, network } where network is the region the
+ * references come from (null when none)
+ */
+export const getRegionReferences = (region) => {
+  const network = region?.references
+    ? region
+    : brainStructure[region?.parentRegion] || brainStructure[region?.network] || null;
+  return { references: network?.references || [], network };
+};
+
+/**
+ * Get every network's key papers once, in network order
+ */
+export const getAllReferences = () => {
+  const seen = new Set();
+  return Object.values(brainStructure)
+    .flatMap(network => network.references || [])
+    .filter(reference => !seen.has(reference.id) && seen.add(reference.id));
+};
+
 /**
  * Get flattened list of all regions and parts
  */
@@ -245,37 +356,4 @@ export const getAllRegionsAndParts = () => {
   return all;
 };
 
-/**
- * Search regions and parts
- */
-export const searchBrain = (query) => {
-  const lowerQuery = query.toLowerCase();
-  const results = { regions: [], parts: [] };
-
-  Object.values(brainStructure).forEach(region => {
-    // Search in main regions
-    if (region.name.toLowerCase().includes(lowerQuery) ||
-        region.description.toLowerCase().includes(lowerQuery)) {
-      results.regions.push(region);
-    }
-
-    // Search in parts
-    if (region.parts) {
-      region.parts.forEach(part => {
-        if (part.name.toLowerCase().includes(lowerQuery) ||
-            part.description.toLowerCase().includes(lowerQuery) ||
-            part.functions.some(f => f.toLowerCase().includes(lowerQuery))) {
-          results.parts.push({
-            ...part,
-            parentRegion: region.id,
-            parentName: region.name
-          });
-        }
-      });
-    }
-  });
-
-  return results;
-};
-
 export default brainStructure;
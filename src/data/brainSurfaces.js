@@ -0,0 +1,45 @@
+/**
+ * ========================================================================
+ * CORTICAL SURFACE VARIANTS
+ * ========================================================================
+ *
+ * FreeSurfer reconstructs several surfaces with the same vertices: the
+ * pial (grey matter / CSF boundary), white (grey / white matter boundary),
+ * inflated (sulci smoothed out) and sphere surfaces. Because vertex i is
+ * the same point of cortex on every surface, the viewer can morph between
+ * them while keeping per-vertex atlas colors and picking.
+ *
+ * The first entry is the base model; the others are optional and are only
+ * offered once their file loads. `path` takes the same forms as
+ * GltfBrainModel's modelPath (one file, or { lh, rh }).
+ * ========================================================================
+ */
+
+export const BRAIN_SURFACES = [
+  {
+    id: 'pial',
+    name: 'Pial',
+    description: 'Folded outer surface of the cortex',
+    path: '/models/brainmodel.glb'
+  },
+  {
+    id: 'white',
+    name: 'White',
+    description: 'Boundary between grey and white matter',
+    path: '/models/surfaces/white.glb'
+  },
+  {
+    id: 'inflated',
+    name: 'Inflated',
+    description: 'Sulci smoothed out so buried cortex becomes visible',
+    path: '/models/surfaces/inflated.glb'
+  },
+  {
+    id: 'sphere',
+    name: 'Sphere',
+    description: 'Cortex inflated to a sphere',
+    path: '/models/surfaces/sphere.glb'
+  }
+];
+
+export default BRAIN_SURFACES;
@@ -0,0 +1,146 @@
+/**
+ * ========================================================================
+ * DESIKAN-KILLIANY CORTICAL PARCELLATION
+ * ========================================================================
+ *
+ * The 34 gyral-based cortical parcels of the FreeSurfer aparc atlas
+ * (Desikan et al., 2006). Colors are the standard
+ * FreeSurferColorLUT values, so they match aparc annotations and the
+ * lookup table in public/models/atlases. `network` names the Yeo 7
+ * network covering most of each parcel.
+ * ========================================================================
+ */
+
+const parcel = (label, name, lobe, color, position, network, description, functions) => ({
+  id: `dk_${label}`,
+  name,
+  type: 'REGION',
+  description,
+  color,
+  position,
+  isMainRegion: true,
+  parts: [],
+  atlasLabels: [label],
+  network,
+  anatomicalLocation: `${lobe} lobe`,
+  keyRegions: [],
+  functions
+});
+
+export const desikanKillianyRegions = [
+  // Frontal lobe
+  parcel('superiorfrontal', 'Superior Frontal Gyrus', 'Frontal', '#14DCA0', [0.4, 1.6, 1.0], 'default_mode_network',
+    'Large dorsal strip of prefrontal cortex running from the frontal pole to the paracentral lobule, including the supplementary motor area.',
+    ['Self-referential thought and social cognition (medial part)', 'Motor planning in the supplementary motor area']),
+  parcel('rostralmiddlefrontal', 'Rostral Middle Frontal Gyrus', 'Frontal', '#4B327D', [1.3, 1.0, 1.5], 'frontoparietal_network',
+    'Anterior part of the middle frontal gyrus, corresponding to much of the dorsolateral prefrontal cortex.',
+    ['Working memory and abstract reasoning', 'Planning and monitoring multi-step tasks']),
+  parcel('caudalmiddlefrontal', 'Caudal Middle Frontal Gyrus', 'Frontal', '#641900', [1.3, 1.5, 0.6], 'frontoparietal_network',
+    'Posterior middle frontal gyrus bordering the precentral sulcus, containing the frontal eye fields.',
+    ['Cognitive control of attention', 'Voluntary eye movements (frontal eye fields)']),
+  parcel('parsopercularis', 'Pars Opercularis', 'Frontal', '#DCB48C', [1.6, 0.4, 0.8], 'ventral_attention_network',
+    'Posterior inferior frontal gyrus; together with pars triangularis forms Broca\'s area in the dominant hemisphere.',
+    ['Speech production and phonological processing', 'Response inhibition']),
+  parcel('parstriangularis', 'Pars Triangularis', 'Frontal', '#DC3C14', [1.6, 0.3, 1.2], 'frontoparietal_network',
+    'Middle part of the inferior frontal gyrus between the ascending and horizontal rami of the lateral sulcus.',
+    ['Semantic retrieval and selection', 'Language comprehension']),
+  parcel('parsorbitalis', 'Pars Orbitalis', 'Frontal', '#146432', [1.5, 0.0, 1.5], 'default_mode_network',
+    'Anterior, orbital part of the inferior frontal gyrus.',
+    ['Semantic processing of words and sentences', 'Evaluating meaning in context']),
+  parcel('lateralorbitofrontal', 'Lateral Orbitofrontal Cortex', 'Frontal', '#234B32', [1.0, -0.4, 1.3], 'limbic_network',
+    'Lateral portion of the orbital surface of the frontal lobe.',
+    ['Learning from punishment and changing outcomes', 'Reward-based decision making']),
+  parcel('medialorbitofrontal', 'Medial Orbitofrontal Cortex', 'Frontal', '#C8234B', [0.3, -0.3, 1.6], 'limbic_network',
+    'Medial orbital surface and gyrus rectus, overlapping the ventromedial prefrontal cortex.',
+    ['Representing subjective value', 'Emotion regulation']),
+  parcel('frontalpole', 'Frontal Pole', 'Frontal', '#640064', [0.5, 0.6, 2.0], 'default_mode_network',
+    'Most anterior tip of the frontal lobe (Brodmann area 10).',
+    ['Holding goals in mind while pursuing subgoals', 'Prospective memory']),
+  parcel('precentral', 'Precentral Gyrus', 'Frontal', '#3C14DC', [1.3, 1.6, 0.1], 'somatomotor_network',
+    'Gyrus immediately anterior to the central sulcus containing the primary motor cortex.',
+    ['Executes voluntary movements', 'Somatotopic motor map (motor homunculus)']),
+  parcel('paracentral', 'Paracentral Lobule', 'Frontal', '#3CDC3C', [0.3, 1.9, -0.1], 'somatomotor_network',
+    'Medial continuation of the precentral and postcentral gyri.',
+    ['Motor and sensory control of the leg and foot', 'Voluntary control of micturition']),
+
+  // Parietal lobe
+  parcel('postcentral', 'Postcentral Gyrus', 'Parietal', '#DC1414', [1.4, 1.5, -0.3], 'somatomotor_network',
+    'Gyrus immediately posterior to the central sulcus containing the primary somatosensory cortex.',
+    ['Touch, pressure, and proprioception', 'Somatotopic sensory map (sensory homunculus)']),
+  parcel('superiorparietal', 'Superior Parietal Lobule', 'Parietal', '#14B48C', [1.0, 1.6, -1.0], 'dorsal_attention_network',
+    'Dorsal parietal cortex above the intraparietal sulcus.',
+    ['Spatial attention and visuomotor coordination', 'Mental rotation and spatial working memory']),
+  parcel('supramarginal', 'Supramarginal Gyrus', 'Parietal', '#50A014', [1.6, 1.0, -0.5], 'ventral_attention_network',
+    'Anterior inferior parietal lobule curving around the end of the lateral sulcus.',
+    ['Phonological working memory', 'Empathy and distinguishing self from others']),
+  parcel('inferiorparietal', 'Inferior Parietal Cortex', 'Parietal', '#DC3CDC', [1.5, 0.9, -1.2], 'frontoparietal_network',
+    'Posterior inferior parietal lobule including the angular gyrus.',
+    ['Numerical and semantic processing', 'Integrating multisensory information']),
+  parcel('precuneus', 'Precuneus', 'Parietal', '#A08CB4', [0.3, 1.2, -1.2], 'default_mode_network',
+    'Medial parietal cortex anterior to the cuneus.',
+    ['Episodic memory retrieval', 'Self-referential processing and mental imagery']),
+
+  // Occipital lobe
+  parcel('cuneus', 'Cuneus', 'Occipital', '#DC1464', [0.3, 0.5, -1.8], 'visual_network',
+    'Wedge-shaped medial occipital cortex above the calcarine sulcus.',
+    ['Early visual processing of the lower visual field', 'Basic visual feature analysis']),
+  parcel('pericalcarine', 'Pericalcarine Cortex', 'Occipital', '#78643C', [0.3, 0.1, -1.9], 'visual_network',
+    'Cortex lining the calcarine sulcus; corresponds closely to primary visual cortex (V1).',
+    ['Primary visual processing', 'Retinotopic maps of the visual field']),
+  parcel('lingual', 'Lingual Gyrus', 'Occipital', '#E18C8C', [0.4, -0.3, -1.6], 'visual_network',
+    'Medial occipitotemporal gyrus below the calcarine sulcus.',
+    ['Processing of the upper visual field', 'Word and letter recognition']),
+  parcel('lateraloccipital', 'Lateral Occipital Cortex', 'Occipital', '#141E8C', [1.1, 0.2, -1.8], 'visual_network',
+    'Lateral surface of the occipital lobe including the lateral occipital complex.',
+    ['Object shape recognition', 'Visual motion processing near MT/V5']),
+
+  // Temporal lobe
+  parcel('superiortemporal', 'Superior Temporal Gyrus', 'Temporal', '#8CDCDC', [1.8, 0.2, 0.2], 'somatomotor_network',
+    'Uppermost temporal gyrus containing auditory association cortex and Wernicke\'s area.',
+    ['Auditory processing and speech perception', 'Language comprehension']),
+  parcel('transversetemporal', 'Transverse Temporal Gyrus', 'Temporal', '#9696C8', [1.4, 0.4, -0.1], 'somatomotor_network',
+    'Heschl\'s gyrus on the superior temporal plane, the site of primary auditory cortex.',
+    ['Primary auditory processing', 'Pitch and frequency discrimination']),
+  parcel('bankssts', 'Banks of the Superior Temporal Sulcus', 'Temporal', '#196428', [1.7, 0.3, -0.5], 'default_mode_network',
+    'Cortex lining the posterior superior temporal sulcus.',
+    ['Biological motion and social perception', 'Audiovisual speech integration']),
+  parcel('middletemporal', 'Middle Temporal Gyrus', 'Temporal', '#A06432', [1.8, -0.3, -0.1], 'default_mode_network',
+    'Middle temporal gyrus on the lateral surface of the temporal lobe.',
+    ['Semantic memory and word meaning', 'Understanding others\' intentions']),
+  parcel('inferiortemporal', 'Inferior Temporal Gyrus', 'Temporal', '#B42878', [1.5, -0.8, -0.2], 'limbic_network',
+    'Inferolateral temporal cortex at the end of the ventral visual stream.',
+    ['High-level object recognition', 'Visual memory']),
+  parcel('fusiform', 'Fusiform Gyrus', 'Temporal', '#B4DC8C', [1.0, -0.8, -0.8], 'visual_network',
+    'Ventral occipitotemporal gyrus between the lingual/parahippocampal and inferior temporal gyri.',
+    ['Face recognition (fusiform face area)', 'Visual word form recognition']),
+  parcel('parahippocampal', 'Parahippocampal Gyrus', 'Temporal', '#14DC3C', [0.6, -0.7, -0.3], 'limbic_network',
+    'Medial temporal cortex surrounding the hippocampus.',
+    ['Scene and place recognition', 'Memory encoding and retrieval']),
+  parcel('entorhinal', 'Entorhinal Cortex', 'Temporal', '#DC140A', [0.7, -0.9, 0.3], 'limbic_network',
+    'Anterior parahippocampal cortex forming the main gateway to the hippocampus.',
+    ['Relays cortical input to the hippocampus', 'Spatial navigation via grid cells']),
+  parcel('temporalpole', 'Temporal Pole', 'Temporal', '#464646', [1.2, -0.9, 0.8], 'limbic_network',
+    'Anterior tip of the temporal lobe.',
+    ['Semantic knowledge about people and objects', 'Social and emotional processing']),
+
+  // Cingulate cortex
+  parcel('rostralanteriorcingulate', 'Rostral Anterior Cingulate', 'Cingulate', '#50148C', [0.2, 0.4, 1.3], 'default_mode_network',
+    'Anterior cingulate cortex curving around the genu of the corpus callosum.',
+    ['Emotional processing and mood regulation', 'Self-referential evaluation']),
+  parcel('caudalanteriorcingulate', 'Caudal Anterior Cingulate', 'Cingulate', '#7D64A0', [0.2, 1.0, 0.7], 'ventral_attention_network',
+    'Dorsal anterior cingulate cortex above the body of the corpus callosum.',
+    ['Conflict monitoring and error detection', 'Pain and salience processing']),
+  parcel('posteriorcingulate', 'Posterior Cingulate', 'Cingulate', '#DCB4DC', [0.2, 1.1, -0.2], 'default_mode_network',
+    'Cingulate cortex above the posterior body of the corpus callosum.',
+    ['Central hub of the default mode network', 'Autobiographical memory']),
+  parcel('isthmuscingulate', 'Isthmus of the Cingulate', 'Cingulate', '#8C148C', [0.2, 0.5, -0.9], 'default_mode_network',
+    'Narrow posterior cingulate region behind the splenium, including retrosplenial cortex.',
+    ['Spatial memory and navigation', 'Episodic memory retrieval']),
+
+  // Insula
+  parcel('insula', 'Insula', 'Insular', '#FFC020', [1.2, 0.3, 0.4], 'ventral_attention_network',
+    'Cortex hidden deep within the lateral sulcus, covered by the frontal, parietal, and temporal opercula.',
+    ['Interoception and awareness of bodily states', 'Salience detection and emotion'])
+];
+
+export default desikanKillianyRegions;
@@ -0,0 +1,127 @@
+/**
+ * ========================================================================
+ * KEY PAPERS
+ * ========================================================================
+ *
+ * Curated primary references for the functional networks, keyed by a
+ * citation key (first author + year) that is also used for BibTeX export.
+ * Networks in brainStructure.js list theirs in `references`, and
+ * networkConnectivity.js cites some for the connections between them.
+ *
+ * authors are 'Last, F. M.' strings in publication order; pages use an
+ * en dash and journal is the abbreviated (ISO 4) title.
+ * ========================================================================
+ */
+
+const paper = (id, authors, year, title, journal, volume, issue, pages, doi) => ({
+  id,
+  authors,
+  year,
+  title,
+  journal,
+  volume,
+  issue,
+  pages,
+  doi
+});
+
+export const KEY_PAPERS = {
+
+  // ========================================
+  // Network parcellations
+  // ========================================
+  yeo2011: paper('yeo2011',
+    ['Yeo, B. T. T.', 'Krienen, F. M.', 'Sepulcre, J.', 'Sabuncu, M. R.', 'Lashkari, D.', 'Hollinshead, M.', 'Roffman, J. L.', 'Smoller, J. W.', 'Zöllei, L.', 'Polimeni, J. R.', 'Fischl, B.', 'Liu, H.', 'Buckner, R. L.'],
+    2011, 'The organization of the human cerebral cortex estimated by intrinsic functional connectivity',
+    'J. Neurophysiol.', '106', '3', '1125–1165', '10.1152/jn.00338.2011'),
+  power2011: paper('power2011',
+    ['Power, J. D.', 'Cohen, A. L.', 'Nelson, S. M.', 'Wig, G. S.', 'Barnes, K. A.', 'Church, J. A.', 'Vogel, A. C.', 'Laumann, T. O.', 'Miezin, F. M.', 'Schlaggar, B. L.', 'Petersen, S. E.'],
+    2011, 'Functional network organization of the human brain',
+    'Neuron', '72', '4', '665–678', '10.1016/j.neuron.2011.09.006'),
+  biswal1995: paper('biswal1995',
+    ['Biswal, B.', 'Yetkin, F. Z.', 'Haughton, V. M.', 'Hyde, J. S.'],
+    1995, 'Functional connectivity in the motor cortex of resting human brain using echo-planar MRI',
+    'Magn. Reson. Med.', '34', '4', '537–541', '10.1002/mrm.1910340409'),
+
+  // ========================================
+  // Sensory and motor systems
+  // ========================================
+  felleman1991: paper('felleman1991',
+    ['Felleman, D. J.', 'Van Essen, D. C.'],
+    1991, 'Distributed hierarchical processing in the primate cerebral cortex',
+    'Cereb. Cortex', '1', '1', '1–47', '10.1093/cercor/1.1.1-a'),
+  wandell2007: paper('wandell2007',
+    ['Wandell, B. A.', 'Dumoulin, S. O.', 'Brewer, A. A.'],
+    2007, 'Visual field maps in human cortex',
+    'Neuron', '56', '2', '366–383', '10.1016/j.neuron.2007.10.012'),
+  penfield1937: paper('penfield1937',
+    ['Penfield, W.', 'Boldrey, E.'],
+    1937, 'Somatic motor and sensory representation in the cerebral cortex of man as studied by electrical stimulation',
+    'Brain', '60', '4', '389–443', '10.1093/brain/60.4.389'),
+
+  // ========================================
+  // Attention and control
+  // ========================================
+  corbetta2002: paper('corbetta2002',
+    ['Corbetta, M.', 'Shulman, G. L.'],
+    2002, 'Control of goal-directed and stimulus-driven attention in the brain',
+    'Nat. Rev. Neurosci.', '3', '3', '201–215', '10.1038/nrn755'),
+  fox2006: paper('fox2006',
+    ['Fox, M. D.', 'Corbetta, M.', 'Snyder, A. Z.', 'Vincent, J. L.', 'Raichle, M. E.'],
+    2006, 'Spontaneous neuronal activity distinguishes human dorsal and ventral attention systems',
+    'Proc. Natl. Acad. Sci. U.S.A.', '103', '26', '10046–10051', '10.1073/pnas.0604187103'),
+  corbetta2008: paper('corbetta2008',
+    ['Corbetta, M.', 'Patel, G.', 'Shulman, G. L.'],
+    2008, 'The reorienting system of the human brain: from environment to theory of mind',
+    'Neuron', '58', '3', '306–324', '10.1016/j.neuron.2008.04.017'),
+  seeley2007: paper('seeley2007',
+    ['Seeley, W. W.', 'Menon, V.', 'Schatzberg, A. F.', 'Keller, J.', 'Glover, G. H.', 'Kenna, H.', 'Reiss, A. L.', 'Greicius, M. D.'],
+    2007, 'Dissociable intrinsic connectivity networks for salience processing and executive control',
+    'J. Neurosci.', '27', '9', '2349–2356', '10.1523/JNEUROSCI.5587-06.2007'),
+  menon2010: paper('menon2010',
+    ['Menon, V.', 'Uddin, L. Q.'],
+    2010, 'Saliency, switching, attention and control: a network model of insula function',
+    'Brain Struct. Funct.', '214', '5–6', '655–667', '10.1007/s00429-010-0262-0'),
+  vincent2008: paper('vincent2008',
+    ['Vincent, J. L.', 'Kahn, I.', 'Snyder, A. Z.', 'Raichle, M. E.', 'Buckner, R. L.'],
+    2008, 'Evidence for a frontoparietal control system revealed by intrinsic functional connectivity',
+    'J. Neurophysiol.', '100', '6', '3328–3342', '10.1152/jn.90355.2008'),
+  cole2013: paper('cole2013',
+    ['Cole, M. W.', 'Reynolds, J. R.', 'Power, J. D.', 'Repovs, G.', 'Anticevic, A.', 'Braver, T. S.'],
+    2013, 'Multi-task connectivity reveals flexible hubs for adaptive task control',
+    'Nat. Neurosci.', '16', '9', '1348–1355', '10.1038/nn.3470'),
+
+  // ========================================
+  // Limbic and default systems
+  // ========================================
+  catani2013: paper('catani2013',
+    ['Catani, M.', "Dell'Acqua, F.", 'Thiebaut de Schotten, M.'],
+    2013, 'A revised limbic system model for memory, emotion and behaviour',
+    'Neurosci. Biobehav. Rev.', '37', '8', '1724–1737', '10.1016/j.neubiorev.2013.07.001'),
+  rolls2015: paper('rolls2015',
+    ['Rolls, E. T.'],
+    2015, 'Limbic systems for emotion and for memory, but no single limbic system',
+    'Cortex', '62', undefined, '119–157', '10.1016/j.cortex.2013.12.005'),
+  fox2005: paper('fox2005',
+    ['Fox, M. D.', 'Snyder, A. Z.', 'Vincent, J. L.', 'Corbetta, M.', 'Van Essen, D. C.', 'Raichle, M. E.'],
+    2005, 'The human brain is intrinsically organized into dynamic, anticorrelated functional networks',
+    'Proc. Natl. Acad. Sci. U.S.A.', '102', '27', '9673–9678', '10.1073/pnas.0504136102'),
+  spreng2010: paper('spreng2010',
+    ['Spreng, R. N.', 'Stevens, W. D.', 'Chamberlain, J. P.', 'Gilmore, A. W.', 'Schacter, D. L.'],
+    2010, 'Default network activity, coupled with the frontoparietal control network, supports goal-directed cognition',
+    'NeuroImage', '53', '1', '303–317', '10.1016/j.neuroimage.2010.06.016'),
+  raichle2001: paper('raichle2001',
+    ['Raichle, M. E.', 'MacLeod, A. M.', 'Snyder, A. Z.', 'Powers, W. J.', 'Gusnard, D. A.', 'Shulman, G. L.'],
+    2001, 'A default mode of brain function',
+    'Proc. Natl. Acad. Sci. U.S.A.', '98', '2', '676–682', '10.1073/pnas.98.2.676'),
+  greicius2003: paper('greicius2003',
+    ['Greicius, M. D.', 'Krasnow, B.', 'Reiss, A. L.', 'Menon, V.'],
+    2003, 'Functional connectivity in the resting brain: a network analysis of the default mode hypothesis',
+    'Proc. Natl. Acad. Sci. U.S.A.', '100', '1', '253–258', '10.1073/pnas.0135058100'),
+  buckner2008: paper('buckner2008',
+    ['Buckner, R. L.', 'Andrews-Hanna, J. R.', 'Schacter, D. L.'],
+    2008, "The brain's default network: anatomy, function, and relevance to disease",
+    'Ann. N. Y. Acad. Sci.', '1124', undefined, '1–38', '10.1196/annals.1440.011')
+};
+
+export default KEY_PAPERS;
@@ -0,0 +1,129 @@
+import { KEY_PAPERS } from './keyPapers';
+
+/**
+ * ========================================================================
+ * NETWORK-TO-NETWORK CONNECTIVITY
+ * ========================================================================
+ *
+ * Resting-state functional connectivity between the 7 Yeo networks, as
+ * correlations (r) between network time courses. The values are
+ * illustrative group-level figures for teaching: they follow the
+ * qualitative pattern reported in the literature (sensory networks
+ * coupled to their attention networks, the default network anticorrelated
+ * with the dorsal attention network, the frontoparietal network coupling
+ * with both) but are not taken from one dataset. Replace
+ * CONNECTIVITY_MATRIX with a matrix computed from your own data to show
+ * real values; rows and columns follow CONNECTIVITY_NETWORKS.
+ *
+ * CONNECTION_NOTES explains the pairs students usually ask about; other
+ * pairs get a description generated from their strength.
+ * ========================================================================
+ */
+
+export const CONNECTIVITY_NETWORKS = [
+  'visual_network',
+  'somatomotor_network',
+  'dorsal_attention_network',
+  'ventral_attention_network',
+  'limbic_network',
+  'frontoparietal_network',
+  'default_mode_network'
+];
+
+export const CONNECTIVITY_MATRIX = [
+  //  VIS    SMN    DAN    VAN    LIM    FPN    DMN
+  [ 1.00,  0.25,  0.35,  0.05, -0.05, -0.10, -0.15], // VIS
+  [ 0.25,  1.00,  0.20,  0.35, -0.05, -0.15, -0.20], // SMN
+  [ 0.35,  0.20,  1.00,  0.20, -0.10,  0.30, -0.35], // DAN
+  [ 0.05,  0.35,  0.20,  1.00,  0.00,  0.30, -0.25], // VAN
+  [-0.05, -0.05, -0.10,  0.00,  1.00,  0.10,  0.30], // LIM
+  [-0.10, -0.15,  0.30,  0.30,  0.10,  1.00,  0.15], // FPN
+  [-0.15, -0.20, -0.35, -0.25,  0.30,  0.15,  1.00]  // DMN
+];
+
+// Keyed by the two network ids in CONNECTIVITY_NETWORKS order
+export const CONNECTION_NOTES = {
+  'visual_network|dorsal_attention_network': {
+    summary: 'The dorsal attention network steers visuospatial attention, so its frontal eye fields and intraparietal sulcus stay tightly coupled with extrastriate visual cortex. This coupling lets goals bias which parts of the visual scene are processed in detail.',
+    references: [KEY_PAPERS.corbetta2002]
+  },
+  'somatomotor_network|ventral_attention_network': {
+    summary: 'The ventral attention/salience network sits in the insula, operculum and mid-cingulate cortex next to somatomotor cortex. Their coupling reflects the salience network\'s role in monitoring bodily signals and preparing motor responses to salient events.',
+    references: [KEY_PAPERS.seeley2007]
+  },
+  'dorsal_attention_network|frontoparietal_network': {
+    summary: 'The frontoparietal control network coordinates with the dorsal attention network when attention has to follow a goal, such as searching for a target. Control regions keep the goal active while the attention network directs the search.',
+    references: [KEY_PAPERS.spreng2010, KEY_PAPERS.vincent2008]
+  },
+  'dorsal_attention_network|default_mode_network': {
+    summary: 'The classic anticorrelation: when activity in the externally focused dorsal attention network rises, activity in the internally focused default network falls, even at rest. The balance between the two tracks whether attention is directed outwards or inwards.',
+    references: [KEY_PAPERS.fox2005]
+  },
+  'ventral_attention_network|frontoparietal_network': {
+    summary: 'When the salience network detects a relevant event, it is thought to engage the frontoparietal control network so the event can be acted on. This hand-off is one half of the salience network\'s switching role.',
+    references: [KEY_PAPERS.menon2010]
+  },
+  'ventral_attention_network|default_mode_network': {
+    summary: 'The salience network is thought to switch the brain away from the internally oriented default network towards task-focused control when something salient happens. The two are weakly anticorrelated at rest.',
+    references: [KEY_PAPERS.menon2010, KEY_PAPERS.seeley2007]
+  },
+  'limbic_network|default_mode_network': {
+    summary: 'Orbitofrontal and anterior temporal limbic cortex share memory and valuation functions with the default network\'s medial temporal and medial prefrontal hubs, so the two are positively coupled.',
+    references: [KEY_PAPERS.buckner2008]
+  },
+  'frontoparietal_network|default_mode_network': {
+    summary: 'The frontoparietal network is flexible: it couples with the default network during internally directed goals such as planning personal future events, and with the dorsal attention network during external tasks.',
+    references: [KEY_PAPERS.spreng2010]
+  }
+};
+
+const pairKey = (a, b) => {
+  const [first, second] = [a, b].sort((x, y) => CONNECTIVITY_NETWORKS.indexOf(x) - CONNECTIVITY_NETWORKS.indexOf(y));
+  return `${first}|${second}`;
+};
+
+/**
+ * Get the connectivity between two networks
+ * @returns {number|null} Correlation, or null for unknown networks
+ */
+export const getConnectivity = (networkA, networkB) => {
+  const row = CONNECTIVITY_NETWORKS.indexOf(networkA);
+  const column = CONNECTIVITY_NETWORKS.indexOf(networkB);
+  return row === -1 || column === -1 ? null : CONNECTIVITY_MATRIX[row][column];
+};
+
+/**
+ * Get the network pairs whose connectivity reaches a threshold
+ * @param {number} threshold - Minimum |r|
+ * @returns {Array<Object>} { id, source, target, strength } strongest first
+ */
+export const getConnections = (threshold = 0) => {
+  return CONNECTIVITY_NETWORKS.flatMap((source, row) =>
+    CONNECTIVITY_NETWORKS.slice(row + 1).map(target => ({
+      id: pairKey(source, target),
+      source,
+      target,
+      strength: getConnectivity(source, target)
+    }))
+  )
+    .filter(connection => Math.abs(connection.strength) >= threshold && connection.strength !== 0)
+    .sort((a, b) => Math.abs(b.strength) - Math.abs(a.strength));
+};
+
+/**
+ * Get the explanation for a connection
+ * @returns {Object} { summary, references } (generated when no note exists)
+ */
+export const getConnectionNote = (connection) => {
+  const note = CONNECTION_NOTES[pairKey(connection.source, connection.target)];
+  if (note) return note;
+
+  const strength = Math.abs(connection.strength);
+  const degree = strength >= 0.3 ? 'strongly' : strength >= 0.15 ? 'moderately' : 'weakly';
+  return {
+    summary: connection.strength > 0
+      ? `These networks are ${degree} positively coupled at rest: their activity tends to rise and fall together, suggesting they often cooperate.`
+      : `These networks are ${degree} anticorrelated at rest: when one is more active the other tends to be less active, suggesting they support competing modes of processing.`,
+    references: [KEY_PAPERS.yeo2011]
+  };
+};
@@ -0,0 +1,309 @@
+/**
+ * ========================================================================
+ * SEVENTEEN FUNCTIONAL BRAIN NETWORKS
+ * ========================================================================
+ *
+ * The finer Yeo et al. (2011) 17-network parcellation. Each network is a
+ * PART of one of the seven networks in brainStructure.js, keyed here by
+ * the parent network id. Colors follow the published 17-network palette
+ * and atlasLabels match the '17Networks_N' annotation names.
+ * ========================================================================
+ */
+
+export const yeo17Parts = {
+
+  visual_network: [
+    {
+      id: 'visual_a_network',
+      name: 'Visual A – Central (VisCent)',
+      type: 'PART',
+      description: 'Central visual cortex around the calcarine sulcus. Represents the foveal and parafoveal visual field where fine detail is resolved.',
+      color: '#781286',
+      position: [0.4, 0, -1.9],
+      atlasLabels: ['17Networks_1', 'pericalcarine', 'cuneus'],
+      anatomicalLocation: 'Calcarine sulcus, cuneus, occipital pole',
+      keyRegions: ['Primary Visual Cortex (V1)', 'V2', 'Cuneus'],
+      clinicalRelevance: 'Lesions produce central visual field defects such as macular-sparing hemianopia or central scotomas.',
+      functions: [
+        'Resolves fine spatial detail from the central visual field',
+        'Encodes edges, orientation, and contrast in early visual areas'
+      ]
+    },
+    {
+      id: 'visual_b_network',
+      name: 'Visual B – Peripheral (VisPeri)',
+      type: 'PART',
+      description: 'Extrastriate and ventral occipitotemporal cortex. Handles peripheral vision, motion, and the object- and face-selective ventral stream.',
+      color: '#FF0000',
+      position: [0.8, -0.3, -1.5],
+      atlasLabels: ['17Networks_2', 'lingual', 'lateraloccipital', 'fusiform'],
+      anatomicalLocation: 'Lateral occipital cortex, lingual and fusiform gyri',
+      keyRegions: ['Extrastriate Cortex (V3-V4)', 'Middle Temporal Area (MT/V5)', 'Fusiform Face Area'],
+      clinicalRelevance: 'Damage can cause prosopagnosia (face blindness), achromatopsia, or akinetopsia (motion blindness).',
+      functions: [
+        'Processes motion and the peripheral visual field',
+        'Recognises faces, objects, and colors along the ventral stream'
+      ]
+    }
+  ],
+
+  somatomotor_network: [
+    {
+      id: 'somatomotor_a_network',
+      name: 'Somatomotor A (SomMotA)',
+      type: 'PART',
+      description: 'Dorsal sensorimotor strip covering the hand, trunk, and leg representations of the precentral and postcentral gyri.',
+      color: '#4682B4',
+      position: [0.8, 2.0, 0.1],
+      atlasLabels: ['17Networks_3', 'precentral', 'postcentral', 'paracentral'],
+      anatomicalLocation: 'Dorsal precentral and postcentral gyri, paracentral lobule',
+      keyRegions: ['Primary Motor Cortex (M1)', 'Primary Somatosensory Cortex (S1)', 'Paracentral Lobule'],
+      clinicalRelevance: 'Strokes here cause contralateral weakness and sensory loss of the limbs.',
+      functions: [
+        'Drives voluntary limb and trunk movements',
+        'Maps touch and proprioception from the body surface'
+      ]
+    },
+    {
+      id: 'somatomotor_b_network',
+      name: 'Somatomotor B (SomMotB)',
+      type: 'PART',
+      description: 'Ventral sensorimotor and auditory cortex including the face and mouth representations, secondary somatosensory cortex, and Heschl\'s gyrus.',
+      color: '#2ACCA4',
+      position: [1.5, 0.6, 0.2],
+      atlasLabels: ['17Networks_4', 'transversetemporal', 'superiortemporal'],
+      anatomicalLocation: 'Ventral central sulcus, parietal operculum, transverse temporal (Heschl\'s) gyrus, superior temporal gyrus',
+      keyRegions: ['Primary Auditory Cortex', 'Secondary Somatosensory Cortex (S2)', 'Face Motor Cortex'],
+      clinicalRelevance: 'Damage affects speech articulation, facial sensation, and auditory processing.',
+      functions: [
+        'Controls face, tongue, and larynx movements for speech',
+        'Processes sounds in primary and secondary auditory cortex'
+      ]
+    }
+  ],
+
+  dorsal_attention_network: [
+    {
+      id: 'dorsal_attention_a_network',
+      name: 'Dorsal Attention A (DorsAttnA)',
+      type: 'PART',
+      description: 'Posterior parietal and lateral occipitotemporal cortex along the intraparietal sulcus, including motion-sensitive MT+.',
+      color: '#4A9B3C',
+      position: [1.2, 1.4, -0.9],
+      atlasLabels: ['17Networks_5', 'superiorparietal'],
+      anatomicalLocation: 'Superior parietal lobule, intraparietal sulcus, MT+ complex',
+      keyRegions: ['Intraparietal Sulcus (IPS)', 'Superior Parietal Lobule (SPL)', 'MT+'],
+      clinicalRelevance: 'Parietal damage causes optic ataxia and difficulty shifting attention in space.',
+      functions: [
+        'Maintains spatial priority maps for visual search',
+        'Guides reaching and eye movements toward attended targets'
+      ]
+    },
+    {
+      id: 'dorsal_attention_b_network',
+      name: 'Dorsal Attention B (DorsAttnB)',
+      type: 'PART',
+      description: 'Frontal eye fields and adjacent premotor cortex together with anterior intraparietal regions that control where the eyes and attention go.',
+      color: '#00760E',
+      position: [1.1, 1.7, 0.4],
+      atlasLabels: ['17Networks_6'],
+      anatomicalLocation: 'Frontal eye fields, dorsal premotor cortex, anterior intraparietal sulcus',
+      keyRegions: ['Frontal Eye Fields (FEF)', 'Dorsal Premotor Cortex', 'Anterior IPS'],
+      clinicalRelevance: 'FEF lesions impair voluntary saccades and top-down attentional control.',
+      functions: [
+        'Plans voluntary saccades and smooth pursuit',
+        'Sends top-down attention signals to visual cortex'
+      ]
+    }
+  ],
+
+  ventral_attention_network: [
+    {
+      id: 'ventral_attention_a_network',
+      name: 'Salience / Ventral Attention A (SalVentAttnA)',
+      type: 'PART',
+      description: 'Anterior insula, dorsal anterior cingulate, and supramarginal gyrus. The core salience network that detects behaviourally relevant events.',
+      color: '#C43AFA',
+      position: [1.3, 0.4, 0.8],
+      atlasLabels: ['17Networks_7', 'insula', 'caudalanteriorcingulate', 'supramarginal'],
+      anatomicalLocation: 'Anterior insula, dorsal anterior cingulate cortex, supramarginal gyrus',
+      keyRegions: ['Anterior Insula', 'Dorsal Anterior Cingulate Cortex', 'Supramarginal Gyrus'],
+      clinicalRelevance: 'Altered activity is linked to anxiety disorders, chronic pain, and frontotemporal dementia.',
+      functions: [
+        'Flags salient sensory and interoceptive events',
+        'Triggers switching between internally and externally focused networks'
+      ]
+    },
+    {
+      id: 'ventral_attention_b_network',
+      name: 'Salience / Ventral Attention B (SalVentAttnB)',
+      type: 'PART',
+      description: 'Lateral prefrontal and inferior frontal cortex coupled to the salience core. Supports reorienting and response inhibition.',
+      color: '#FF98D5',
+      position: [1.4, 0.9, 1.3],
+      atlasLabels: ['17Networks_8', 'parsopercularis'],
+      anatomicalLocation: 'Inferior frontal gyrus (pars opercularis), lateral prefrontal cortex, temporoparietal junction',
+      keyRegions: ['Inferior Frontal Gyrus', 'Temporoparietal Junction', 'Lateral Prefrontal Cortex'],
+      clinicalRelevance: 'Right inferior frontal damage impairs response inhibition; implicated in ADHD.',
+      functions: [
+        'Reorients attention to unexpected stimuli',
+        'Inhibits prepotent responses when plans change'
+      ]
+    }
+  ],
+
+  limbic_network: [
+    {
+      id: 'limbic_a_network',
+      name: 'Limbic A – Temporal Pole (LimbicA)',
+      type: 'PART',
+      description: 'Temporal pole and anterior inferior temporal cortex bordering the medial temporal lobe. Binds semantic and emotional knowledge about people and objects.',
+      color: '#DCF8A4',
+      position: [1.2, -0.8, 0.6],
+      atlasLabels: ['17Networks_9', 'temporalpole', 'entorhinal', 'parahippocampal', 'inferiortemporal'],
+      anatomicalLocation: 'Temporal pole, anterior inferior temporal gyrus, entorhinal cortex',
+      keyRegions: ['Temporal Pole', 'Entorhinal Cortex', 'Anterior Inferior Temporal Gyrus'],
+      clinicalRelevance: 'Atrophy in semantic dementia causes loss of word and person knowledge.',
+      functions: [
+        'Links semantic knowledge with emotional significance',
+        'Supports recognition of familiar people'
+      ]
+    },
+    {
+      id: 'limbic_b_network',
+      name: 'Limbic B – Orbitofrontal (LimbicB)',
+      type: 'PART',
+      description: 'Orbitofrontal and ventromedial prefrontal cortex. Computes the value of rewards and outcomes to guide choice.',
+      color: '#7A8732',
+      position: [0.4, -0.4, 1.4],
+      atlasLabels: ['17Networks_10', 'lateralorbitofrontal', 'medialorbitofrontal'],
+      anatomicalLocation: 'Orbitofrontal cortex, ventromedial prefrontal cortex',
+      keyRegions: ['Orbitofrontal Cortex (OFC)', 'Ventromedial Prefrontal Cortex'],
+      clinicalRelevance: 'OFC damage produces disinhibition and poor social and financial decision-making; implicated in addiction.',
+      functions: [
+        'Represents expected reward value',
+        'Updates choices when outcomes change'
+      ]
+    }
+  ],
+
+  frontoparietal_network: [
+    {
+      id: 'control_a_network',
+      name: 'Control A (ContA)',
+      type: 'PART',
+      description: 'Dorsolateral prefrontal and anterior inferior parietal cortex. The classic multiple-demand control system engaged by effortful tasks.',
+      color: '#E69422',
+      position: [1.4, 1.3, 1.0],
+      atlasLabels: ['17Networks_12', 'caudalmiddlefrontal', 'inferiorparietal'],
+      anatomicalLocation: 'Middle frontal gyrus, anterior inferior parietal lobule, intraparietal sulcus',
+      keyRegions: ['Dorsolateral Prefrontal Cortex', 'Anterior Inferior Parietal Lobule'],
+      clinicalRelevance: 'Reduced engagement is reported in schizophrenia and ADHD during working-memory tasks.',
+      functions: [
+        'Holds task rules in working memory',
+        'Flexibly reconfigures processing when tasks change'
+      ]
+    },
+    {
+      id: 'control_b_network',
+      name: 'Control B (ContB)',
+      type: 'PART',
+      description: 'Rostral lateral prefrontal cortex and lateral temporal regions that sit between the control and default networks.',
+      color: '#87324A',
+      position: [1.2, 0.9, 1.6],
+      atlasLabels: ['17Networks_13', 'rostralmiddlefrontal', 'parstriangularis'],
+      anatomicalLocation: 'Rostral middle frontal gyrus, inferior frontal gyrus (pars triangularis), lateral temporal cortex',
+      keyRegions: ['Rostrolateral Prefrontal Cortex', 'Pars Triangularis'],
+      clinicalRelevance: 'Disruption affects abstract reasoning and multitasking.',
+      functions: [
+        'Integrates multiple relations for abstract reasoning',
+        'Coordinates subgoals during complex plans'
+      ]
+    },
+    {
+      id: 'control_c_network',
+      name: 'Control C (ContC)',
+      type: 'PART',
+      description: 'Medial posterior control regions in the precuneus and posterior cingulate that couple control with internally directed thought.',
+      color: '#778CB0',
+      position: [0.4, 1.3, -0.9],
+      atlasLabels: ['17Networks_11'],
+      anatomicalLocation: 'Precuneus, posterior cingulate cortex (dorsal)',
+      keyRegions: ['Dorsal Precuneus', 'Dorsal Posterior Cingulate'],
+      clinicalRelevance: 'Posterior medial changes are among the earliest in Alzheimer\'s disease.',
+      functions: [
+        'Links goal-directed control with memory retrieval',
+        'Supports mental imagery during planning'
+      ]
+    }
+  ],
+
+  default_mode_network: [
+    {
+      id: 'default_a_network',
+      name: 'Default A – Core (DefaultA)',
+      type: 'PART',
+      description: 'Posterior cingulate, precuneus, and medial prefrontal hubs of the default network. Central to self-referential thought.',
+      color: '#FFFF00',
+      position: [0.3, 1.2, -0.6],
+      atlasLabels: ['17Networks_16', 'posteriorcingulate', 'isthmuscingulate', 'precuneus', 'superiorfrontal'],
+      anatomicalLocation: 'Posterior cingulate cortex, precuneus, anterior medial prefrontal cortex',
+      keyRegions: ['Posterior Cingulate Cortex (PCC)', 'Precuneus', 'Anterior mPFC'],
+      clinicalRelevance: 'PCC hypometabolism is an early marker of Alzheimer\'s disease; hyperconnectivity linked to rumination.',
+      functions: [
+        'Supports self-referential and autobiographical thought',
+        'Integrates information across default subsystems'
+      ]
+    },
+    {
+      id: 'default_b_network',
+      name: 'Default B – Dorsomedial (DefaultB)',
+      type: 'PART',
+      description: 'Dorsomedial prefrontal cortex, inferior frontal gyrus, and lateral temporal cortex. Engaged when reasoning about other people\'s mental states.',
+      color: '#CD3E4E',
+      position: [0.3, 1.0, 1.8],
+      atlasLabels: ['17Networks_17', 'rostralanteriorcingulate', 'frontalpole', 'parsorbitalis', 'middletemporal'],
+      anatomicalLocation: 'Dorsomedial prefrontal cortex, frontal pole, middle temporal gyrus',
+      keyRegions: ['Dorsomedial Prefrontal Cortex', 'Frontal Pole', 'Lateral Temporal Cortex'],
+      clinicalRelevance: 'Altered in autism spectrum disorders and social cognition deficits.',
+      functions: [
+        'Supports theory-of-mind and social inference',
+        'Retrieves conceptual and semantic knowledge'
+      ]
+    },
+    {
+      id: 'default_c_network',
+      name: 'Default C – Medial Temporal (DefaultC)',
+      type: 'PART',
+      description: 'Retrosplenial cortex, parahippocampal cortex, and posterior inferior parietal lobule. Supports episodic memory and scene construction.',
+      color: '#000082',
+      position: [0.6, 0.2, -1.0],
+      atlasLabels: ['17Networks_15'],
+      anatomicalLocation: 'Retrosplenial cortex, posterior parahippocampal cortex, posterior inferior parietal lobule',
+      keyRegions: ['Retrosplenial Cortex', 'Parahippocampal Cortex', 'Hippocampal Formation'],
+      clinicalRelevance: 'Medial temporal degeneration drives the episodic memory loss of Alzheimer\'s disease.',
+      functions: [
+        'Constructs scenes for remembering and imagining',
+        'Supports spatial navigation and episodic recall'
+      ]
+    },
+    {
+      id: 'temporal_parietal_network',
+      name: 'Temporal-Parietal (TempPar)',
+      type: 'PART',
+      description: 'Superior temporal sulcus and temporoparietal junction regions grouped with the default network at seven-network resolution.',
+      color: '#0C30FF',
+      position: [1.6, 0.5, -0.2],
+      atlasLabels: ['17Networks_14', 'bankssts'],
+      anatomicalLocation: 'Superior temporal sulcus, temporoparietal junction',
+      keyRegions: ['Superior Temporal Sulcus (STS)', 'Temporoparietal Junction (TPJ)'],
+      clinicalRelevance: 'TPJ damage impairs perspective taking; STS alterations reported in autism.',
+      functions: [
+        'Processes biological motion and social signals',
+        'Supports language comprehension and perspective taking'
+      ]
+    }
+  ]
+};
+
+export default yeo17Parts;
@@ -0,0 +1,251 @@
+/**
+ * FreeSurfer Annotation Service
+ * Parses FreeSurfer .annot files in the browser and resolves
+ * surface vertices (and raycast hits) to their atlas labels
+ */
+
+import { Vector3 } from 'three';
+
+// Colortable tag written after the vertex block
+const TAG_OLD_COLORTABLE = 1;
+
+// Parsed annotations by URL (several atlases can share one file)
+const annotationCache = new Map();
+
+/**
+ * Small big-endian reader over an ArrayBuffer
+ */
+function createReader(buffer) {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder('ascii');
+  let offset = 0;
+
+  const ensure = (bytes) => {
+    if (offset + bytes > view.byteLength) {
+      throw new Error(`Unexpected end of annotation file at byte ${offset}`);
+    }
+  };
+
+  return {
+    int32() {
+      ensure(4);
+      const value = view.getInt32(offset, false);
+      offset += 4;
+      return value;
+    },
+    string(length) {
+      ensure(length);
+      const bytes = new Uint8Array(buffer, offset, length);
+      offset += length;
+      // Names are null-terminated inside their declared length
+      return decoder.decode(bytes).replace(/\0.*$/s, '').trim();
+    },
+    get eof() {
+      return offset >= view.byteLength;
+    }
+  };
+}
+
+/**
+ * Pack an RGB triplet the way FreeSurfer stores per-vertex labels
+ */
+function packAnnotationValue(r, g, b) {
+  return r + g * 256 + b * 65536;
+}
+
+function toHex(r, g, b) {
+  return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * Read a colortable entry list (shared by the old and versioned layouts)
+ */
+function readColortableEntry(reader, index) {
+  const name = reader.string(reader.int32());
+  const r = reader.int32();
+  const g = reader.int32();
+  const b = reader.int32();
+  const transparency = reader.int32();
+
+  return {
+    index,
+    name,
+    color: [r, g, b, transparency],
+    hex: toHex(r, g, b),
+    annotation: packAnnotationValue(r, g, b)
+  };
+}
+
+function readColortable(reader) {
+  const numEntries = reader.int32();
+  const entries = [];
+
+  if (numEntries > 0) {
+    // Old layout: entries are stored densely in index order
+    reader.string(reader.int32()); // original colortable filename
+    for (let i = 0; i < numEntries; i++) {
+      entries.push(readColortableEntry(reader, i));
+    }
+    return entries;
+  }
+
+  const version = -numEntries;
+  if (version !== 2) {
+    throw new Error(`Unsupported annotation colortable version: ${version}`);
+  }
+
+  reader.int32(); // max structure index
+  reader.string(reader.int32()); // original colortable filename
+  const numEntriesToRead = reader.int32();
+
+  for (let i = 0; i < numEntriesToRead; i++) {
+    const structure = reader.int32();
+    entries.push(readColortableEntry(reader, structure));
+  }
+
+  return entries;
+}
+
+/**
+ * Parse a FreeSurfer .annot binary
+ * @param {ArrayBuffer} buffer - Raw file contents
+ * @returns {Object} Annotation with vertexCount, per-vertex labels (colortable
+ * index, -1 when unlabelled) and the colortable entries
+ */
+export function parseAnnotation(buffer) {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < 4) {
+    throw new Error('Annotation file is empty');
+  }
+
+  // .annot files start with a big-endian vertex count, so the first byte is
+  // zero for any real surface. Text colour tables start with '#' or a digit.
+  const firstByte = new Uint8Array(buffer, 0, 1)[0];
+  if (firstByte !== 0) {
+    throw new Error('File is not a FreeSurfer .annot binary (looks like a text color lookup table)');
+  }
+
+  const reader = createReader(buffer);
+  const vertexCount = reader.int32();
+  const rawValues = new Int32Array(vertexCount);
+
+  for (let i = 0; i < vertexCount; i++) {
+    const vertex = reader.int32();
+    const value = reader.int32();
+    if (vertex >= 0 && vertex < vertexCount) {
+      rawValues[vertex] = value;
+    }
+  }
+
+  let colortable = [];
+  if (!reader.eof && reader.int32() === TAG_OLD_COLORTABLE) {
+    colortable = readColortable(reader);
+  }
+
+  // Translate packed RGB values into colortable indices
+  const valueToEntry = new Map(colortable.map((entry, position) => [entry.annotation, position]));
+  const labels = new Int32Array(vertexCount);
+  for (let i = 0; i < vertexCount; i++) {
+    const position = valueToEntry.get(rawValues[i]);
+    labels[i] = position === undefined ? -1 : position;
+  }
+
+  return {
+    vertexCount,
+    labels,
+    colortable,
+    names: colortable.map(entry => entry.name)
+  };
+}
+
+/**
+ * Fetch and parse an annotation file (cached per URL)
+ * @param {string} url - Location of the .annot file
+ * @returns {Promise<Object>} Parsed annotation
+ */
+export function loadAnnotation(url) {
+  if (!annotationCache.has(url)) {
+    const request = fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load annotation ${url}: ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then(parseAnnotation)
+      .catch(error => {
+        // Let a later call retry instead of caching the failure
+        annotationCache.delete(url);
+        throw error;
+      });
+
+    annotationCache.set(url, request);
+  }
+
+  return annotationCache.get(url);
+}
+
+/**
+ * Get the colortable entry for a vertex
+ * @param {Object} annotation - Parsed annotation
+ * @param {number} vertexIndex - Surface vertex index
+ * @returns {Object|null} Colortable entry or null when unlabelled
+ */
+export function getVertexLabel(annotation, vertexIndex) {
+  if (!annotation || vertexIndex < 0 || vertexIndex >= annotation.vertexCount) {
+    return null;
+  }
+
+  const position = annotation.labels[vertexIndex];
+  return position >= 0 ? annotation.colortable[position] : null;
+}
+
+/**
+ * Check that an annotation was produced for the given geometry
+ */
+export function annotationMatchesGeometry(annotation, geometry) {
+  return Boolean(annotation && geometry?.attributes?.position &&
+    annotation.vertexCount === geometry.attributes.position.count);
+}
+
+/**
+ * Resolve a raycast intersection to its atlas label.
+ * Uses the face vertex closest to the hit point so clicks near parcel
+ * borders land on the side the cursor is actually over.
+ * @param {Object} annotation - Parsed annotation
+ * @param {Object} intersection - three.js intersection (needs face, point, object)
+ * @returns {Object|null} { vertexIndex, label } or null
+ */
+export function getIntersectionLabel(annotation, intersection) {
+  const { face, point, object } = intersection || {};
+  if (!face || !object || !annotationMatchesGeometry(annotation, object.geometry)) {
+    return null;
+  }
+
+  const positions = object.geometry.attributes.position;
+  const localPoint = object.worldToLocal(point.clone());
+  const vertex = new Vector3();
+
+  let vertexIndex = face.a;
+  let minDistance = Infinity;
+
+  [face.a, face.b, face.c].forEach(index => {
+    // Morphed meshes report vertex positions with their morph targets applied
+    if (object.getVertexPosition) {
+      object.getVertexPosition(index, vertex);
+    } else {
+      vertex.fromBufferAttribute(positions, index);
+    }
+
+    const distance = vertex.distanceToSquared(localPoint);
+
+    if (distance < minDistance) {
+      minDistance = distance;
+      vertexIndex = index;
+    }
+  });
+
+  const label = getVertexLabel(annotation, vertexIndex);
+  return label ? { vertexIndex, label } : null;
+}
+
+export default parseAnnotation;
@@ -0,0 +1,92 @@
+/**
+ * Citation Service
+ * Formats the curated key papers (src/data/keyPapers.js) for the drawer and
+ * exports them as BibTeX or RIS files for reference managers
+ */
+
+import { downloadFile } from './downloadService';
+
+export const CITATION_FORMATS = {
+  bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' },
+  ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems' }
+};
+
+// Characters with a special meaning in BibTeX field values
+const escapeBibTeX = (value) => String(value).replace(/([&%#_$])/g, '\\$1');
+
+const splitPages = (pages = '') => pages.split(/[–-]+/);
+
+/**
+ * Short author list for display ('Rolls', 'Corbetta & Shulman', 'Yeo et al.')
+ * @param {Array<string>} authors - 'Last, F. M.' strings
+ * @returns {string} Surnames
+ */
+export function formatAuthorsShort(authors = []) {
+  const surnames = authors.map(author => author.split(',')[0]);
+  if (surnames.length <= 2) return surnames.join(' & ');
+  return `${surnames[0]} et al.`;
+}
+
+/**
+ * Format references as BibTeX @article entries
+ * @param {Array<Object>} references - Key papers
+ * @returns {string} BibTeX source
+ */
+export function toBibTeX(references) {
+  return references.map(reference => {
+    const fields = [
+      ['author', reference.authors.map(escapeBibTeX).join(' and ')],
+      // Double braces keep the title's capitalization
+      ['title', `{${escapeBibTeX(reference.title)}}`],
+      ['journal', escapeBibTeX(reference.journal)],
+      ['year', reference.year],
+      ['volume', reference.volume],
+      ['number', reference.issue?.replace('–', '--')],
+      ['pages', reference.pages?.replace('–', '--')],
+      ['doi', reference.doi]
+    ].filter(([, value]) => value !== undefined && value !== '');
+
+    return `@article{${reference.id},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Format references as RIS records
+ * @param {Array<Object>} references - Key papers
+ * @returns {string} RIS source (CRLF line endings, as the format expects)
+ */
+export function toRIS(references) {
+  return references.map(reference => {
+    const [startPage, endPage] = splitPages(reference.pages);
+    const lines = [
+      ['TY', 'JOUR'],
+      ...reference.authors.map(author => ['AU', author]),
+      ['TI', reference.title],
+      ['JO', reference.journal],
+      ['PY', reference.year],
+      ['VL', reference.volume],
+      ['IS', reference.issue],
+      ['SP', startPage],
+      ['EP', endPage],
+      ['DO', reference.doi],
+      ['UR', reference.doi && `https://doi.org/${reference.doi}`],
+      ['ID', reference.id]
+    ].filter(([, value]) => value !== undefined && value !== '');
+
+    return [...lines.map(([tag, value]) => `${tag}  - ${value}`), 'ER  - '].join('\r\n');
+  }).join('\r\n\r\n') + '\r\n';
+}
+
+/**
+ * Download references as a citation file
+ * @param {Array<Object>} references - Key papers
+ * @param {string} format - Key of CITATION_FORMATS
+ * @param {string} fileName - File name without extension
+ */
+export function downloadCitations(references, format, fileName) {
+  const { extension, mimeType } = CITATION_FORMATS[format];
+  const content = format === 'ris' ? toRIS(references) : toBibTeX(references);
+  downloadFile(content, `${fileName}.${extension}`, mimeType);
+}
+
+export default downloadCitations;
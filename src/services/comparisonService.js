@@ -0,0 +1,109 @@
+/**
+ * Comparison Service
+ * Multi-selection of two or three networks and the overlap between their
+ * curated data, for the side-by-side comparison in the info drawer
+ */
+
+import { getRegionNetwork } from '../data/brainStructure';
+
+export const MAX_COMPARED_REGIONS = 3;
+
+// Rows of the comparison table, in drawer order
+export const COMPARISON_FIELDS = [
+  { key: 'description', label: 'Overview' },
+  { key: 'anatomicalLocation', label: 'Anatomical Location' },
+  { key: 'keyRegions', label: 'Key Regions' },
+  { key: 'functions', label: 'Key Functions' },
+  { key: 'clinicalRelevance', label: 'Clinical Relevance' }
+];
+
+// Leading words that only narrow a structure down ('Dorsal Precuneus')
+const QUALIFIERS = new Set([
+  'anterior', 'posterior', 'dorsal', 'ventral', 'lateral', 'medial',
+  'superior', 'inferior', 'rostral', 'caudal', 'primary', 'secondary'
+]);
+
+/**
+ * What a region is compared as: regions with curated network data (Yeo
+ * networks and subnetworks) as themselves, atlas parcels as their network
+ */
+export function getComparisonEntry(region) {
+  if (!region) return null;
+  return region.functions ? region : getRegionNetwork(region) || region;
+}
+
+/**
+ * Add a region to the comparison, or take it out if it is already there.
+ * Starting a comparison keeps the current selection as its first entry;
+ * past MAX_COMPARED_REGIONS the oldest entry drops out.
+ * @param {Array<Object>} compared - Regions being compared
+ * @param {Object} region - Shift-clicked region
+ * @param {Object|null} selectedRegion - Current single selection
+ * @returns {Array<Object>} The new comparison
+ */
+export function toggleComparedRegion(compared, region, selectedRegion) {
+  const entry = getComparisonEntry(region);
+  const current = compared.length > 0
+    ? compared
+    : [getComparisonEntry(selectedRegion)].filter(Boolean);
+
+  if (current.some(item => item.id === entry.id)) {
+    return current.filter(item => item.id !== entry.id);
+  }
+  return [...current, entry].slice(-MAX_COMPARED_REGIONS);
+}
+
+/**
+ * Names a key region goes by: its name without "(abbreviation)" and a
+ * trailing "Cortex"/"Area", and the abbreviation(s) ('MT/V5' → MT, V5)
+ */
+function getKeyRegionNames(keyRegion) {
+  const simplify = (text) => text.toLowerCase().replace(/[^a-z0-9 ]/g, '').trim();
+  const abbreviation = keyRegion.match(/\(([^)]+)\)/)?.[1] || '';
+  const name = simplify(keyRegion.replace(/\(.*?\)/g, '').replace(/\s+(cortex|area)\s*$/i, ''));
+
+  const words = name.split(/\s+/);
+  return {
+    names: new Set([name, ...abbreviation.split('/').map(simplify)].filter(Boolean)),
+    // The same structure without its first qualifier ('dorsal precuneus' → 'precuneus')
+    broader: words.length > 1 && QUALIFIERS.has(words[0]) ? words.slice(1).join(' ') : null
+  };
+}
+
+const keyRegionsMatch = (a, b) => {
+  return [...a.names].some(name => b.names.has(name)) ||
+    (a.broader !== null && b.names.has(a.broader)) ||
+    (b.broader !== null && a.names.has(b.broader));
+};
+
+/**
+ * Key regions that two or more of the regions share, by name or as a
+ * subdivision of the other ('Precuneus' and 'Dorsal Precuneus',
+ * 'Intraparietal Sulcus (IPS)' and 'Anterior IPS')
+ * @param {Array<Object>} regions - Compared regions
+ * @returns {Array<Object>} [{ matches: [{ regionId, keyRegion }] }], each
+ * with entries from at least two regions
+ */
+export function getSharedKeyRegions(regions) {
+  const items = regions.flatMap(region => (region.keyRegions || []).map(keyRegion => ({
+    regionId: region.id,
+    keyRegion,
+    ...getKeyRegionNames(keyRegion)
+  })));
+
+  const groups = [];
+  items.forEach(item => {
+    const group = groups.find(candidate => candidate.some(other => keyRegionsMatch(item, other)));
+    if (group) {
+      group.push(item);
+    } else {
+      groups.push([item]);
+    }
+  });
+
+  return groups
+    .filter(group => new Set(group.map(item => item.regionId)).size > 1)
+    .map(group => ({ matches: group.map(({ regionId, keyRegion }) => ({ regionId, keyRegion })) }));
+}
+
+export default getSharedKeyRegions;
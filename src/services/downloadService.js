@@ -0,0 +1,30 @@
+/**
+ * Download Service
+ * Saves generated text (citations, quiz results, ...) as a file through a
+ * temporary object URL
+ */
+
+// How long the object URL outlives the click
+const REVOKE_DELAY_MS = 1000;
+
+/**
+ * Download text content as a file
+ * @param {string} content - File contents
+ * @param {string} fileName - File name with extension
+ * @param {string} mimeType - MIME type (UTF-8 is added)
+ */
+export function downloadFile(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Firefox and Safari start the download after click() returns; revoking
+  // the URL right away can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+export default downloadFile;
@@ -0,0 +1,217 @@
+/**
+ * GIFTI Service
+ * Parses GIFTI (.gii) files in the browser: surfaces (.surf.gii) become
+ * three.js geometries and label files (.label.gii) become annotations in
+ * the same shape parseAnnotation returns for FreeSurfer .annot files
+ */
+
+import * as THREE from 'three';
+import { gunzipSync, unzlibSync } from 'three/examples/jsm/libs/fflate.module.js';
+
+const INTENT_POINTSET = 'NIFTI_INTENT_POINTSET';
+const INTENT_TRIANGLE = 'NIFTI_INTENT_TRIANGLE';
+const INTENT_LABEL = 'NIFTI_INTENT_LABEL';
+
+// GIFTI data types: typed array and DataView getter
+const DATA_TYPES = {
+  NIFTI_TYPE_UINT8: [Uint8Array, 'getUint8'],
+  NIFTI_TYPE_INT32: [Int32Array, 'getInt32'],
+  NIFTI_TYPE_FLOAT32: [Float32Array, 'getFloat32']
+};
+
+// AnatomicalStructurePrimary values written by FreeSurfer, Connectome
+// Workbench and nibabel
+const STRUCTURE_HEMISPHERES = {
+  cortexleft: 'lh',
+  cortex_left: 'lh',
+  cortexright: 'rh',
+  cortex_right: 'rh'
+};
+
+/**
+ * Read the <MD> name/value pairs of a <MetaData> element
+ */
+function readMetadata(element) {
+  const metadata = {};
+  element?.querySelectorAll(':scope > MD').forEach(entry => {
+    const name = entry.querySelector('Name')?.textContent.trim();
+    if (name) metadata[name] = entry.querySelector('Value')?.textContent.trim() || '';
+  });
+  return metadata;
+}
+
+function decodeBase64(text) {
+  const binary = atob(text.replace(/\s+/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Decode a <DataArray> into a flat, row-major typed array
+ */
+function readDataArray(element) {
+  const attribute = (name, fallback) => element.getAttribute(name) || fallback;
+  const dataType = attribute('DataType');
+  const encoding = attribute('Encoding', 'ASCII');
+  const dims = [];
+  for (let i = 0; i < Number(attribute('Dimensionality', 1)); i++) {
+    dims.push(Number(attribute(`Dim${i}`, 1)));
+  }
+
+  const type = DATA_TYPES[dataType];
+  if (!type) {
+    throw new Error(`Unsupported GIFTI data type: ${dataType}`);
+  }
+  const [TypedArray, getter] = type;
+  const text = element.querySelector('Data')?.textContent || '';
+
+  let values;
+  if (encoding === 'ASCII') {
+    values = TypedArray.from(text.trim().split(/\s+/).filter(Boolean), Number);
+  } else if (encoding === 'Base64Binary' || encoding === 'GZipBase64Binary') {
+    let bytes = decodeBase64(text);
+    if (encoding === 'GZipBase64Binary') {
+      // The spec says gzip; most writers actually use a zlib stream
+      bytes = bytes[0] === 0x1f && bytes[1] === 0x8b ? gunzipSync(bytes) : unzlibSync(bytes);
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const littleEndian = attribute('Endian', 'LittleEndian') === 'LittleEndian';
+    values = new TypedArray(bytes.byteLength / TypedArray.BYTES_PER_ELEMENT);
+    for (let i = 0; i < values.length; i++) {
+      values[i] = view[getter](i * TypedArray.BYTES_PER_ELEMENT, littleEndian);
+    }
+  } else {
+    throw new Error(`Unsupported GIFTI encoding: ${encoding} (external data files cannot be loaded)`);
+  }
+
+  // Column-major 2D arrays are transposed so each row is one vertex or face
+  const [rows, columns = 1] = dims;
+  if (columns > 1 && attribute('ArrayIndexingOrder', 'RowMajorOrder') === 'ColumnMajorOrder') {
+    const transposed = new TypedArray(values.length);
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        transposed[row * columns + column] = values[column * rows + row];
+      }
+    }
+    values = transposed;
+  }
+
+  return {
+    intent: attribute('Intent', ''),
+    dims,
+    values,
+    metadata: readMetadata(element.querySelector(':scope > MetaData'))
+  };
+}
+
+/**
+ * Parse a GIFTI file
+ * @param {ArrayBuffer|string} source - Raw file contents
+ * @returns {Object} { metadata, labelTable, dataArrays } where labelTable
+ * lists { key, name, color: [r, g, b, a] (0–255) } and each data array has
+ * intent, dims, flat row-major values and metadata
+ */
+export function parseGifti(source) {
+  const text = typeof source === 'string' ? source : new TextDecoder().decode(source);
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  const root = xml.documentElement;
+  if (!root || root.nodeName !== 'GIFTI') {
+    throw new Error('File is not a GIFTI document');
+  }
+
+  const labelTable = [...root.querySelectorAll(':scope > LabelTable > Label')].map(label => {
+    const channel = (name) => Math.round(Number(label.getAttribute(name) ?? 0) * 255);
+    return {
+      key: Number(label.getAttribute('Key') ?? label.getAttribute('Index')),
+      name: label.textContent.trim(),
+      color: [channel('Red'), channel('Green'), channel('Blue'), channel('Alpha')]
+    };
+  });
+
+  return {
+    metadata: readMetadata(root.querySelector(':scope > MetaData')),
+    labelTable,
+    dataArrays: [...root.querySelectorAll(':scope > DataArray')].map(readDataArray)
+  };
+}
+
+/**
+ * Get the hemisphere a GIFTI file describes, from its
+ * AnatomicalStructurePrimary metadata
+ * @returns {string|null} 'lh', 'rh' or null when not recorded
+ */
+export function getGiftiHemisphere(gifti) {
+  const structure = [gifti.metadata, ...gifti.dataArrays.map(array => array.metadata)]
+    .map(metadata => metadata.AnatomicalStructurePrimary)
+    .find(Boolean);
+  return STRUCTURE_HEMISPHERES[structure?.toLowerCase()] || null;
+}
+
+/**
+ * Check whether a parsed GIFTI file holds a surface or labels
+ */
+export function isGiftiSurface(gifti) {
+  return gifti.dataArrays.some(array => array.intent === INTENT_POINTSET);
+}
+
+export function isGiftiLabels(gifti) {
+  return gifti.dataArrays.some(array => array.intent === INTENT_LABEL);
+}
+
+/**
+ * Build an indexed geometry from a GIFTI surface, keeping its vertex order
+ * so per-vertex labels line up
+ */
+export function giftiToGeometry(gifti) {
+  const points = gifti.dataArrays.find(array => array.intent === INTENT_POINTSET);
+  const triangles = gifti.dataArrays.find(array => array.intent === INTENT_TRIANGLE);
+  if (!points || !triangles) {
+    throw new Error('GIFTI surface needs a point set and a triangle array');
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(Float32Array.from(points.values), 3));
+  geometry.setIndex(new THREE.BufferAttribute(Uint32Array.from(triangles.values), 1));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+/**
+ * Convert a GIFTI label file to an annotation (see parseAnnotation):
+ * vertexCount, per-vertex labels (colortable index, -1 when unlabelled)
+ * and the colortable entries
+ */
+export function giftiToAnnotation(gifti) {
+  const labelArray = gifti.dataArrays.find(array => array.intent === INTENT_LABEL);
+  if (!labelArray) {
+    throw new Error('GIFTI file has no label array');
+  }
+
+  const colortable = gifti.labelTable.map(({ key, name, color }) => ({
+    index: key,
+    name,
+    color: [color[0], color[1], color[2], 255 - color[3]],
+    hex: '#' + color.slice(0, 3).map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase(),
+    annotation: key
+  }));
+
+  const keyToEntry = new Map(colortable.map((entry, position) => [entry.index, position]));
+  const vertexCount = labelArray.dims[0];
+  const labels = new Int32Array(vertexCount);
+  for (let i = 0; i < vertexCount; i++) {
+    const position = keyToEntry.get(labelArray.values[i]);
+    labels[i] = position === undefined ? -1 : position;
+  }
+
+  return {
+    vertexCount,
+    labels,
+    colortable,
+    names: colortable.map(entry => entry.name)
+  };
+}
+
+export default parseGifti;
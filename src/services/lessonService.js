@@ -0,0 +1,184 @@
+/**
+ * Lesson Service
+ * Reads, builds and saves guided lessons: ordered steps that each select a
+ * network, set the camera and show narration, for instructors to script a
+ * walkthrough of the brain.
+ *
+ * Lesson file (JSON):
+ *   {
+ *     "title": "Attention networks",
+ *     "description": "Optional summary",
+ *     "atlas": "yeo2011",
+ *     "steps": [{
+ *       "network": "dorsal_attention_network",   region id in the atlas
+ *       "hemisphere": "lh",                      optional, 'lh' or 'rh'
+ *       "granularity": 7,                        optional
+ *       "camera": { "position": [x, y, z], "target": [x, y, z] },
+ *       "narration": "Text shown with the step",
+ *       "keyRegions": ["Frontal Eye Fields (FEF)"],   optional highlight
+ *       "duration": 8                            optional autoplay seconds
+ *     }]
+ *   }
+ */
+
+import { getAtlas, HEMISPHERES, DEFAULT_ATLAS_ID } from '../atlases';
+import { downloadFile } from './downloadService';
+
+// Autoplay time for steps without a duration: a base plus reading time
+const BASE_STEP_SECONDS = 4;
+const SECONDS_PER_WORD = 0.3;
+
+// Decimals kept for recorded camera coordinates
+const CAMERA_PRECISION = 2;
+
+const isVector = (value) => {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+};
+
+const slugify = (text) => {
+  return (text || 'lesson').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'lesson';
+};
+
+/**
+ * Check and normalize one step, resolving its network in the lesson's atlas
+ */
+function normalizeStep(step, index, atlas) {
+  const label = `Step ${index + 1}`;
+  if (!step || typeof step !== 'object') {
+    throw new Error(`${label} is not an object`);
+  }
+  if (!atlas.getRegionById(step.network)) {
+    throw new Error(`${label}: ${atlas.shortName} has no region "${step.network}"`);
+  }
+  if (step.camera && !(isVector(step.camera.position) && isVector(step.camera.target))) {
+    throw new Error(`${label}: camera needs position and target as [x, y, z]`);
+  }
+
+  return {
+    network: step.network,
+    hemisphere: HEMISPHERES[step.hemisphere] ? step.hemisphere : null,
+    granularity: atlas.granularities.includes(step.granularity) ? step.granularity : null,
+    camera: step.camera ? { position: step.camera.position, target: step.camera.target } : null,
+    narration: typeof step.narration === 'string' ? step.narration : '',
+    keyRegions: Array.isArray(step.keyRegions) ? step.keyRegions.filter(name => typeof name === 'string') : [],
+    duration: Number.isFinite(step.duration) && step.duration > 0 ? step.duration : null
+  };
+}
+
+/**
+ * Parse a lesson file
+ * @param {string} text - Lesson JSON
+ * @returns {Object} { title, description, atlas, steps } with every step
+ * normalized (missing optional fields are null or empty)
+ * @throws {Error} Describing the first problem found
+ */
+export function parseLesson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Lesson file is not valid JSON (${error.message})`);
+  }
+
+  if (!data || !Array.isArray(data.steps) || data.steps.length === 0) {
+    throw new Error('Lesson file has no steps');
+  }
+
+  const atlasId = data.atlas || DEFAULT_ATLAS_ID;
+  const atlas = getAtlas(atlasId);
+  if (atlas.id !== atlasId) {
+    throw new Error(`Unknown atlas "${atlasId}"`);
+  }
+
+  return {
+    title: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : 'Untitled lesson',
+    description: typeof data.description === 'string' ? data.description : '',
+    atlas: atlas.id,
+    steps: data.steps.map((step, index) => normalizeStep(step, index, atlas))
+  };
+}
+
+/**
+ * Start an empty lesson to record steps into
+ */
+export function createLesson({ title = 'Untitled lesson', atlas = DEFAULT_ATLAS_ID } = {}) {
+  return { title, description: '', atlas, steps: [] };
+}
+
+/**
+ * Build a step from the current view
+ * @param {Object} view
+ * @param {Object} view.region - Selected region
+ * @param {string|null} view.hemisphere - Selected hemisphere
+ * @param {number|null} view.granularity - Current granularity
+ * @param {Object|null} view.camera - Camera pose { position, target }
+ * @param {string} view.narration - Narration text
+ * @param {Array<string>} view.keyRegions - Key regions to highlight
+ */
+export function createLessonStep({ region, hemisphere = null, granularity = null, camera = null, narration = '', keyRegions = [] }) {
+  return {
+    network: region.id,
+    hemisphere,
+    granularity,
+    camera: camera && {
+      position: camera.position.map(value => Number(value.toFixed(CAMERA_PRECISION))),
+      target: camera.target.map(value => Number(value.toFixed(CAMERA_PRECISION)))
+    },
+    narration: narration.trim(),
+    keyRegions,
+    duration: null
+  };
+}
+
+/**
+ * Seconds autoplay stays on a step: its duration, or enough time to read
+ * the narration
+ */
+export function getStepDuration(step) {
+  if (step.duration) return step.duration;
+  const words = step.narration.split(/\s+/).filter(Boolean).length;
+  return BASE_STEP_SECONDS + words * SECONDS_PER_WORD;
+}
+
+/**
+ * Direction and distance to fly the camera to a step's pose (the controls
+ * orbit a fixed target, so the offset from it is what matters)
+ * @returns {Object|null} Viewpoint for CameraFlyTo, null without a camera
+ */
+export function getStepViewpoint(step) {
+  if (!step.camera) return null;
+  const direction = step.camera.position.map((value, axis) => value - step.camera.target[axis]);
+  return { direction, distance: Math.hypot(...direction) };
+}
+
+/**
+ * Format a lesson as JSON, leaving out empty optional fields
+ */
+export function toLessonJSON(lesson) {
+  const steps = lesson.steps.map(step => {
+    const entry = { network: step.network };
+    if (step.hemisphere) entry.hemisphere = step.hemisphere;
+    if (step.granularity) entry.granularity = step.granularity;
+    if (step.camera) entry.camera = step.camera;
+    entry.narration = step.narration;
+    if (step.keyRegions.length > 0) entry.keyRegions = step.keyRegions;
+    if (step.duration) entry.duration = step.duration;
+    return entry;
+  });
+
+  return JSON.stringify({
+    title: lesson.title,
+    ...(lesson.description ? { description: lesson.description } : {}),
+    atlas: lesson.atlas,
+    steps
+  }, null, 2);
+}
+
+/**
+ * Download a lesson as a JSON file named after its title
+ */
+export function downloadLesson(lesson) {
+  downloadFile(toLessonJSON(lesson), `${slugify(lesson.title)}.lesson.json`, 'application/json');
+}
+
+export default parseLesson;
@@ -1,95 +1,111 @@
 /**
  * Perplexity API Service
- * Fetches relevant educational links about brain regions and parts
+ * Fetches relevant educational links about brain regions and parts, and
+ * streams explanations answering students' questions about them
  */
 
-const PERPLEXITY_API_KEY = import.meta.env.VITE_PERPLEXITY_API_KEY;
-const PERPLEXITY_API_URL = 'https://api.perplexity.ai/chat/completions';
+// Resource lookups go through the app's own backend (server/resourcesApi.mjs),
+// which holds the provider keys
+const RESOURCES_API_URL = import.meta.env.VITE_RESOURCES_API_URL || '/api/resources';
+const EXPLAIN_API_URL = import.meta.env.VITE_EXPLAIN_API_URL || '/api/explain';
+
+// Region data the explanation is grounded in (see server/explainApi.mjs)
+const CONTEXT_FIELDS = ['name', 'description', 'anatomicalLocation', 'keyRegions', 'functions', 'clinicalRelevance'];
 
 /**
- * Fetch relevant links for a brain region or part using Perplexity API
+ * Request links for a brain region or part from the resources API
  * @param {string} regionName - Name of the brain region or part
  * @param {string} description - Description of the region/part
- * @returns {Promise<Array>} Array of link objects with title and url
+ * @param {Object} ids - { id, parent } region ids, used by the curated bundle
+ * @returns {Promise<Object>} { links, provider } where provider is the
+ * { id, name } of the source that answered
+ * @throws {Error} When the API is unreachable or returns no links
  */
-export async function fetchRelevantLinks(regionName, description) {
-  try {
-    const prompt = `Find exactly 3 high-quality educational resources about the ${regionName} in the human brain. ${description}
-
-Return ONLY a JSON array with exactly 3 objects, each with 'title' and 'url' fields. The URLs must be real, working educational resources from reputable sources like:
-- Scientific journals (Nature, Science, PubMed)
-- Educational institutions (universities, medical schools)
-- Medical organizations (NIH, Mayo Clinic, Cleveland Clinic)
-- Educational sites (Khan Academy, Wikipedia)
-
-Format your response as valid JSON only, nothing else:
-[
-  {"title": "Resource Title 1", "url": "https://example.com/article1"},
-  {"title": "Resource Title 2", "url": "https://example.com/article2"},
-  {"title": "Resource Title 3", "url": "https://example.com/article3"}
-]`;
-
-    const response = await fetch(PERPLEXITY_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${PERPLEXITY_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'llama-3.1-sonar-small-128k-online',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful assistant that returns only valid JSON arrays of educational resources. Never include explanatory text, only JSON.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.2,
-        max_tokens: 500,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`Perplexity API error: ${response.status}`);
-    }
+export async function requestRelevantLinks(regionName, description, { id, parent } = {}) {
+  const params = new URLSearchParams({ region: regionName });
+  if (id) params.set('id', id);
+  if (parent) params.set('parent', parent);
+  if (description) params.set('description', description);
 
-    const data = await response.json();
-    const content = data.choices[0]?.message?.content;
-
-    if (!content) {
-      throw new Error('No content in Perplexity response');
-    }
+  const response = await fetch(`${RESOURCES_API_URL}?${params}`);
 
-    // Parse the JSON response
-    const links = JSON.parse(content);
+  if (!response.ok) {
+    throw new Error(`Resources API error: ${response.status}`);
+  }
 
-    // Validate the response
-    if (!Array.isArray(links) || links.length === 0) {
-      throw new Error('Invalid response format');
-    }
+  const { links, provider = null } = await response.json();
 
-    // Ensure we have valid links
-    const validLinks = links.filter(link =>
-      link.title && link.url && link.url.startsWith('http')
-    ).slice(0, 3);
+  // Validate the response
+  if (!Array.isArray(links) || links.length === 0) {
+    throw new Error('Invalid response format');
+  }
 
-    return validLinks;
+  return { links, provider };
+}
 
-  } catch (error) {
-    console.error('Error fetching links from Perplexity:', error);
+/**
+ * Stream an answer to a question about a region from the explain API
+ * @param {string} question - The student's question
+ * @param {Object} region - Region from brainStructure.js (or an atlas)
+ * @param {Object} options - { parentName, signal, onDelta(answerSoFar),
+ * onProvider({ id, name }) }
+ * @returns {Promise<string>} The complete answer
+ * @throws {Error} When the request fails; error.unavailable is set when no
+ * backend or model is configured, and an AbortError when signal aborts
+ */
+export async function streamExplanation(question, region, { parentName, signal, onDelta, onProvider } = {}) {
+  const context = Object.fromEntries(CONTEXT_FIELDS.map(field => [field, region[field]]));
+
+  const response = await fetch(EXPLAIN_API_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ question, region: { ...context, parentName } }),
+    signal
+  });
+
+  // Static hosting without the server answers 404/405 or the app's HTML
+  const isStream = response.headers.get('content-type')?.includes('text/event-stream');
+  if (!response.ok || !isStream) {
+    const { error: message } = await response.json().catch(() => ({}));
+    const error = new Error(message || `Explain API error: ${response.status}`);
+    error.unavailable = !isStream && [200, 404, 405, 501, 503].includes(response.status);
+    throw error;
+  }
 
-    // Return fallback links if API fails
-    return getFallbackLinks(regionName);
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  let answer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += value;
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      const event = rawEvent.match(/^event: (.+)$/m)?.[1] || 'message';
+      const data = JSON.parse(rawEvent.match(/^data: (.+)$/m)?.[1] || '{}');
+
+      if (event === 'meta') onProvider?.(data.provider);
+      if (event === 'error') throw new Error(data.error);
+      if (event === 'done') return answer;
+      if (event === 'message' && data.delta) {
+        answer += data.delta;
+        onDelta?.(answer);
+      }
+    }
   }
+
+  // The stream closed without 'done' (server restarted, connection dropped)
+  throw new Error('The explanation was interrupted');
 }
 
 /**
  * Fallback links in case API fails
  */
-function getFallbackLinks(regionName) {
+export function getFallbackLinks(regionName) {
   const searchQuery = encodeURIComponent(`${regionName} brain anatomy function`);
 
   return [
@@ -108,4 +124,4 @@ function getFallbackLinks(regionName) {
   ];
 }
 
-export default fetchRelevantLinks;
+export default requestRelevantLinks;
@@ -0,0 +1,141 @@
+/**
+ * Pin Service
+ * Notes pinned to points on the cortical surface: creation, persistence in
+ * localStorage and JSON import/export, so an annotated brain can be handed
+ * out as a file
+ *
+ * A pin is { id, title, note, color, position, normal, hemisphere,
+ * createdAt }. position and normal are in the normalized model space region
+ * positions use, within the hemisphere's group (hemisphere null for meshes
+ * spanning both), so pins follow the split layout.
+ */
+
+import { downloadFile } from './downloadService';
+
+const STORAGE_KEY = 'mind-map:pins';
+
+export const PIN_COLORS = ['#F1C40F', '#E74C3C', '#2ECC71', '#3498DB', '#9B59B6', '#FFFFFF'];
+
+const isVector = (value) => {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+};
+
+// Enough precision for a point on a ~4 unit model
+const roundVector = (vector) => vector.map(value => Number(value.toFixed(4)));
+
+const createPinId = () => `pin-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * Create a pin at a surface point
+ * @param {Object} hit
+ * @param {Array<number>} hit.position - Point in normalized model space
+ * @param {Array<number>} hit.normal - Surface normal there
+ * @param {string|null} hit.hemisphere - Group the point belongs to
+ * @param {Object|null} hit.region - Region under the point, for the title
+ */
+export function createPin({ position, normal = null, hemisphere = null, region = null }, color = PIN_COLORS[0]) {
+  return {
+    id: createPinId(),
+    title: region ? region.name : 'Note',
+    note: '',
+    color,
+    position: roundVector(position),
+    normal: normal ? roundVector(normal) : null,
+    hemisphere,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Check and normalize pins read from storage or a file, dropping entries
+ * without a usable position
+ */
+function normalizePins(items) {
+  return items
+    .filter(item => item && isVector(item.position))
+    .map(item => ({
+      id: typeof item.id === 'string' ? item.id : createPinId(),
+      title: typeof item.title === 'string' ? item.title : 'Note',
+      note: typeof item.note === 'string' ? item.note : '',
+      color: typeof item.color === 'string' && /^#[0-9a-f]{3,8}$/i.test(item.color) ? item.color : PIN_COLORS[0],
+      position: item.position,
+      normal: isVector(item.normal) ? item.normal : null,
+      hemisphere: item.hemisphere === 'lh' || item.hemisphere === 'rh' ? item.hemisphere : null,
+      createdAt: Number.isFinite(item.createdAt) ? item.createdAt : Date.now()
+    }));
+}
+
+/**
+ * Load the saved pins (none where localStorage is unavailable)
+ * @returns {Array<Object>} Pins
+ */
+export function loadPins() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? normalizePins(JSON.parse(saved)) : [];
+  } catch (error) {
+    console.warn('Pins: could not read saved pins', error);
+    return [];
+  }
+}
+
+/**
+ * Save pins to localStorage
+ */
+export function savePins(pins) {
+  try {
+    if (pins.length > 0) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(pins));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('Pins: could not save pins', error);
+  }
+}
+
+/**
+ * Parse a pins file, as written by toPinsJSON (a bare array also works)
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Pins
+ * @throws {Error} When the file holds no pins
+ */
+export function parsePins(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Pins file is not valid JSON (${error.message})`);
+  }
+
+  const pins = normalizePins(Array.isArray(data) ? data : data?.pins || []);
+  if (pins.length === 0) {
+    throw new Error('Pins file has no pins');
+  }
+  return pins;
+}
+
+/**
+ * Add imported pins to a set; pins already there (same id) are updated
+ */
+export function mergePins(pins, imported) {
+  const importedIds = new Set(imported.map(pin => pin.id));
+  return [...pins.filter(pin => !importedIds.has(pin.id)), ...imported];
+}
+
+/**
+ * Format pins as JSON
+ */
+export function toPinsJSON(pins) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), pins }, null, 2);
+}
+
+/**
+ * Download pins as a JSON file
+ */
+export function downloadPins(pins) {
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(toPinsJSON(pins), `mindmap-pins-${date}.json`, 'application/json');
+}
+
+export default loadPins;
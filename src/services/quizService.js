@@ -0,0 +1,224 @@
+/**
+ * Quiz Service
+ * Generates network identification quizzes from the curated network data
+ * (functions and clinical relevance), scores the answers and exports the
+ * results as JSON or CSV
+ */
+
+import { getMainRegions } from '../data/brainStructure';
+import { downloadFile } from './downloadService';
+
+export const QUIZ_LENGTHS = [5, 10, 20];
+
+export const QUIZ_EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+// Prompts per question type; 'locate' is answered by clicking the brain
+// and clinical questions show their clue as a quote
+const QUESTION_PROMPTS = {
+  locate: (clue) => `Click the network on the brain that ${clue}.`,
+  function: (clue) => `Which network ${clue}?`,
+  clinical: () => 'Which network is this clinical picture linked to?'
+};
+
+const CHOICE_COUNT = 4;
+
+const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// 'Encodes edges...' → 'encodes edges...' to follow the prompt
+const lowerFirst = (text) => text.charAt(0).toLowerCase() + text.slice(1);
+
+/**
+ * Every question the network data supports: each function can be located
+ * on the brain or picked from a list, and each sentence of a network's
+ * clinical relevance becomes a multiple-choice question
+ */
+function buildQuestionPool(networks) {
+  return networks.flatMap(network => [
+    ...(network.functions || []).flatMap(func => [
+      { type: 'locate', clue: lowerFirst(func), answerId: network.id },
+      { type: 'function', clue: lowerFirst(func), answerId: network.id }
+    ]),
+    ...(network.clinicalRelevance || '')
+      .split(/(?<=\.)\s+/)
+      .filter(sentence => sentence.length >= 30)
+      .map(sentence => ({ type: 'clinical', clue: sentence, answerId: network.id }))
+  ]);
+}
+
+/**
+ * Create a quiz
+ * @param {Object} options
+ * @param {number} options.length - Number of questions
+ * @param {Function} options.random - Random source in [0, 1) (Math.random)
+ * @returns {Object} Quiz state: { questions, answers, index, startedAt }.
+ * Each question has id, type ('locate', 'function' or 'clinical'), prompt,
+ * clue, answerId and, for multiple choice, options [{ id, name }].
+ */
+export function createQuiz({ length = 10, random = Math.random } = {}) {
+  const networks = getMainRegions();
+  const usedClues = new Set();
+
+  const questions = shuffle(buildQuestionPool(networks), random)
+    // One question per clue, whichever type comes first
+    .filter(question => !usedClues.has(question.clue) && usedClues.add(question.clue))
+    .slice(0, length)
+    .map((question, index) => {
+      const prompt = QUESTION_PROMPTS[question.type](question.clue);
+      if (question.type === 'locate') {
+        return { ...question, id: index + 1, prompt };
+      }
+
+      const distractors = shuffle(networks.filter(network => network.id !== question.answerId), random)
+        .slice(0, CHOICE_COUNT - 1);
+      const options = shuffle([networks.find(network => network.id === question.answerId), ...distractors], random)
+        .map(network => ({ id: network.id, name: network.name }));
+      return { ...question, id: index + 1, prompt, options };
+    });
+
+  return { questions, answers: [], index: 0, startedAt: Date.now() };
+}
+
+/**
+ * Get the current question and its answer, if given
+ * @returns {Object} { question, answer } (question null once finished)
+ */
+export function getCurrentQuestion(quiz) {
+  const question = quiz.questions[quiz.index] || null;
+  return {
+    question,
+    answer: question ? quiz.answers.find(answer => answer.questionId === question.id) || null : null
+  };
+}
+
+/**
+ * Record an answer to the current question (later answers are ignored)
+ * @param {Object} quiz - Quiz state
+ * @param {string|null} networkId - Chosen network, null when the click
+ * was outside the networks
+ * @returns {Object} New quiz state
+ */
+export function answerQuestion(quiz, networkId) {
+  const { question, answer } = getCurrentQuestion(quiz);
+  if (!question || answer) return quiz;
+
+  return {
+    ...quiz,
+    answers: [...quiz.answers, {
+      questionId: question.id,
+      networkId,
+      correct: networkId === question.answerId,
+      answeredAt: Date.now()
+    }]
+  };
+}
+
+/**
+ * Move on to the next question (past the last one, the quiz is finished)
+ */
+export function nextQuestion(quiz) {
+  return { ...quiz, index: Math.min(quiz.index + 1, quiz.questions.length) };
+}
+
+export function isQuizFinished(quiz) {
+  return quiz.index >= quiz.questions.length;
+}
+
+/**
+ * Summarize a quiz
+ * @returns {Object} { correct, total, percent, missedNetworks } where
+ * missedNetworks lists the networks of wrongly answered questions
+ */
+export function getQuizScore(quiz) {
+  const correct = quiz.answers.filter(answer => answer.correct).length;
+  const total = quiz.questions.length;
+  const networks = getMainRegions();
+  const missedIds = new Set(quiz.answers
+    .filter(answer => !answer.correct)
+    .map(answer => quiz.questions.find(question => question.id === answer.questionId).answerId));
+
+  return {
+    correct,
+    total,
+    percent: total ? Math.round((correct / total) * 100) : 0,
+    missedNetworks: networks.filter(network => missedIds.has(network.id))
+  };
+}
+
+/**
+ * One row per question, shared by the JSON and CSV exports
+ */
+function getResultRows(quiz) {
+  const networks = getMainRegions();
+  const nameOf = (id) => networks.find(network => network.id === id)?.name || '';
+  let previousTime = quiz.startedAt;
+
+  return quiz.questions.map(question => {
+    const answer = quiz.answers.find(item => item.questionId === question.id);
+    const seconds = answer ? Math.round((answer.answeredAt - previousTime) / 1000) : null;
+    if (answer) previousTime = answer.answeredAt;
+
+    return {
+      number: question.id,
+      type: question.type,
+      question: question.prompt,
+      clue: question.clue,
+      correctAnswer: nameOf(question.answerId),
+      givenAnswer: answer ? nameOf(answer.networkId) || 'Outside the networks' : '',
+      correct: answer ? answer.correct : false,
+      seconds
+    };
+  });
+}
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format quiz results as JSON: the score and one entry per question
+ */
+export function toQuizJSON(quiz) {
+  const { correct, total, percent, missedNetworks } = getQuizScore(quiz);
+  return JSON.stringify({
+    startedAt: new Date(quiz.startedAt).toISOString(),
+    score: { correct, total, percent },
+    networksToReview: missedNetworks.map(network => network.name),
+    questions: getResultRows(quiz)
+  }, null, 2);
+}
+
+/**
+ * Format quiz results as CSV with a header row, one row per question
+ */
+export function toQuizCSV(quiz) {
+  const rows = getResultRows(quiz);
+  const columns = ['number', 'type', 'question', 'clue', 'correctAnswer', 'givenAnswer', 'correct', 'seconds'];
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escapeCsv).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Download quiz results
+ * @param {Object} quiz - Quiz state
+ * @param {string} format - Key of QUIZ_EXPORT_FORMATS
+ */
+export function downloadQuizResults(quiz, format) {
+  const { extension, mimeType } = QUIZ_EXPORT_FORMATS[format];
+  const content = format === 'csv' ? toQuizCSV(quiz) : toQuizJSON(quiz);
+  const date = new Date(quiz.startedAt).toISOString().slice(0, 10);
+  downloadFile(content, `mindmap-quiz-${date}.${extension}`, mimeType);
+}
+
+export default createQuiz;
@@ -0,0 +1,154 @@
+/**
+ * Resource Cache Service
+ * Keeps fetched educational links in memory and in IndexedDB, keyed by
+ * atlas and region id, so repeat visits are instant, offline sessions still
+ * show earlier results and demos do not spend API quota twice
+ */
+
+import { requestRelevantLinks, getFallbackLinks } from './perplexityService';
+
+const DB_NAME = 'mind-map';
+const DB_VERSION = 1;
+const STORE_NAME = 'resources';
+
+// Cached links are refetched after a week
+export const RESOURCE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const memoryCache = new Map();
+let databasePromise = null;
+
+/**
+ * Open (once) the IndexedDB database; resolves to null where IndexedDB is
+ * unavailable (private browsing, old browsers) so the cache is memory-only
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Resource cache: IndexedDB unavailable, using memory only', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Run one request against the resources store
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result ?? null);
+    transaction.onerror = () => reject(transaction.error);
+    // Quota errors and version changes abort without a request error
+    transaction.onabort = () => reject(transaction.error || new Error('Resource cache transaction aborted'));
+  });
+}
+
+/**
+ * Cache key for a region within an atlas
+ */
+export const getResourceCacheKey = (atlasId, regionId) => `${atlasId}:${regionId}`;
+
+/**
+ * Get a cached entry, stale or not
+ * @param {string} key - See getResourceCacheKey
+ * @returns {Promise<Object|null>} { key, links, provider, fetchedAt } or null
+ */
+export async function getCachedResources(key) {
+  if (memoryCache.has(key)) {
+    return memoryCache.get(key);
+  }
+
+  try {
+    const entry = await withStore('readonly', store => store.get(key));
+    if (entry) memoryCache.set(key, entry);
+    return entry;
+  } catch (error) {
+    console.warn('Resource cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Store links for a region
+ * @param {string} key - See getResourceCacheKey
+ * @param {Array} links - Links to cache
+ * @param {Object} provider - { id, name } of the source that answered
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function setCachedResources(key, links, provider = null) {
+  const entry = { key, links, provider, fetchedAt: Date.now() };
+  memoryCache.set(key, entry);
+
+  try {
+    await withStore('readwrite', store => store.put(entry));
+  } catch (error) {
+    console.warn('Resource cache write failed:', error);
+  }
+  return entry;
+}
+
+/**
+ * Drop every cached entry
+ */
+export async function clearResourceCache() {
+  memoryCache.clear();
+  try {
+    await withStore('readwrite', store => store.clear());
+  } catch (error) {
+    console.warn('Resource cache clear failed:', error);
+  }
+}
+
+/**
+ * Get links for a region, from the cache when fresh
+ * @param {Object} region - Region with id, name and description
+ * @param {string} atlasId - Atlas the region belongs to
+ * @param {Object} options - { refresh: true } skips the cache, ttl overrides
+ * RESOURCE_CACHE_TTL
+ * @returns {Promise<Object>} { links, provider, fetchedAt, source } where source is
+ * 'cache', 'network', 'stale' (fetch failed, older cached links) or
+ * 'fallback' (fetch failed, nothing cached)
+ */
+export async function loadRelevantLinks(region, atlasId, { refresh = false, ttl = RESOURCE_CACHE_TTL } = {}) {
+  const key = getResourceCacheKey(atlasId, region.id);
+  const cached = await getCachedResources(key);
+
+  if (cached && !refresh && Date.now() - cached.fetchedAt < ttl) {
+    return { links: cached.links, provider: cached.provider, fetchedAt: cached.fetchedAt, source: 'cache' };
+  }
+
+  try {
+    const { links, provider } = await requestRelevantLinks(region.name, region.description, {
+      id: region.id,
+      parent: region.parentRegion
+    });
+    const entry = await setCachedResources(key, links, provider);
+    return { links, provider, fetchedAt: entry.fetchedAt, source: 'network' };
+  } catch (error) {
+    console.error('Error fetching links from the resources API:', error);
+
+    if (cached) {
+      return { links: cached.links, provider: cached.provider, fetchedAt: cached.fetchedAt, source: 'stale' };
+    }
+    return { links: getFallbackLinks(region.name), provider: null, fetchedAt: null, source: 'fallback' };
+  }
+}
+
+export default loadRelevantLinks;
@@ -0,0 +1,308 @@
+/**
+ * Search Service
+ * Ranked full-text search over region data: names, descriptions, location,
+ * key regions, functions and clinical notes, so a region can be found by
+ * what it does ("face recognition") or what goes wrong in it ("neglect").
+ * Words match exactly, as a prefix, by stem or with a typo, and synonym
+ * groups link lay terms, abbreviations and clinical names.
+ */
+
+// Searched fields and how much a match in each counts
+export const SEARCH_FIELDS = [
+  { key: 'name', label: 'Name', weight: 10 },
+  { key: 'keyRegions', label: 'Key region', weight: 5 },
+  { key: 'functions', label: 'Function', weight: 4 },
+  { key: 'clinicalRelevance', label: 'Clinical', weight: 3 },
+  { key: 'anatomicalLocation', label: 'Location', weight: 3 },
+  { key: 'description', label: 'Overview', weight: 2 }
+];
+
+// Terms that mean the same thing for searching; a query term from a group
+// also finds the others
+export const SEARCH_SYNONYMS = [
+  ['adhd', 'attention deficit'],
+  ['ptsd', 'post traumatic stress', 'trauma'],
+  ['face recognition', 'prosopagnosia', 'face blindness', 'fusiform face'],
+  ['neglect', 'hemineglect', 'hemispatial neglect', 'ignoring one side'],
+  ['rumination', 'ruminating', 'brooding', 'repetitive negative thinking'],
+  ['depression', 'depressive', 'mdd'],
+  ['alzheimer', 'dementia', 'memory loss', 'amnesia'],
+  ['autism', 'autistic', 'asd'],
+  ['schizophrenia', 'psychosis', 'psychotic'],
+  ['ocd', 'obsessive compulsive'],
+  ['anxiety', 'anxious', 'panic'],
+  ['memory', 'remembering', 'recall', 'mnemonic'],
+  ['working memory', 'short term memory'],
+  ['emotion', 'emotional', 'affect', 'feelings'],
+  ['movement', 'motor'],
+  ['vision', 'visual', 'sight', 'seeing'],
+  ['hearing', 'auditory', 'sound'],
+  ['language', 'speech', 'linguistic'],
+  ['pain', 'nociception'],
+  ['addiction', 'substance use', 'craving'],
+  ['daydreaming', 'mind wandering'],
+  ['self reflection', 'self referential', 'introspection'],
+  ['decision making', 'choice'],
+  ['eye movements', 'saccades', 'gaze'],
+  ['reward', 'motivation', 'value']
+];
+
+// Prefixes that change a word's meaning: words differing only by these
+// ('hyperactivity' / 'hypoactivity') are different words, not typos
+const CONTRASTING_PREFIXES = [
+  ['hyper', 'hypo'], ['inter', 'intra'], ['infra', 'supra'], ['pre', 'post'],
+  ['ante', 'anti'], ['endo', 'exo'], ['over', 'under'], ['hetero', 'homo']
+];
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'to', 'for', 'with', 'or', 'by', 'is']);
+
+// Match quality per kind of word match; synonyms count a little less
+const EXACT = 1;
+const PREFIX = 0.9;
+const STEM = 0.8;
+const TYPO = 0.6;
+const SYNONYM_FACTOR = 0.9;
+
+// Characters of context around the first match in a snippet
+const SNIPPET_CONTEXT = 40;
+const SNIPPET_LENGTH = 130;
+
+// Lowercase with everything but letters and digits as spaces, keeping
+// the text's length so match positions apply to the original
+const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, ' ');
+
+const splitWords = (text) => normalize(text).split(/\s+/).filter(Boolean);
+
+/**
+ * Edit distance between two words, giving up past maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const commonPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) length++;
+  return length;
+};
+
+const haveContrastingPrefixes = (a, b) => CONTRASTING_PREFIXES.some(([first, second]) =>
+  (a.startsWith(first) && b.startsWith(second)) || (a.startsWith(second) && b.startsWith(first))
+);
+
+/**
+ * How well a query word matches a word of the text (0 for no match):
+ * exactly, as the start of the word ('recog' → 'recognition'), sharing a
+ * stem ('recognition' / 'recognises') or within a typo or two, unless
+ * the two only differ by a contrasting prefix
+ */
+function matchWord(term, word) {
+  if (term === word) return EXACT;
+  if (term.length >= 3 && word.startsWith(term)) return PREFIX;
+
+  const prefix = commonPrefixLength(term, word);
+  if (prefix >= 4 && prefix >= Math.max(term.length, word.length) - 4) return STEM;
+
+  const allowed = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  if (allowed > 0 && !haveContrastingPrefixes(term, word) && editDistance(term, word, allowed) <= allowed) {
+    return TYPO;
+  }
+  return 0;
+}
+
+/**
+ * Words of a text with their positions
+ */
+function indexWords(text) {
+  const words = [];
+  const pattern = /[a-z0-9]+/g;
+  const normalized = normalize(text);
+  let found;
+  while ((found = pattern.exec(normalized)) !== null) {
+    words.push({ word: found[0], start: found.index, end: found.index + found[0].length });
+  }
+  return words;
+}
+
+/**
+ * Match one alternative (a word or phrase) against a text
+ * @returns {Object} { quality, spans } - spans are [start, end) ranges of
+ * the matched text
+ */
+function matchAlternative(alternative, text, words) {
+  const terms = alternative.split(' ');
+
+  // A phrase found as written
+  if (terms.length > 1) {
+    const normalized = normalize(text);
+    let index = normalized.indexOf(alternative);
+    while (index > 0 && /[a-z0-9]/.test(normalized[index - 1])) {
+      index = normalized.indexOf(alternative, index + 1);
+    }
+    if (index >= 0) {
+      return { quality: EXACT, spans: [[index, index + alternative.length]] };
+    }
+  }
+
+  // Otherwise every word of it somewhere in the text
+  let quality = EXACT;
+  const spans = [];
+  for (const term of terms) {
+    let best = 0;
+    words.forEach(({ word, start, end }) => {
+      const wordQuality = matchWord(term, word);
+      if (wordQuality > 0) spans.push([start, end]);
+      best = Math.max(best, wordQuality);
+    });
+    if (best === 0) return { quality: 0, spans: [] };
+    quality = Math.min(quality, best);
+  }
+  return { quality: terms.length > 1 ? quality * SYNONYM_FACTOR : quality, spans };
+}
+
+/**
+ * Split a query into concepts, each a list of alternatives: a synonym
+ * group when the query names one of its terms, otherwise a single word
+ */
+export function parseSearchQuery(query) {
+  let remaining = ` ${splitWords(query).join(' ')} `;
+  const concepts = [];
+
+  SEARCH_SYNONYMS.forEach(group => {
+    const term = [...group]
+      .sort((a, b) => b.length - a.length)
+      .find(candidate => remaining.includes(` ${candidate} `));
+    if (term) {
+      concepts.push({ term, alternatives: [term, ...group.filter(item => item !== term)] });
+      remaining = remaining.replace(` ${term} `, ' ');
+    }
+  });
+
+  remaining.split(' ')
+    .filter(word => word && !STOP_WORDS.has(word))
+    .forEach(word => concepts.push({ term: word, alternatives: [word] }));
+
+  return concepts;
+}
+
+/**
+ * The texts of a field: one for strings, one per entry for lists
+ */
+const getFieldTexts = (region, key) => {
+  const value = region[key];
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string');
+  return typeof value === 'string' && value ? [value] : [];
+};
+
+/**
+ * Cut a snippet around the first span and split it into plain and
+ * matched segments
+ * @returns {Array<Object>} [{ text, match }]
+ */
+export function buildSnippet(text, spans, { context = SNIPPET_CONTEXT, length = SNIPPET_LENGTH } = {}) {
+  const sorted = [...spans].sort((a, b) => a[0] - b[0]);
+  let start = 0;
+  if (sorted.length > 0 && sorted[0][0] > context) {
+    start = text.lastIndexOf(' ', sorted[0][0] - context) + 1;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const wordEnd = text.lastIndexOf(' ', end);
+    if (wordEnd > start) end = wordEnd;
+  }
+
+  const segments = [];
+  let cursor = start;
+  sorted.forEach(([spanStart, spanEnd]) => {
+    const from = Math.max(spanStart, cursor);
+    const to = Math.min(spanEnd, end);
+    if (from >= to) return;
+    if (from > cursor) segments.push({ text: text.slice(cursor, from), match: false });
+    segments.push({ text: text.slice(from, to), match: true });
+    cursor = to;
+  });
+  if (cursor < end) segments.push({ text: text.slice(cursor, end), match: false });
+
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
+
+/**
+ * Search regions
+ * @param {Array<Object>} regions - Regions (and parts) to search
+ * @param {string} query - What the user typed
+ * @param {Object} options - { limit } caps the number of hits
+ * @returns {Array<Object>} Hits, best first: { region, score, field,
+ * snippet } where field is the SEARCH_FIELDS entry the snippet comes from
+ * (null when only the name matched) and snippet its segments, and
+ * nameSegments the region name with matches marked
+ */
+export function searchRegions(regions, query, { limit = 12 } = {}) {
+  const concepts = parseSearchQuery(query);
+  if (concepts.length === 0) return [];
+
+  const hits = regions.map(region => {
+    let score = 0;
+    let best = null;
+    const nameSpans = [];
+
+    for (const concept of concepts) {
+      let conceptBest = null;
+
+      SEARCH_FIELDS.forEach(field => {
+        getFieldTexts(region, field.key).forEach(text => {
+          const words = indexWords(text);
+          concept.alternatives.forEach((alternative, index) => {
+            const { quality, spans } = matchAlternative(alternative, text, words);
+            if (quality === 0) return;
+
+            const value = field.weight * quality * (index === 0 ? 1 : SYNONYM_FACTOR);
+            if (field.key === 'name') nameSpans.push(...spans);
+            if (!conceptBest || value > conceptBest.value) {
+              conceptBest = { value, field, text, spans };
+            }
+          });
+        });
+      });
+
+      // Every concept has to match somewhere
+      if (!conceptBest) return null;
+      score += conceptBest.value;
+      if (conceptBest.field.key !== 'name' && (!best || conceptBest.value > best.value)) {
+        best = conceptBest;
+      }
+    }
+
+    return {
+      region,
+      score,
+      field: best ? best.field : null,
+      snippet: best ? buildSnippet(best.text, best.spans) : [],
+      nameSegments: buildSnippet(region.name, nameSpans, { context: Infinity, length: Infinity })
+    };
+  }).filter(Boolean);
+
+  return hits
+    .sort((a, b) => b.score - a.score || a.region.name.localeCompare(b.region.name))
+    .slice(0, limit);
+}
+
+export default searchRegions;
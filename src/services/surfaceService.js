@@ -0,0 +1,295 @@
+/**
+ * Surface Service
+ * Turns brain surface files (GLB/GLTF, OBJ, GIFTI) into meshes in the
+ * viewer's normalized model space: world transforms baked in, centered at
+ * the origin and scaled to fit ~4 units, tagged with their hemisphere
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { parseGifti, getGiftiHemisphere, giftiToGeometry, isGiftiSurface } from './giftiService';
+
+/**
+ * Work out which hemisphere a normalized mesh belongs to, from its name
+ * ('lh.pial', 'Left_Hemisphere') or, failing that, which side of the
+ * midline its bounds lie on. Returns null for meshes spanning both.
+ */
+export function detectHemisphere(mesh) {
+  const name = mesh.name.toLowerCase();
+  if (/(^|[^a-z])(lh|left)([^a-z]|$)/.test(name)) return 'lh';
+  if (/(^|[^a-z])(rh|right)([^a-z]|$)/.test(name)) return 'rh';
+
+  const { min, max } = mesh.geometry.boundingBox;
+  const tolerance = 0.05 * (max.x - min.x);
+  if (max.x <= tolerance) return 'lh';
+  if (min.x >= -tolerance) return 'rh';
+  return null;
+}
+
+/**
+ * Get the hemisphere a file name refers to: FreeSurfer ('lh.pial'),
+ * Connectome Workbench ('100307.L.pial.32k_fs_LR.surf.gii') and BIDS
+ * ('sub-01_hemi-L_pial.surf.gii') conventions
+ * @returns {string|null} 'lh', 'rh' or null
+ */
+export function getHemisphereFromName(fileName) {
+  const name = (fileName || '').toLowerCase();
+  if (/(^|[^a-z])(lh|left)([^a-z]|$)/.test(name)) return 'lh';
+  if (/(^|[^a-z])(rh|right)([^a-z]|$)/.test(name)) return 'rh';
+
+  // A bare L / R only counts in the Workbench and BIDS forms, so tokens
+  // like 'brain_r_v2' do not tag a bilateral surface
+  const letter = /(^|\.)([lr])\./.exec(name)?.[2] || /hemi-([lr])([^a-z]|$)/.exec(name)?.[1];
+  return letter ? `${letter}h` : null;
+}
+
+/**
+ * Copy every mesh of a loaded scene with its world transform baked into the
+ * geometry, so a complex GLTF hierarchy still gives the correct visual position
+ */
+export function extractMeshes(scene, hemisphere) {
+  const extracted = [];
+  scene.updateMatrixWorld(true);
+
+  scene.traverse((child) => {
+    if (child.isMesh) {
+      // Clone geometry and apply world matrix
+      const geometry = child.geometry.clone();
+      geometry.applyMatrix4(child.matrixWorld);
+
+      // Create a new mesh with identity transform
+      const newMesh = new THREE.Mesh(geometry, child.material ? child.material.clone() : undefined);
+      newMesh.userData = { ...child.userData, hemisphere };
+      newMesh.name = child.name; // Preserve name for mapping
+      newMesh.castShadow = true;
+      newMesh.receiveShadow = true;
+
+      extracted.push(newMesh);
+    }
+  });
+
+  return extracted;
+}
+
+/**
+ * Center a set of meshes at (0,0,0) and scale them together to fit ~4 units,
+ * the "normalized model space" region positions are given in
+ */
+export function normalizeMeshes(meshes) {
+  // Calculate bounds of the entire extracted brain
+  const totalBox = new THREE.Box3();
+  meshes.forEach(mesh => {
+    mesh.geometry.computeBoundingBox();
+    totalBox.union(mesh.geometry.boundingBox);
+  });
+
+  const center = new THREE.Vector3();
+  totalBox.getCenter(center);
+  const size = new THREE.Vector3();
+  totalBox.getSize(size);
+
+  const maxDim = Math.max(size.x, size.y, size.z);
+  const normalizationScale = 4.0 / (maxDim || 1); // Avoid divide by zero
+
+  meshes.forEach((mesh) => {
+    // Translate to center
+    mesh.geometry.translate(-center.x, -center.y, -center.z);
+    // Scale to normalize
+    mesh.geometry.scale(normalizationScale, normalizationScale, normalizationScale);
+
+    // Recompute bounds for mapping
+    mesh.geometry.computeBoundingBox();
+  });
+}
+
+const COMPONENT_GETTERS = ['getX', 'getY', 'getZ', 'getW'];
+
+/**
+ * Copy the listed vertices of an attribute (interleaved or normalized
+ * ones included) into a float attribute
+ */
+export function pickAttribute(attribute, vertices) {
+  const { itemSize } = attribute;
+  const array = new Float32Array(vertices.length * itemSize);
+  vertices.forEach((vertex, index) => {
+    for (let k = 0; k < itemSize; k++) {
+      array[index * itemSize + k] = attribute[COMPONENT_GETTERS[k]](vertex);
+    }
+  });
+  return new THREE.BufferAttribute(array, itemSize);
+}
+
+/**
+ * Split a mesh spanning the midline into one mesh per hemisphere, each
+ * face going to the side of x its centroid lies on. Each half keeps its
+ * vertices in their original order, so a combined surface stored as left
+ * then right vertices still lines up with per-hemisphere annotations;
+ * userData.sourceVertices lists the original index of each vertex and
+ * userData.sourceVertexCount the vertex count of the whole mesh.
+ * Returns the mesh itself when it cannot be split (multi-material
+ * geometry, or all faces on one side).
+ */
+export function splitMeshAtMidline(mesh) {
+  const { geometry } = mesh;
+  if (geometry.groups.length > 0 || Array.isArray(mesh.material)) return [mesh];
+
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const faceCount = (index ? index.count : position.count) / 3;
+  const getVertex = (corner) => (index ? index.getX(corner) : corner);
+
+  const sides = { lh: [], rh: [] };
+  for (let face = 0; face < faceCount; face++) {
+    const corners = [0, 1, 2].map(k => getVertex(face * 3 + k));
+    const x = corners.reduce((sum, vertex) => sum + position.getX(vertex), 0);
+    sides[x < 0 ? 'lh' : 'rh'].push(...corners);
+  }
+  if (sides.lh.length === 0 || sides.rh.length === 0) return [mesh];
+
+  // Vertices no face uses go by their own side, so vertex counts still add up
+  const used = new Uint8Array(position.count);
+  Object.values(sides).forEach(corners => corners.forEach(vertex => { used[vertex] = 1; }));
+  const unused = { lh: [], rh: [] };
+  used.forEach((isUsed, vertex) => {
+    if (!isUsed) unused[position.getX(vertex) < 0 ? 'lh' : 'rh'].push(vertex);
+  });
+
+  return Object.entries(sides).map(([hemisphere, corners]) => {
+    const vertices = Uint32Array.from(new Set([...corners, ...unused[hemisphere]])).sort();
+    const remap = new Map();
+    vertices.forEach((vertex, newIndex) => remap.set(vertex, newIndex));
+
+    const half = new THREE.BufferGeometry();
+    Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+      half.setAttribute(name, pickAttribute(attribute, vertices));
+    });
+    half.setIndex(corners.map(vertex => remap.get(vertex)));
+    half.computeBoundingBox();
+
+    const halfMesh = new THREE.Mesh(half, mesh.material ? mesh.material.clone() : undefined);
+    halfMesh.name = `${mesh.name}_${hemisphere}`;
+    halfMesh.userData = { ...mesh.userData, hemisphere, sourceVertices: vertices, sourceVertexCount: position.count };
+    halfMesh.castShadow = true;
+    halfMesh.receiveShadow = true;
+    return halfMesh;
+  });
+}
+
+/**
+ * Extract, normalize and hemisphere-tag the meshes of several scenes
+ * together, the way the bundled model is prepared. Meshes whose
+ * hemisphere is unknown and that span the midline are split in two, so
+ * each hemisphere can be hidden or moved on its own.
+ * @param {Array<Object>} sources - { scene, hemisphere } (hemisphere null
+ * when the file does not say)
+ * @param {Object} options - { splitMidline } (false keeps meshes whole,
+ * e.g. for surface variants that follow a split base model)
+ * @returns {Array<THREE.Mesh>} Meshes; userData.sourceIndex is the
+ * position of the mesh (or the mesh it was split from) in the files
+ */
+export function prepareSurfaceMeshes(sources, { splitMidline = true } = {}) {
+  const meshes = sources.flatMap(({ scene, hemisphere }) => extractMeshes(scene, hemisphere));
+  normalizeMeshes(meshes);
+
+  // Files given per hemisphere keep their tag; otherwise infer it
+  return meshes.flatMap((mesh, sourceIndex) => {
+    mesh.userData.sourceIndex = sourceIndex;
+    if (!mesh.userData.hemisphere) {
+      mesh.userData.hemisphere = detectHemisphere(mesh);
+    }
+    return splitMidline && !mesh.userData.hemisphere ? splitMeshAtMidline(mesh) : [mesh];
+  });
+}
+
+/**
+ * Parse a Wavefront OBJ surface. Only vertices and faces are read, into an
+ * indexed geometry that keeps the file's vertex order (OBJLoader duplicates
+ * vertices per face, so per-vertex labels would no longer line up).
+ */
+export function parseObj(text) {
+  const positions = [];
+  const indices = [];
+
+  text.split('\n').forEach(line => {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'v') {
+      positions.push(Number(parts[1]), Number(parts[2]), Number(parts[3]));
+    } else if (parts[0] === 'f') {
+      // 'f 1 2 3' or 'f 1/1/1 2/2/2 3/3/3'; negative indices count from the end
+      const corners = parts.slice(1).map(token => {
+        const index = parseInt(token, 10);
+        return index < 0 ? positions.length / 3 + index : index - 1;
+      });
+      // Polygons are split into a triangle fan
+      for (let i = 1; i < corners.length - 1; i++) {
+        indices.push(corners[0], corners[i], corners[i + 1]);
+      }
+    }
+  });
+
+  if (positions.length === 0 || indices.length === 0) {
+    throw new Error('OBJ file has no faces');
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+/**
+ * Wrap a single surface geometry in a scene, named after its file so the
+ * name can still tell its hemisphere
+ */
+export function createSurfaceScene(geometry, fileName) {
+  const scene = new THREE.Group();
+  const mesh = new THREE.Mesh(geometry);
+  mesh.name = fileName;
+  scene.add(mesh);
+  return scene;
+}
+
+/**
+ * Check whether a file name is a surface format parseSurfaceFile reads
+ * (.gii files may also be labels; check their contents)
+ */
+export function isSurfaceFileName(fileName) {
+  return /\.(glb|gltf|obj|gii)$/i.test(fileName || '');
+}
+
+/**
+ * Parse a surface file into a scene
+ * @param {string} fileName - Used for the format and the hemisphere
+ * @param {ArrayBuffer} buffer - Raw file contents
+ * @returns {Promise<Object>} { scene, hemisphere } (hemisphere null when
+ * neither the file nor its name says)
+ */
+export async function parseSurfaceFile(fileName, buffer) {
+  const extension = fileName.toLowerCase().split('.').pop();
+  let hemisphere = getHemisphereFromName(fileName);
+
+  if (extension === 'glb' || extension === 'gltf') {
+    // .gltf files only load with embedded (data URI) buffers
+    const gltf = await new GLTFLoader().parseAsync(buffer, '');
+    return { scene: gltf.scene, hemisphere };
+  }
+
+  let geometry;
+  if (extension === 'obj') {
+    geometry = parseObj(new TextDecoder().decode(buffer));
+  } else if (extension === 'gii') {
+    const gifti = parseGifti(buffer);
+    if (!isGiftiSurface(gifti)) {
+      throw new Error(`${fileName} is not a GIFTI surface`);
+    }
+    geometry = giftiToGeometry(gifti);
+    hemisphere = getGiftiHemisphere(gifti) || hemisphere;
+  } else {
+    throw new Error(`Unsupported surface format: .${extension}`);
+  }
+
+  return { scene: createSurfaceScene(geometry, fileName), hemisphere };
+}
+
+export default parseSurfaceFile;
@@ -0,0 +1,93 @@
+/**
+ * URL State Service
+ * Encodes the current view (atlas, selected region, camera pose, drawer)
+ * in the URL hash so views can be shared and walked with back/forward
+ *
+ * Example: #atlas=yeo2011&g=7&region=frontoparietal_network&hemi=lh&info=1
+ *          &cam=12.5,4,24.1&target=0,0,0
+ */
+
+// Decimals kept for camera coordinates
+const CAMERA_PRECISION = 2;
+
+const parseVector = (value) => {
+  const parts = (value || '').split(',').map(Number);
+  return parts.length === 3 && parts.every(Number.isFinite) ? parts : null;
+};
+
+const formatVector = (vector) => {
+  return vector.map(component => Number(component.toFixed(CAMERA_PRECISION))).join(',');
+};
+
+/**
+ * Read view state from a URL hash
+ * @param {string} hash - Hash to parse (defaults to the current location)
+ * @returns {Object} { atlas, granularity, region, hemisphere, info, camera }
+ * with null for anything the hash does not specify
+ */
+export function readUrlState(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const position = parseVector(params.get('cam'));
+  const granularity = Number(params.get('g'));
+
+  return {
+    atlas: params.get('atlas'),
+    granularity: params.has('g') && Number.isFinite(granularity) ? granularity : null,
+    region: params.get('region'),
+    hemisphere: params.get('hemi'),
+    info: params.has('info') ? params.get('info') === '1' : null,
+    camera: position
+      ? { position, target: parseVector(params.get('target')) || [0, 0, 0] }
+      : null
+  };
+}
+
+/**
+ * Build the hash for a view state
+ * @param {Object} state - Same shape as readUrlState returns
+ * @returns {string} Hash including the leading '#'
+ */
+export function formatUrlState(state) {
+  const params = new URLSearchParams();
+
+  if (state.atlas) params.set('atlas', state.atlas);
+  if (state.granularity !== null && state.granularity !== undefined) params.set('g', state.granularity);
+  if (state.region) params.set('region', state.region);
+  if (state.hemisphere) params.set('hemi', state.hemisphere);
+  if (state.info !== null && state.info !== undefined) params.set('info', state.info ? '1' : '0');
+  if (state.camera) {
+    params.set('cam', formatVector(state.camera.position));
+    params.set('target', formatVector(state.camera.target));
+  }
+
+  // Commas in vectors read better unescaped
+  return '#' + params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * Write a view state to the URL
+ * @param {Object} state - View state
+ * @param {Object} options - { replace: true } to update the current history
+ * entry instead of adding one
+ */
+export function writeUrlState(state, { replace = false } = {}) {
+  const hash = formatUrlState(state);
+  if (hash === window.location.hash) return;
+
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}
+
+/**
+ * Change part of the state in the current history entry
+ * @param {Object} changes - Fields to overwrite
+ */
+export function patchUrlState(changes) {
+  writeUrlState({ ...readUrlState(), ...changes }, { replace: true });
+}
+
+export default readUrlState;
@@ -0,0 +1,159 @@
+/**
+ * User Model Service
+ * Loads brain surfaces and label files dropped onto the page, so a
+ * subject's own surface and parcellation can be explored without
+ * rebuilding the app
+ */
+
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { getAtlases, createUserAtlas } from '../atlases';
+import { parseAnnotation } from './annotationService';
+import { parseGifti, getGiftiHemisphere, giftiToAnnotation, giftiToGeometry, isGiftiLabels } from './giftiService';
+import {
+  parseSurfaceFile,
+  prepareSurfaceMeshes,
+  createSurfaceScene,
+  getHemisphereFromName,
+  isSurfaceFileName
+} from './surfaceService';
+
+export const ACCEPTED_FILE_TYPES = '.glb,.gltf,.obj,.gii,.annot';
+
+/**
+ * Read one dropped file as a surface or a label file
+ * @returns {Promise<Object>} { kind: 'surface', scene, hemisphere } or
+ * { kind: 'labels', annotation, hemisphere }
+ */
+async function readDroppedFile(file) {
+  const buffer = await file.arrayBuffer();
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.annot')) {
+    return { kind: 'labels', annotation: parseAnnotation(buffer), hemisphere: getHemisphereFromName(file.name) };
+  }
+
+  // GIFTI surfaces and labels share an extension; the contents decide
+  if (name.endsWith('.gii')) {
+    const gifti = parseGifti(buffer);
+    const hemisphere = getGiftiHemisphere(gifti) || getHemisphereFromName(file.name);
+    return isGiftiLabels(gifti)
+      ? { kind: 'labels', annotation: giftiToAnnotation(gifti), hemisphere }
+      : { kind: 'surface', scene: createSurfaceScene(giftiToGeometry(gifti), file.name), hemisphere };
+  }
+
+  if (isSurfaceFileName(name)) {
+    return { kind: 'surface', ...await parseSurfaceFile(file.name, buffer) };
+  }
+
+  throw new Error(`${file.name}: not a GLB, OBJ or GIFTI surface, or an .annot / .label.gii label file`);
+}
+
+/**
+ * Key each label file by the hemisphere of the surface it fits (the
+ * component looks annotations up by mesh hemisphere)
+ */
+function pairLabelsWithMeshes(labelFiles, meshes) {
+  const annotations = {};
+
+  labelFiles.forEach(({ file, annotation, hemisphere }) => {
+    const mesh = meshes.find(candidate =>
+      candidate.geometry.attributes.position.count === annotation.vertexCount &&
+      (!hemisphere || !candidate.userData.hemisphere || candidate.userData.hemisphere === hemisphere)
+    );
+    if (!mesh) {
+      throw new Error(`${file.name} labels ${annotation.vertexCount} vertices, but no surface has that many`);
+    }
+
+    const key = mesh.userData.hemisphere || hemisphere || ['lh', 'rh'].find(side => !annotations[side]);
+    if (!key) {
+      throw new Error('Drop at most one label file per hemisphere');
+    }
+    annotations[key] = annotation;
+  });
+
+  return annotations;
+}
+
+/**
+ * Pair label files dropped without a surface with the surface on screen:
+ * a surface dropped earlier when they fit it, otherwise the bundled model
+ * (loaded here for the label centroids)
+ * @returns {Promise<Object>} { annotations, meshes }
+ */
+async function pairLabelsWithShownSurface(labelFiles, { currentMeshes, baseModelPath }) {
+  if (currentMeshes?.length) {
+    try {
+      return { annotations: pairLabelsWithMeshes(labelFiles, currentMeshes), meshes: currentMeshes };
+    } catch (error) {
+      if (!baseModelPath) throw error;
+    }
+  }
+
+  const gltf = await new GLTFLoader().loadAsync(baseModelPath);
+  const meshes = prepareSurfaceMeshes([{ scene: gltf.scene, hemisphere: null }]);
+  return { annotations: pairLabelsWithMeshes(labelFiles, meshes), meshes };
+}
+
+/**
+ * Load dropped files
+ * @param {FileList|Array<File>} files - Surfaces (.glb, .gltf, .obj,
+ * .surf.gii) and label files (.annot, .label.gii), one per hemisphere
+ * @param {Object} options
+ * @param {Array} options.currentMeshes - Surface dropped earlier and still
+ * shown, which labels dropped alone are matched against first
+ * @param {string} options.baseModelPath - Model the labels apply to when
+ * no surface is dropped and they do not fit currentMeshes
+ * @returns {Promise<Object>} { meshes, atlas, fileNames } - meshes are
+ * normalized and null without a dropped surface; atlas is built from the
+ * labels and null without label files
+ */
+export async function loadUserModel(files, { currentMeshes, baseModelPath } = {}) {
+  const fileList = [...files];
+  if (fileList.length === 0) {
+    throw new Error('No files were dropped');
+  }
+
+  const results = await Promise.all(fileList.map(async file => {
+    try {
+      return { file, ...await readDroppedFile(file) };
+    } catch (error) {
+      throw new Error(error.message.startsWith(file.name) ? error.message : `${file.name}: ${error.message}`);
+    }
+  }));
+
+  const surfaceFiles = results.filter(result => result.kind === 'surface');
+  const labelFiles = results.filter(result => result.kind === 'labels');
+
+  let meshes;
+  if (surfaceFiles.length > 0) {
+    // Kept whole: a lone hemisphere is centered on the midline as well
+    meshes = prepareSurfaceMeshes(surfaceFiles, { splitMidline: false });
+    // A lone hemisphere is centered on the midline, so it is not mirrored
+    // to a side: positions and picking use its own coordinates
+    if (surfaceFiles.length === 1 && new Set(meshes.map(mesh => mesh.userData.hemisphere)).size === 1) {
+      meshes.forEach(mesh => { mesh.userData.hemisphere = null; });
+    }
+    console.log(`Loaded dropped surface${surfaceFiles.length > 1 ? 's' : ''}. Meshes: ${meshes.length}`);
+  }
+
+  let atlas = null;
+  if (labelFiles.length > 0) {
+    const { annotations, meshes: labelMeshes } = meshes
+      ? { annotations: pairLabelsWithMeshes(labelFiles, meshes), meshes }
+      : await pairLabelsWithShownSurface(labelFiles, { currentMeshes, baseModelPath });
+    atlas = createUserAtlas({
+      annotations,
+      meshes: labelMeshes,
+      fileNames: labelFiles.map(({ file }) => file.name),
+      atlases: getAtlases()
+    });
+  }
+
+  return {
+    meshes: meshes || null,
+    atlas,
+    fileNames: fileList.map(file => file.name)
+  };
+}
+
+export default loadUserModel;
@@ -0,0 +1,369 @@
+/**
+ * Resources API tests
+ * Run the standalone server (server/index.mjs) against the mock LLM
+ * endpoint (server/mockLlm.mjs) and check the proxy end to end: lookups,
+ * rate limiting, tolerant parsing with its repair retry, the provider
+ * fallback chain and link vetting.
+ *
+ *   npm test
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer as createHttpServer } from 'node:http';
+import { createServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+import { parseResourceResponse } from '../server/structuredOutput.mjs';
+import { checkLinkReachable, extractIdentifiers, isPublicAddress, validateLinks } from '../server/linkValidation.mjs';
+
+const SERVER_SCRIPT = fileURLToPath(new URL('../server/index.mjs', import.meta.url));
+const MOCK_LLM_SCRIPT = fileURLToPath(new URL('../server/mockLlm.mjs', import.meta.url));
+
+// A server that has not said it is listening by then failed to start
+const START_TIMEOUT_MS = 10000;
+
+const DMN_QUERY = { region: 'Default Mode Network', id: 'default_mode_network' };
+
+/**
+ * Find a port nothing listens on
+ */
+const getFreePort = () => new Promise((resolve, reject) => {
+  const probe = createServer();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+/**
+ * Run a server script until its output matches readyPattern
+ * @returns {Promise<Object>} { getOutput(), stop() } - stop resolves once
+ * the process exited
+ */
+function startProcess(script, env, readyPattern) {
+  const child = spawn(process.execPath, [script], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const stop = () => {
+    if (child.exitCode === null && child.signalCode === null) child.kill();
+    return exited;
+  };
+
+  let output = '';
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error(`${script} did not start:\n${output}`));
+    }, START_TIMEOUT_MS);
+
+    const onData = (chunk) => {
+      output += chunk;
+      if (readyPattern.test(output)) {
+        clearTimeout(timer);
+        resolve({ getOutput: () => output, stop });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`${script} exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+/**
+ * Start a mock LLM replying in the given MOCK_LLM_FORMAT
+ * @returns {Promise<Object>} { url, countCompletions(), stop() }
+ */
+async function startMockLlm(format) {
+  const port = await getFreePort();
+  const { getOutput, stop } = await startProcess(MOCK_LLM_SCRIPT, {
+    MOCK_LLM_PORT: String(port),
+    MOCK_LLM_FORMAT: format
+  }, /listening/);
+
+  return {
+    url: `http://localhost:${port}/chat/completions`,
+    // The mock logs one line per completion it answers
+    countCompletions: () => getOutput().match(/^Mock (repair )?completion/gm)?.length || 0,
+    stop
+  };
+}
+
+/**
+ * Start the standalone server with the given resources API variables
+ * @returns {Promise<Object>} { getResources(params, headers), stop() }
+ */
+async function startProxy(env) {
+  const port = await getFreePort();
+  const { stop } = await startProcess(SERVER_SCRIPT, { PORT: String(port), ...env }, /Mind Map server on/);
+
+  const getResources = async (params, headers = {}) => {
+    const response = await fetch(`http://localhost:${port}/api/resources?${new URLSearchParams(params)}`, { headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+  return { getResources, stop };
+}
+
+/**
+ * Start a proxy and the mock LLMs it talks to around a describe block
+ * @param {Array<string>} formats - MOCK_LLM_FORMAT of each mock to start
+ * @param {Function} getEnv - (mocks) → proxy environment variables; may
+ * be async
+ * @returns {Object} { proxy, mocks }, filled in before the tests run
+ */
+function useProxy(formats, getEnv) {
+  const context = { proxy: null, mocks: [] };
+
+  before(async () => {
+    for (const format of formats) {
+      context.mocks.push(await startMockLlm(format));
+    }
+    context.proxy = await startProxy(await getEnv(context.mocks));
+  });
+
+  after(async () => {
+    await context.proxy?.stop();
+    await Promise.all(context.mocks.map(mock => mock.stop()));
+  });
+
+  return context;
+}
+
+/**
+ * Proxy variables with the mock LLM as the only provider
+ */
+const mockOnly = ([mock]) => ({
+  RESOURCES_PROVIDERS: 'perplexity',
+  PERPLEXITY_API_URL: mock.url,
+  PERPLEXITY_API_KEY: 'test'
+});
+
+describe('resources API', () => {
+  const context = useProxy(['json'], mockOnly);
+
+  it('answers with vetted links from the model', async () => {
+    const { status, body } = await context.proxy.getResources(DMN_QUERY);
+    assert.equal(status, 200);
+    assert.equal(body.region, 'Default Mode Network');
+    assert.deepEqual(body.provider, { id: 'perplexity', name: 'Perplexity' });
+    assert.deepEqual(body.parse, { path: 'json', repaired: false, issues: [] });
+    assert.equal(body.links.length, 3);
+    body.links.forEach(link => {
+      assert.match(link.title, /^Default Mode Network \(mock\)/);
+      assert.equal(link.verified, true);
+    });
+  });
+
+  it('asks for a region', async () => {
+    const { status, body } = await context.proxy.getResources({ id: 'default_mode_network' });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Missing region parameter');
+  });
+});
+
+describe('rate limiting', () => {
+  const context = useProxy([], () => ({ RESOURCES_PROVIDERS: 'static', RESOURCES_RATE_LIMIT: '2' }));
+
+  it('answers 429 with Retry-After once a client is over the limit', async () => {
+    assert.equal((await context.proxy.getResources(DMN_QUERY)).status, 200);
+    // Without TRUST_PROXY a forged X-Forwarded-For is still the same client
+    assert.equal((await context.proxy.getResources(DMN_QUERY, { 'X-Forwarded-For': '203.0.113.7' })).status, 200);
+
+    const { status, headers, body } = await context.proxy.getResources(DMN_QUERY);
+    assert.equal(status, 429);
+    assert.equal(body.error, 'Too many requests');
+    assert.ok(Number(headers.get('retry-after')) > 0);
+  });
+});
+
+describe('tolerant parsing', () => {
+  const links = [{ title: 'Default network', url: 'https://en.wikipedia.org/wiki/Default_mode_network' }];
+  const json = JSON.stringify(links);
+
+  it('finds the array in bare, wrapped, fenced and prose replies', () => {
+    assert.equal(parseResourceResponse(json).path, 'json');
+    assert.equal(parseResourceResponse(JSON.stringify({ resources: links })).path, 'json');
+    assert.equal(parseResourceResponse(`\`\`\`json\n${json}\n\`\`\``).path, 'fenced');
+
+    const prose = parseResourceResponse(`See [1] below:\n${json}\nHope this helps.`);
+    assert.equal(prose.path, 'embedded');
+    assert.deepEqual(prose.resources, links);
+  });
+
+  it('drops entries and fields that break the schema', () => {
+    const { resources, issues } = parseResourceResponse(JSON.stringify([
+      { title: 'Review', url: 'https://pubmed.ncbi.nlm.nih.gov/1/', year: 'soon', type: 'review' },
+      { title: 'No link', url: 'ftp://example.org/file' },
+      'not an object'
+    ]));
+    assert.deepEqual(resources, [{ title: 'Review', url: 'https://pubmed.ncbi.nlm.nih.gov/1/', type: 'review' }]);
+    assert.deepEqual(issues, ['"Review" has an invalid year', '"No link" has no http(s) url', 'entry is not an object']);
+  });
+
+  it('reports a reply without JSON', () => {
+    assert.deepEqual(parseResourceResponse('Sure! 1. A paper 2. ...'), {
+      resources: [],
+      path: 'none',
+      issues: ['no JSON array found']
+    });
+  });
+});
+
+describe('model reply in prose', () => {
+  const context = useProxy(['prose'], mockOnly);
+
+  it('is read without a repair retry', async () => {
+    const { status, body } = await context.proxy.getResources(DMN_QUERY);
+    assert.equal(status, 200);
+    assert.deepEqual(body.parse, { path: 'embedded', repaired: false, issues: [] });
+    assert.equal(body.links.length, 3);
+    assert.equal(context.mocks[0].countCompletions(), 1);
+  });
+});
+
+describe('repair retry', () => {
+  const context = useProxy(['broken'], mockOnly);
+
+  it('asks once more and uses the repaired reply', async () => {
+    const { status, body } = await context.proxy.getResources(DMN_QUERY);
+    assert.equal(status, 200);
+    assert.equal(body.provider.id, 'perplexity');
+    assert.deepEqual(body.parse, { path: 'json', repaired: true, issues: [] });
+    assert.equal(body.links.length, 3);
+    assert.equal(context.mocks[0].countCompletions(), 2);
+  });
+});
+
+describe('provider fallback', () => {
+  const context = useProxy(['unusable'], async ([mock]) => ({
+    RESOURCES_PROVIDERS: 'openai,perplexity,static',
+    // Nothing listens here, so the first provider fails to connect
+    OPENAI_COMPAT_API_URL: `http://localhost:${await getFreePort()}/chat/completions`,
+    PERPLEXITY_API_URL: mock.url,
+    PERPLEXITY_API_KEY: 'test'
+  }));
+
+  it('moves on past unreachable and unusable providers', async () => {
+    const { status, body } = await context.proxy.getResources(DMN_QUERY);
+    assert.equal(status, 200);
+    assert.deepEqual(body.provider, { id: 'static', name: 'Curated links' });
+    assert.equal(body.links.length, 3);
+    assert.equal(body.parse, undefined);
+    // The unusable reply got exactly one repair retry
+    assert.equal(context.mocks[0].countCompletions(), 2);
+  });
+});
+
+describe('every provider failing', () => {
+  const context = useProxy(['unusable'], mockOnly);
+
+  it('answers 502', async () => {
+    const { status, body } = await context.proxy.getResources(DMN_QUERY);
+    assert.equal(status, 502);
+    assert.equal(body.error, 'Resource lookup failed');
+  });
+});
+
+describe('no provider configured', () => {
+  const context = useProxy([], () => ({ RESOURCES_PROVIDERS: 'perplexity', PERPLEXITY_API_KEY: '' }));
+
+  it('answers 503', async () => {
+    const { status } = await context.proxy.getResources(DMN_QUERY);
+    assert.equal(status, 503);
+  });
+});
+
+describe('denied domains through the proxy', () => {
+  const context = useProxy(['json'], (mocks) => ({ ...mockOnly(mocks), RESOURCES_DENIED_DOMAINS: 'wikipedia.org' }));
+
+  it('leaves out links on RESOURCES_DENIED_DOMAINS', async () => {
+    const { status, body } = await context.proxy.getResources(DMN_QUERY);
+    assert.equal(status, 200);
+    assert.equal(body.links.length, 2);
+    assert.ok(body.links.every(link => !link.url.includes('wikipedia.org')));
+  });
+});
+
+describe('link validation', () => {
+  it('drops denied, malformed and non-http links', async () => {
+    const links = await validateLinks([
+      { title: 'Placeholder', url: 'https://example.com/article1' },
+      { title: 'Shortened', url: 'https://bit.ly/3abc' },
+      { title: 'Script', url: 'javascript:alert(1)' },
+      { title: 'Broken', url: 'not a url' },
+      { title: 'Encyclopedia', url: 'https://www.britannica.com/science/brain' }
+    ]);
+    assert.deepEqual(links.map(link => link.title), ['Encyclopedia']);
+  });
+
+  it('flags links outside the allowlist, or drops them with dropUnverified', async () => {
+    const links = [{ title: 'Blog', url: 'https://brain-blog.net/dmn' }];
+    assert.equal((await validateLinks(links))[0].verified, false);
+    assert.deepEqual(await validateLinks(links, { dropUnverified: true }), []);
+  });
+
+  it('points papers at their DOI and removes duplicates', async () => {
+    assert.equal(extractIdentifiers('https://www.cell.com/neuron/fulltext/10.1016/j.neuron.2011.09.006?af=R').doi, '10.1016/j.neuron.2011.09.006');
+    assert.equal(extractIdentifiers('https://doi.org/10.1016/j.neuron.2011.09.006#abstract').doi, '10.1016/j.neuron.2011.09.006');
+
+    const links = await validateLinks([
+      { title: 'Publisher page', url: 'https://www.cell.com/neuron/fulltext/10.1016/j.neuron.2011.09.006?af=R' },
+      { title: 'DOI', url: 'https://doi.org/10.1016/J.NEURON.2011.09.006' }
+    ]);
+    assert.deepEqual(links.map(link => link.url), ['https://doi.org/10.1016/j.neuron.2011.09.006']);
+  });
+});
+
+describe('link checks and SSRF', () => {
+  let server;
+  let port;
+  let requests = 0;
+
+  before(async () => {
+    server = createHttpServer((req, res) => {
+      requests += 1;
+      res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    ({ port } = server.address());
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('tells public from internal addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not an address'].forEach(address => {
+      assert.equal(isPublicAddress(address), false, address);
+    });
+    ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8'].forEach(address => {
+      assert.equal(isPublicAddress(address), true, address);
+    });
+  });
+
+  it('never connects to the server\'s own network', async () => {
+    const urls = [
+      `http://127.0.0.1:${port}/`,
+      `http://localhost:${port}/`,
+      `http://[::ffff:127.0.0.1]:${port}/`,
+      'http://169.254.169.254/latest/meta-data/'
+    ];
+    for (const url of urls) {
+      assert.equal(await checkLinkReachable(url, 1000), false, url);
+    }
+    assert.equal(requests, 0);
+  });
+
+  it('drops internal links when reachability is checked', async () => {
+    const links = await validateLinks([
+      { title: 'Internal', url: `http://localhost:${port}/admin` }
+    ], { checkReachability: true, allowedDomains: ['localhost'], deniedDomains: [], timeoutMs: 1000 });
+    assert.deepEqual(links, []);
+    assert.equal(requests, 0);
+  });
+});
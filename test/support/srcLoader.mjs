@@ -0,0 +1,31 @@
+/**
+ * Module hooks for loading src/ in Node
+ * The app is written for Vite: imports leave out '.js' and '/index.js',
+ * and the package is not "type": "module". Registered by tests that import
+ * src/ modules:
+ *
+ *   register('./support/srcLoader.mjs', import.meta.url);
+ */
+
+const SRC_URL = new URL('../../src/', import.meta.url).href;
+
+const isRelative = (specifier) => specifier.startsWith('./') || specifier.startsWith('../');
+
+export async function resolve(specifier, context, nextResolve) {
+  if (!isRelative(specifier) || !context.parentURL?.startsWith(SRC_URL)) {
+    return nextResolve(specifier, context);
+  }
+
+  for (const candidate of [specifier, `${specifier}.js`, `${specifier}/index.js`]) {
+    try {
+      return await nextResolve(candidate, context);
+    } catch (error) {
+      if (!['ERR_MODULE_NOT_FOUND', 'ERR_UNSUPPORTED_DIR_IMPORT'].includes(error.code)) throw error;
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  return nextLoad(url, url.startsWith(SRC_URL) && url.endsWith('.js') ? { ...context, format: 'module' } : context);
+}
@@ -0,0 +1,104 @@
+/**
+ * User model tests
+ * Dropped surfaces and label files (src/services/userModelService.js),
+ * loaded from small in-memory OBJ and FreeSurfer .annot files
+ *
+ *   npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+register('./support/srcLoader.mjs', import.meta.url);
+const { loadUserModel } = await import('../src/services/userModelService.js');
+
+// Two triangles on each side of the midline: one mesh spanning both
+const SURFACE_OBJ = `
+v -2 0 0
+v -1 1 0
+v -1 0 1
+v 1 0 0
+v 1 1 0
+v 2 0 1
+f 1 2 3
+f 4 5 6
+`;
+
+const SURFACE_VERTEX_COUNT = 6;
+
+/**
+ * Write a FreeSurfer .annot (old colortable layout) labelling each vertex
+ * with the entry at the same position in labels
+ * @param {Array<number>} vertexLabels - Entry index per vertex
+ * @param {Array<Object>} entries - { name, color: [r, g, b] }
+ */
+function writeAnnotation(vertexLabels, entries) {
+  const words = [];
+  const pushString = (text) => {
+    words.push({ int: text.length + 1 });
+    words.push({ bytes: [...Buffer.from(text, 'ascii'), 0] });
+  };
+  const packed = ([r, g, b]) => r + g * 256 + b * 65536;
+
+  words.push({ int: vertexLabels.length });
+  vertexLabels.forEach((entry, vertex) => {
+    words.push({ int: vertex }, { int: packed(entries[entry].color) });
+  });
+  words.push({ int: 1 }, { int: entries.length });
+  pushString('test.ctab');
+  entries.forEach(({ name, color }) => {
+    pushString(name);
+    words.push(...color.map(int => ({ int })), { int: 0 });
+  });
+
+  const chunks = words.map(word => {
+    if (word.bytes) return Buffer.from(word.bytes);
+    const chunk = Buffer.alloc(4);
+    chunk.writeInt32BE(word.int);
+    return chunk;
+  });
+  return Buffer.concat(chunks);
+}
+
+const LABEL_ENTRIES = [
+  { name: 'left_patch', color: [200, 30, 30] },
+  { name: 'right_patch', color: [30, 30, 200] }
+];
+
+const surfaceFile = () => new File([SURFACE_OBJ], 'subject.obj');
+
+const labelFile = (vertexCount = SURFACE_VERTEX_COUNT) => new File([
+  writeAnnotation(Array.from({ length: vertexCount }, (_, vertex) => (vertex < vertexCount / 2 ? 0 : 1)), LABEL_ENTRIES)
+], 'lh.subject.annot');
+
+describe('loadUserModel', () => {
+  it('loads a surface and its labels dropped together', async () => {
+    const { meshes, atlas } = await loadUserModel([surfaceFile(), labelFile()]);
+    assert.equal(meshes.length, 1);
+    assert.deepEqual(atlas.getRegions().map(region => region.name), ['left_patch', 'right_patch']);
+  });
+
+  it('applies labels dropped after a surface to that surface', async () => {
+    const surface = await loadUserModel([surfaceFile()]);
+    assert.equal(surface.atlas, null);
+
+    // No bundled model to fall back to: the labels have to fit the dropped surface
+    const labels = await loadUserModel([labelFile()], { currentMeshes: surface.meshes });
+    assert.equal(labels.meshes, null);
+    assert.equal(labels.atlas.annotations.lh.vertexCount, SURFACE_VERTEX_COUNT);
+
+    // Centroids come from the dropped surface's vertices
+    const [left, right] = labels.atlas.getRegions();
+    assert.ok(left.position[0] < 0);
+    assert.ok(right.position[0] > 0);
+  });
+
+  it('reports labels that fit no surface', async () => {
+    const surface = await loadUserModel([surfaceFile()]);
+    await assert.rejects(
+      loadUserModel([labelFile(SURFACE_VERTEX_COUNT + 2)], { currentMeshes: surface.meshes }),
+      /lh\.subject\.annot labels 8 vertices, but no surface has that many/
+    );
+  });
+});
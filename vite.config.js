@@ -1,10 +1,35 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createResourcesHandler, resourcesApiConfigFromEnv } from './server/resourcesApi.mjs';
+import { createExplainHandler } from './server/explainApi.mjs';
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    port: 3000,
-    open: true
-  }
+/**
+ * Serve /api/resources and /api/explain from the dev and preview servers so
+ * the browser never sees the provider keys (production uses server/index.mjs)
+ */
+function resourcesApi(env) {
+  const config = resourcesApiConfigFromEnv(env);
+  const handlers = [createResourcesHandler(config), createExplainHandler(config)];
+  return {
+    name: 'resources-api',
+    configureServer(server) {
+      handlers.forEach(handler => server.middlewares.use(handler));
+    },
+    configurePreviewServer(server) {
+      handlers.forEach(handler => server.middlewares.use(handler));
+    }
+  };
+}
+
+export default defineConfig(({ mode }) => {
+  // Load every variable, not only VITE_ ones; server-side only
+  const env = { ...loadEnv(mode, process.cwd(), ''), ...process.env };
+
+  return {
+    plugins: [react(), resourcesApi(env)],
+    server: {
+      port: 3000,
+      open: true
+    }
+  };
 });